@@ -27,6 +27,7 @@ const tournamentRoutes = require('./routes/tournaments');
 const transactionRoutes = require('./routes/transactions');
 const referralRoutes = require('./routes/referrals');
 const adminRoutes = require('./routes/admin');
+const questionReviewRoutes = require('./routes/questionReview');
 const uploadRoutes = require('./routes/upload');
 const telegramRoutes = require('./routes/telegram');
 const telegramWebAppRoutes = require('./routes/telegramWebApp');
@@ -39,15 +40,28 @@ const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
 const auth = require('./middleware/auth');
 const adminAuth = require('./middleware/auth').admin;
+const moderatorAuth = require('./middleware/auth').moderator;
 
 // Import services
 const logger = require('./utils/logger');
 const { connectDB } = require('./config/database');
 const socketHandler = require('./services/socketHandler');
+const calibrationService = require('./services/calibrationService');
+const streakService = require('./services/streakService');
 
 // Import models (to ensure they are registered)
 require('./models/User');
+require('./models/Category');
 require('./models/Quiz');
+require('./models/QuizSession');
+require('./models/QuizAttempt');
+require('./models/QuestionMemory');
+require('./models/CategoryMastery');
+require('./models/QuestionReview');
+require('./models/RegradeJob');
+require('./models/DailyChallenge');
+require('./models/QuizPack');
+require('./models/QuizPackProgress');
 require('./models/Tournament');
 require('./models/Transaction');
 require('./models/Referral');
@@ -89,6 +103,18 @@ const io = new Server(server, {
 // Connect to MongoDB
 connectDB();
 
+// Make sure the default quiz categories exist
+mongoose.connection.once('open', () => {
+  mongoose.model('Category').seedDefaults()
+    .catch(error => logger.error('Failed to seed default categories:', error));
+});
+
+// Nightly jobs
+mongoose.connection.once('open', () => {
+  calibrationService.schedule();
+  streakService.schedule();
+});
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -228,6 +254,8 @@ app.use('/api/quiz', auth, quizRoutes);
 app.use('/api/tournaments', auth, tournamentRoutes);
 app.use('/api/transactions', auth, transactionRoutes);
 app.use('/api/referrals', auth, referralRoutes);
+// Mounted before the admin routes so moderators can reach the review queue
+app.use('/api/admin/questions/review', moderatorAuth, questionReviewRoutes);
 app.use('/api/admin', adminAuth, adminRoutes);
 app.use('/api/upload', auth, uploadRoutes);
 app.use('/api/telegram', telegramRoutes);
@@ -1,7 +1,8 @@
-const { authenticate, authenticateAdmin } = require('../utils/auth');
+const { authenticate, authenticateAdmin, authenticateModerator } = require('../utils/auth');
 
 // Export the auth middleware functions
 module.exports = authenticate;
 module.exports.admin = authenticateAdmin;
+module.exports.moderator = authenticateModerator;
 
 
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+
+// Categories that exist out of the box; descriptions double as AI prompt guidance
+const DEFAULT_CATEGORIES = [
+  { slug: 'general', name: 'General', icon: '🌐', description: 'Focus on general cryptocurrency and blockchain concepts' },
+  { slug: 'bitcoin', name: 'Bitcoin', icon: '₿', description: 'Focus specifically on Bitcoin-related topics' },
+  { slug: 'ethereum', name: 'Ethereum', icon: 'Ξ', description: 'Focus specifically on Ethereum and smart contracts' },
+  { slug: 'trading', name: 'Trading', icon: '📈', description: 'Focus on trading, markets, and financial aspects' },
+  { slug: 'technology', name: 'Technology', icon: '⚙️', description: 'Focus on technical implementation and blockchain technology' },
+  { slug: 'security', name: 'Security', icon: '🔒', description: 'Focus on security, wallets, and best practices' }
+];
+
+const categorySchema = new mongoose.Schema({
+  // Identifier stored on questions, tournaments and tasks; never changes
+  slug: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    maxlength: 50,
+    match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+    immutable: true
+  },
+
+  // Display
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  // Localized names keyed by language code, e.g. { ru: 'Биткоин' }
+  names: {
+    type: Map,
+    of: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    },
+    default: {}
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+
+  // Hierarchy
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+
+  // Status
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+categorySchema.index({ slug: 1 }, { unique: true });
+categorySchema.index({ parent: 1, isActive: 1, sortOrder: 1 });
+
+// Pre-save middleware
+categorySchema.pre('save', async function() {
+  if (!this.parent || !this.isModified('parent')) return;
+
+  // Only two levels: category and subcategory
+  if (this.parent.equals(this._id)) {
+    throw new Error('A category cannot be its own parent');
+  }
+
+  const parent = await this.constructor.findById(this.parent);
+  if (!parent) {
+    throw new Error('Parent category not found');
+  }
+  if (parent.parent) {
+    throw new Error('Subcategories cannot have their own subcategories');
+  }
+});
+
+// Instance methods
+categorySchema.methods.getLocalizedName = function(language) {
+  return (language && this.names.get(language)) || this.name;
+};
+
+categorySchema.methods.toPublicObject = function(language) {
+  return {
+    slug: this.slug,
+    name: this.getLocalizedName(language),
+    description: this.description,
+    icon: this.icon
+  };
+};
+
+// Static methods
+categorySchema.statics.getActiveCategories = function() {
+  return this.find({ isActive: true }).sort({ sortOrder: 1, name: 1 });
+};
+
+// Check that a category slug names a real, active top-level category and the optional
+// subcategory slug one of its active children; resolves to an error message or null
+categorySchema.statics.validateAssignment = async function(category, subcategory) {
+  const parent = await this.findOne({ slug: category, isActive: true });
+  if (!parent) {
+    return `Unknown category: ${category}`;
+  }
+  // Subcategories go in the subcategory field, under their own parent
+  if (parent.parent) {
+    return `${category} is a subcategory, not a top-level category`;
+  }
+
+  if (subcategory) {
+    const child = await this.findOne({ slug: subcategory, isActive: true });
+    if (!child || !child.parent || !child.parent.equals(parent._id)) {
+      return `Unknown subcategory ${subcategory} for category ${category}`;
+    }
+  }
+
+  return null;
+};
+
+// express-validator helper: rejects unless the slug is an active top-level category
+// (and the optional subcategory slug one of its active children), so bad categories
+// get a 400 up front instead of failing the model's save hook
+categorySchema.statics.assertActiveSlug = async function(slug, subcategory) {
+  const error = await this.validateAssignment(slug, subcategory);
+  if (error) {
+    throw new Error(error);
+  }
+  return true;
+};
+
+// Create the default categories that are missing
+categorySchema.statics.seedDefaults = function() {
+  return this.bulkWrite(DEFAULT_CATEGORIES.map((category, index) => ({
+    updateOne: {
+      filter: { slug: category.slug },
+      update: { $setOnInsert: { ...category, sortOrder: index } },
+      upsert: true
+    }
+  })));
+};
+
+categorySchema.statics.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+
+module.exports = mongoose.model('Category', categorySchema);
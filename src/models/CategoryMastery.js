@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const { DEFAULT_RATING, calculateRatingChange } = require('../utils/rating');
+
+// Results kept for the recent trend, and how many are needed before a trend is reported
+const RECENT_RESULTS = 20;
+const MIN_TREND_RESULTS = 10;
+// Change in accuracy between the older and newer half of the recent results that counts as a trend
+const TREND_THRESHOLD = 0.15;
+
+// Answers needed before a category counts as a strength or weakness
+const MIN_RANKED_ATTEMPTS = 10;
+
+// A player's mastery of one category (subcategory: null) or one of its subcategories
+const categoryMasterySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  subcategory: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    default: null
+  },
+
+  // Graded answers
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  correctCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Latest results, oldest first
+  recentResults: [{
+    type: Boolean
+  }],
+  lastAnsweredAt: {
+    type: Date
+  },
+
+  // Elo-style skill rating within the category, seeded from the player's overall rating
+  skillRating: {
+    type: Number,
+    default: DEFAULT_RATING
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+categoryMasterySchema.index({ userId: 1, category: 1, subcategory: 1 }, { unique: true });
+
+// Virtual fields
+categoryMasterySchema.virtual('accuracy').get(function() {
+  return this.attempts > 0 ? Math.round((this.correctCount / this.attempts) * 1000) / 10 : 0;
+});
+
+categoryMasterySchema.virtual('recentAccuracy').get(function() {
+  const results = this.recentResults || [];
+  if (results.length === 0) return 0;
+
+  return Math.round((results.filter(Boolean).length / results.length) * 1000) / 10;
+});
+
+// 'improving', 'declining' or 'steady' by comparing the newer half of the recent
+// results with the older half; null while there are too few results
+categoryMasterySchema.virtual('trend').get(function() {
+  const results = this.recentResults || [];
+  if (results.length < MIN_TREND_RESULTS) return null;
+
+  const half = Math.floor(results.length / 2);
+  const rate = (values) => values.filter(Boolean).length / values.length;
+  const change = rate(results.slice(half)) - rate(results.slice(0, half));
+
+  if (change >= TREND_THRESHOLD) return 'improving';
+  if (change <= -TREND_THRESHOLD) return 'declining';
+  return 'steady';
+});
+
+// Instance methods
+categoryMasterySchema.methods.toSummary = function() {
+  return {
+    category: this.category,
+    subcategory: this.subcategory,
+    attempts: this.attempts,
+    correctCount: this.correctCount,
+    accuracy: this.accuracy,
+    recentAccuracy: this.recentAccuracy,
+    trend: this.trend,
+    skillRating: Math.round(this.skillRating),
+    lastAnsweredAt: this.lastAnsweredAt
+  };
+};
+
+// Static methods
+
+// Record graded answers ({ category, subcategory, isCorrect, questionRating }) against
+// each answer's category and, when set, its subcategory. New entries start from
+// baseRating; with rated: false the answers are counted but ratings don't move.
+categoryMasterySchema.statics.recordAnswers = async function(userId, answers, options = {}) {
+  const { baseRating = DEFAULT_RATING, rated = true } = options;
+  const graded = answers.filter(answer => answer.category);
+  if (graded.length === 0) return [];
+
+  // Answers per entry, in the order they were given
+  const groups = new Map();
+  graded.forEach(answer => {
+    const targets = [[answer.category, null]];
+    if (answer.subcategory) targets.push([answer.category, answer.subcategory]);
+
+    targets.forEach(([category, subcategory]) => {
+      const key = `${category}/${subcategory || ''}`;
+      if (!groups.has(key)) {
+        groups.set(key, { category, subcategory, answers: [] });
+      }
+      groups.get(key).answers.push(answer);
+    });
+  });
+
+  const answeredAt = new Date();
+  return Promise.all([...groups.values()].map(group => this.recordGroup(userId, group, {
+    baseRating,
+    rated,
+    answeredAt
+  })));
+};
+
+// Add one entry's answers with atomic updates, so quizzes submitted at the same
+// time neither collide on creating the entry nor overwrite each other's counts
+categoryMasterySchema.statics.recordGroup = async function(userId, group, options) {
+  const { baseRating, rated, answeredAt } = options;
+  const filter = { userId, category: group.category, subcategory: group.subcategory };
+  const create = { $setOnInsert: { skillRating: baseRating } };
+
+  let entry;
+  try {
+    entry = await this.findOneAndUpdate(filter, create, { new: true, upsert: true });
+  } catch (error) {
+    // Another submission created the entry first
+    if (error.code !== 11000) throw error;
+    entry = await this.findOne(filter);
+  }
+
+  // Rating changes are worked out from the entry as read and applied as an increment
+  let ratingDelta = 0;
+  group.answers.forEach((answer, index) => {
+    if (!rated || typeof answer.questionRating !== 'number') return;
+
+    const { playerDelta } = calculateRatingChange({
+      playerRating: entry.skillRating + ratingDelta,
+      questionRating: answer.questionRating,
+      isCorrect: answer.isCorrect,
+      playerAnswers: entry.attempts + index
+    });
+    ratingDelta += playerDelta;
+  });
+
+  const results = group.answers.map(answer => Boolean(answer.isCorrect));
+  return this.findOneAndUpdate(
+    filter,
+    {
+      $inc: {
+        attempts: results.length,
+        correctCount: results.filter(Boolean).length,
+        skillRating: ratingDelta
+      },
+      $push: { recentResults: { $each: results, $slice: -RECENT_RESULTS } },
+      $set: { lastAnsweredAt: answeredAt }
+    },
+    { new: true }
+  );
+};
+
+// Mastery per category with its subcategories, plus the strongest and weakest
+// categories among those with enough answers
+categoryMasterySchema.statics.getProfile = async function(userId, limit = 3) {
+  const entries = await this.find({ userId }).sort({ skillRating: -1 });
+
+  const categories = entries
+    .filter(entry => !entry.subcategory)
+    .map(entry => ({
+      ...entry.toSummary(),
+      subcategories: entries
+        .filter(sub => sub.subcategory && sub.category === entry.category)
+        .map(sub => sub.toSummary())
+    }));
+
+  // Sorted by rating, so strengths come first and weaknesses (weakest first) from the rest
+  const ranked = categories
+    .filter(category => category.attempts >= MIN_RANKED_ATTEMPTS)
+    .map(category => category.category);
+
+  return {
+    categories,
+    strengths: ranked.slice(0, limit),
+    weaknesses: ranked.slice(limit).slice(-limit).reverse()
+  };
+};
+
+categoryMasterySchema.statics.MIN_RANKED_ATTEMPTS = MIN_RANKED_ATTEMPTS;
+
+module.exports = mongoose.model('CategoryMastery', categoryMasterySchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const DAILY_CHALLENGE_SIZE = 10;
+
+const dailyChallengeSchema = new mongoose.Schema({
+  // Calendar day the set belongs to ('YYYY-MM-DD')
+  date: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+
+  // Questions in play order
+  questions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz'
+  }],
+
+  // How the set was chosen
+  source: {
+    type: String,
+    enum: ['seeded', 'admin'],
+    default: 'seeded'
+  },
+  seed: {
+    type: String
+  },
+  setBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+dailyChallengeSchema.index({ date: 1 }, { unique: true });
+
+// Virtual fields
+dailyChallengeSchema.virtual('questionCount').get(function() {
+  return this.questions.length;
+});
+
+// Static methods
+dailyChallengeSchema.statics.seedForDate = function(date) {
+  return `daily-challenge:${date}`;
+};
+
+// Get the set for a day, choosing it from the seed the first time it is requested
+dailyChallengeSchema.statics.getForDate = async function(date) {
+  const existing = await this.findOne({ date });
+  if (existing) return existing;
+
+  const Quiz = mongoose.model('Quiz');
+  const seed = this.seedForDate(date);
+  const questions = await Quiz.getSeededQuestions(seed, DAILY_CHALLENGE_SIZE);
+  if (questions.length === 0) return null;
+
+  // Concurrent first requests pick the same set; whichever insert wins is kept
+  await this.updateOne(
+    { date },
+    { $setOnInsert: { date, questions, source: 'seeded', seed } },
+    { upsert: true }
+  ).catch(error => {
+    if (error.code !== 11000) throw error;
+  });
+
+  return this.findOne({ date });
+};
+
+// Replace a day's set with hand-picked questions
+dailyChallengeSchema.statics.overrideForDate = function(date, questions, adminId) {
+  return this.findOneAndUpdate(
+    { date },
+    {
+      $set: { questions, source: 'admin', setBy: adminId },
+      $unset: { seed: 1 }
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+dailyChallengeSchema.statics.DAILY_CHALLENGE_SIZE = DAILY_CHALLENGE_SIZE;
+
+module.exports = mongoose.model('DailyChallenge', dailyChallengeSchema);
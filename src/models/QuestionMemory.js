@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+// SM-2 answer grades (0-5) used for quiz answers
+const GRADE_CORRECT = 4;
+const GRADE_INCORRECT = 1;
+const MIN_EASE_FACTOR = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const questionMemorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true
+  },
+
+  // SM-2 scheduling state
+  repetitions: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  easeFactor: {
+    type: Number,
+    default: 2.5,
+    min: MIN_EASE_FACTOR
+  },
+  interval: {
+    type: Number,
+    default: 0,
+    min: 0 // days
+  },
+  nextReviewAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Answer history
+  totalAttempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  correctCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lapses: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastResult: {
+    type: Boolean
+  },
+  lastAnsweredAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+questionMemorySchema.index({ userId: 1, questionId: 1 }, { unique: true });
+questionMemorySchema.index({ userId: 1, nextReviewAt: 1 });
+
+// Virtual fields
+questionMemorySchema.virtual('isDue').get(function() {
+  return this.nextReviewAt <= new Date();
+});
+
+// Instance methods
+questionMemorySchema.methods.applyReview = function(grade, answeredAt = new Date()) {
+  if (grade >= 3) {
+    if (this.repetitions === 0) {
+      this.interval = 1;
+    } else if (this.repetitions === 1) {
+      this.interval = 6;
+    } else {
+      this.interval = Math.round(this.interval * this.easeFactor);
+    }
+    this.repetitions += 1;
+  } else {
+    this.repetitions = 0;
+    this.interval = 1;
+    this.lapses += 1;
+  }
+
+  const easeChange = 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02);
+  this.easeFactor = Math.max(MIN_EASE_FACTOR, this.easeFactor + easeChange);
+  this.nextReviewAt = new Date(answeredAt.getTime() + this.interval * DAY_MS);
+
+  return this;
+};
+
+// Static methods
+questionMemorySchema.statics.recordAnswers = async function(userId, answers) {
+  if (answers.length === 0) return [];
+
+  const questionIds = answers.map(answer => answer.questionId);
+  const existing = await this.find({ userId, questionId: { $in: questionIds } });
+  const answeredAt = new Date();
+
+  const memories = answers.map(answer => {
+    const memory = existing.find(m => m.questionId.equals(answer.questionId)) ||
+      new this({ userId, questionId: answer.questionId });
+
+    memory.totalAttempts += 1;
+    if (answer.isCorrect) memory.correctCount += 1;
+    memory.lastResult = answer.isCorrect;
+    memory.lastAnsweredAt = answeredAt;
+    memory.applyReview(answer.isCorrect ? GRADE_CORRECT : GRADE_INCORRECT, answeredAt);
+
+    return memory;
+  });
+
+  return Promise.all(memories.map(memory => memory.save()));
+};
+
+// Questions the user has missed at least once and that are due for review by the given time
+questionMemorySchema.statics.getDueReviews = function(userId, dueBy = new Date(), limit = 10) {
+  return this.find({
+    userId,
+    lapses: { $gt: 0 },
+    nextReviewAt: { $lte: dueBy }
+  })
+  .sort({ nextReviewAt: 1 })
+  .limit(limit);
+};
+
+questionMemorySchema.statics.countDueReviews = function(userId, dueBy = new Date()) {
+  return this.countDocuments({
+    userId,
+    lapses: { $gt: 0 },
+    nextReviewAt: { $lte: dueBy }
+  });
+};
+
+module.exports = mongoose.model('QuestionMemory', questionMemorySchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// One entry per moderation decision, used for reviewer throughput stats
+const questionReviewSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true
+  },
+  reviewerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['approved', 'edited', 'rejected'],
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  // Fields changed when the question was edited before approval
+  changedFields: [{
+    type: String
+  }],
+
+  // Time from claim to decision
+  claimedAt: {
+    type: Date
+  },
+  durationMs: {
+    type: Number,
+    min: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+questionReviewSchema.index({ reviewerId: 1, createdAt: -1 });
+questionReviewSchema.index({ questionId: 1, createdAt: -1 });
+questionReviewSchema.index({ createdAt: -1 });
+
+// Static methods
+questionReviewSchema.statics.recordDecision = function(question, reviewerId, action, details = {}) {
+  const claimedAt = question.review && question.review.claimedAt;
+
+  return this.create({
+    questionId: question._id,
+    reviewerId,
+    action,
+    reason: details.reason,
+    changedFields: details.changedFields || [],
+    claimedAt,
+    durationMs: claimedAt ? Math.max(0, Date.now() - claimedAt.getTime()) : undefined
+  });
+};
+
+// Decisions per reviewer since a date, busiest reviewers first
+questionReviewSchema.statics.getThroughput = function(since) {
+  return this.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: '$reviewerId',
+        total: { $sum: 1 },
+        approved: { $sum: { $cond: [{ $eq: ['$action', 'approved'] }, 1, 0] } },
+        edited: { $sum: { $cond: [{ $eq: ['$action', 'edited'] }, 1, 0] } },
+        rejected: { $sum: { $cond: [{ $eq: ['$action', 'rejected'] }, 1, 0] } },
+        averageDurationMs: { $avg: '$durationMs' },
+        lastReviewAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { total: -1 } },
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'reviewer'
+      }
+    },
+    { $unwind: { path: '$reviewer', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        reviewerId: '$_id',
+        username: '$reviewer.username',
+        role: '$reviewer.role',
+        total: 1,
+        approved: 1,
+        edited: 1,
+        rejected: 1,
+        averageDurationMs: { $round: ['$averageDurationMs', 0] },
+        lastReviewAt: 1
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('QuestionReview', questionReviewSchema);
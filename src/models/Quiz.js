@@ -1,4 +1,65 @@
 const mongoose = require('mongoose');
+const Category = require('./Category');
+const { initialRatingForDifficulty, calculateRatingChange, DEFAULT_RATING } = require('../utils/rating');
+const { QUESTION_TYPES, CHOICE_TYPES, validateAnswerKey, getAnswerKey, gradeResponse } = require('../utils/questionTypes');
+const { MEDIA_KINDS, validateMedia, toPublicMedia } = require('../utils/media');
+const { seededShuffle } = require('../utils/seededRandom');
+const { DUPLICATE_THRESHOLD, computeSignature, computeBands, estimateSimilarity } = require('../utils/similarity');
+const { normalizeLanguage, getPrimaryLanguage } = require('../utils/languages');
+
+// Answer keys and moderation data that must never be sent to players
+const HIDDEN_FIELDS = ['correctAnswer', 'correctOptions', 'numericAnswer', 'tolerance', 'correctOrder', 'explanation', 'reports', 'previousVersions',
+  'similarity', 'duplicateOf', 'duplicateSimilarity', 'review', 'calibration', 'answerDistribution'];
+const HIDDEN_SELECT = HIDDEN_FIELDS.map(field => `-${field}`).join(' ');
+
+// Answers needed before an option is flagged as never picked or as outdrawing the right answer
+const MIN_DISTRIBUTION_RESPONSES = 20;
+
+const REPORT_REASONS = ['incorrect_answer', 'poor_quality', 'inappropriate', 'duplicate', 'other'];
+
+// Fields admins and moderators may edit, and the subset kept in previousVersions
+const EDITABLE_FIELDS = [
+  'question', 'type', 'options', 'correctAnswer', 'correctOptions', 'numericAnswer', 'tolerance',
+  'unit', 'correctOrder', 'explanation', 'difficulty', 'category', 'subcategory', 'tags', 'points', 'timeLimit',
+  'media', 'optionMedia'
+];
+const VERSIONED_FIELDS = [
+  'type', 'question', 'options', 'correctAnswer', 'correctOptions', 'numericAnswer', 'tolerance', 'correctOrder', 'explanation'
+];
+
+// A review claim lapses after this long so abandoned questions return to the queue
+const REVIEW_CLAIM_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Image, chart or code snippet shown with a question or option
+const mediaSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: MEDIA_KINDS,
+    required: true
+  },
+  // Image variants, stored relative to UPLOAD_PATH
+  variants: {
+    thumbnail: String,
+    medium: String,
+    large: String
+  },
+  width: Number,
+  height: Number,
+  alt: {
+    type: String,
+    trim: true,
+    maxlength: 250
+  },
+  code: {
+    type: String,
+    maxlength: 5000
+  },
+  language: {
+    type: String,
+    trim: true,
+    maxlength: 30
+  }
+}, { _id: false });
 
 const quizSchema = new mongoose.Schema({
   // Question content
@@ -8,24 +69,69 @@ const quizSchema = new mongoose.Schema({
     trim: true,
     maxlength: 500
   },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    default: 'single_choice'
+  },
   options: [{
     type: String,
     required: true,
     trim: true,
     maxlength: 200
   }],
+
+  // Answer keys (which one applies depends on type)
   correctAnswer: {
     type: Number,
-    required: true,
+    required: function() {
+      return this.type === 'single_choice' || this.type === 'true_false';
+    },
+    min: 0
+  },
+  correctOptions: [{
+    type: Number,
+    min: 0
+  }],
+  numericAnswer: {
+    type: Number
+  },
+  tolerance: {
+    type: Number,
     min: 0,
-    max: 3
+    default: 0
   },
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: 20
+  },
+  // Option indices listed in the correct sequence
+  correctOrder: [{
+    type: Number,
+    min: 0
+  }],
   explanation: {
     type: String,
     trim: true,
     maxlength: 1000
   },
 
+  // Media
+  media: mediaSchema,
+  // Media for individual options, keyed by stored option index
+  optionMedia: [{
+    optionIndex: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    media: {
+      type: mediaSchema,
+      required: true
+    }
+  }],
+
   // Question metadata
   difficulty: {
     type: String,
@@ -99,6 +205,38 @@ const quizSchema = new mongoose.Schema({
   verifiedAt: {
     type: Date
   },
+  // Why the question was taken out of rotation, e.g. a confirmed wrong answer key
+  deactivatedReason: {
+    type: String,
+    maxlength: 200
+  },
+
+  // Moderator review of unverified questions
+  review: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    claimedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    claimedAt: {
+      type: Date
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: {
+      type: Date
+    },
+    rejectionReason: {
+      type: String,
+      maxlength: 500
+    }
+  },
 
   // Usage statistics
   timesUsed: {
@@ -127,6 +265,42 @@ const quizSchema = new mongoose.Schema({
     max: 5,
     default: 3
   },
+  // How often each option was picked, by stored option index (reset when the options change)
+  answerDistribution: {
+    responses: {
+      type: Number,
+      default: 0
+    },
+    selections: [{
+      type: Number,
+      default: 0
+    }]
+  },
+  // Item statistics from the nightly recalibration (see calibrationService)
+  calibration: {
+    responses: Number,
+    // Share of correct answers
+    pValue: Number,
+    // Point-biserial correlation between answering correctly and player skill
+    discrimination: Number,
+    options: [{
+      _id: false,
+      optionIndex: Number,
+      isKey: Boolean,
+      selections: Number,
+      selectionRate: Number,
+      discrimination: Number,
+      isEffective: Boolean
+    }],
+    calibratedAt: Date
+  },
+  // Elo-style rating, updated on every graded answer
+  rating: {
+    type: Number,
+    default: function() {
+      return initialRatingForDifficulty(this.difficulty);
+    }
+  },
 
   // Question quality
   qualityScore: {
@@ -142,7 +316,7 @@ const quizSchema = new mongoose.Schema({
     },
     reason: {
       type: String,
-      enum: ['incorrect_answer', 'poor_quality', 'inappropriate', 'duplicate', 'other']
+      enum: REPORT_REASONS
     },
     description: String,
     reportedAt: {
@@ -153,18 +327,48 @@ const quizSchema = new mongoose.Schema({
       type: String,
       enum: ['pending', 'resolved', 'dismissed'],
       default: 'pending'
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date,
+    resolutionNote: {
+      type: String,
+      maxlength: 500
     }
   }],
 
+  // Near-duplicate detection (MinHash over question text and options)
+  similarity: {
+    signature: [Number],
+    bands: [String]
+  },
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz'
+  },
+  duplicateSimilarity: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+
   // Version control
   version: {
     type: Number,
     default: 1
   },
   previousVersions: [{
+    version: Number,
+    type: { type: String },
     question: String,
     options: [String],
     correctAnswer: Number,
+    correctOptions: [Number],
+    numericAnswer: Number,
+    tolerance: Number,
+    correctOrder: [Number],
     explanation: String,
     modifiedAt: Date,
     modifiedBy: {
@@ -179,8 +383,15 @@ const quizSchema = new mongoose.Schema({
     default: 'en',
     maxlength: 5
   },
+  // Translated options keep the order of the base options, so answers are
+  // graded by index whatever language the question was shown in
   translations: [{
-    language: String,
+    language: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      maxlength: 10
+    },
     question: String,
     options: [String],
     explanation: String,
@@ -188,7 +399,22 @@ const quizSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
-    translatedAt: Date
+    translatedAt: Date,
+    // Quiz.version the translation was written for
+    sourceVersion: {
+      type: Number,
+      default: 1
+    },
+    // Only verified translations are served to players
+    isVerified: {
+      type: Boolean,
+      default: false
+    },
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    verifiedAt: Date
   }]
 }, {
   timestamps: true,
@@ -202,7 +428,11 @@ quizSchema.index({ isActive: 1, isVerified: 1 });
 quizSchema.index({ tags: 1 });
 quizSchema.index({ timesUsed: -1 });
 quizSchema.index({ qualityScore: -1 });
+quizSchema.index({ isActive: 1, isVerified: 1, rating: 1 });
 quizSchema.index({ createdAt: -1 });
+quizSchema.index({ 'similarity.bands': 1 });
+quizSchema.index({ isVerified: 1, 'review.status': 1, createdAt: 1 });
+quizSchema.index({ 'reports.status': 1, 'reports.reportedAt': -1 });
 
 // Virtual fields
 quizSchema.virtual('accuracy').get(function() {
@@ -221,14 +451,23 @@ quizSchema.virtual('isReported').get(function() {
 
 // Pre-save middleware
 quizSchema.pre('save', function(next) {
-  // Validate options array
-  if (this.options.length < 2 || this.options.length > 4) {
-    return next(new Error('Question must have between 2 and 4 options'));
+  // Validate options, answer key and attached media
+  const contentErrors = this.getContentErrors();
+  if (contentErrors.length > 0) {
+    return next(new Error(contentErrors.join(', ')));
+  }
+
+  // Keep the similarity signature in sync with the content
+  if (this.isNew || this.isModified('question') || this.isModified('options')) {
+    this.updateSimilarity();
   }
 
-  // Validate correct answer index
-  if (this.correctAnswer < 0 || this.correctAnswer >= this.options.length) {
-    return next(new Error('Correct answer index is invalid'));
+  // Changed options may no longer line up with translated ones or recorded picks
+  if (!this.isNew && this.isModified('options')) {
+    this.translations.forEach(translation => {
+      translation.isVerified = false;
+    });
+    this.answerDistribution = { responses: 0, selections: [] };
   }
 
   // Update quality score based on usage
@@ -239,7 +478,66 @@ quizSchema.pre('save', function(next) {
   next();
 });
 
+// Category and subcategory must reference a real, active category when set or changed
+quizSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('category') && !this.isModified('subcategory')) return;
+
+  const error = await Category.validateAssignment(this.category, this.subcategory);
+  if (error) {
+    throw new Error(error);
+  }
+});
+
 // Instance methods
+// Answer key and media problems for the question type (checked on every save)
+quizSchema.methods.getContentErrors = function() {
+  const errors = validateAnswerKey(this);
+  if (errors.length > 0) return errors;
+
+  if (this.media) errors.push(...validateMedia(this.media));
+  this.optionMedia.forEach(entry => {
+    if (entry.optionIndex >= this.options.length) {
+      errors.push(`Media references missing option ${entry.optionIndex}`);
+    }
+    errors.push(...validateMedia(entry.media));
+  });
+
+  return errors;
+};
+
+// Everything that would stop the question from saving, as a list of messages
+quizSchema.methods.getValidationErrors = async function() {
+  const errors = [];
+
+  const validationError = this.validateSync();
+  if (validationError) {
+    errors.push(...Object.values(validationError.errors).map(error => error.message));
+  }
+  errors.push(...this.getContentErrors());
+
+  if (this.isNew || this.isModified('category') || this.isModified('subcategory')) {
+    const categoryError = await Category.validateAssignment(this.category, this.subcategory);
+    if (categoryError) errors.push(categoryError);
+  }
+
+  return errors;
+};
+
+// Apply edits from an admin or moderator. The current content is kept as a previous
+// version first when anything versioned changes. Returns the names of changed fields.
+quizSchema.methods.applyEdits = function(changes, modifiedBy) {
+  const changedFields = EDITABLE_FIELDS.filter(field => {
+    return changes[field] !== undefined && JSON.stringify(changes[field]) !== JSON.stringify(this.get(field));
+  });
+
+  if (changedFields.some(field => VERSIONED_FIELDS.includes(field))) {
+    this.createVersion(modifiedBy);
+  }
+  changedFields.forEach(field => this.set(field, changes[field]));
+
+  return changedFields;
+};
+
 quizSchema.methods.updateQualityScore = function() {
   const accuracy = this.accuracy;
   const usageRate = this.usageRate;
@@ -259,7 +557,7 @@ quizSchema.methods.updateQualityScore = function() {
   this.qualityScore = Math.max(0, Math.min(100, score));
 };
 
-quizSchema.methods.recordAnswer = function(isCorrect, timeSpent) {
+quizSchema.methods.recordAnswer = function(isCorrect, timeSpent, player) {
   this.timesUsed += 1;
   
   if (isCorrect) {
@@ -271,10 +569,129 @@ quizSchema.methods.recordAnswer = function(isCorrect, timeSpent) {
   // Update average time
   const totalTime = this.averageTime * (this.timesUsed - 1) + timeSpent;
   this.averageTime = totalTime / this.timesUsed;
+
+  // Update player and question ratings when the answering user is known
+  if (player) {
+    this.updateRatings(isCorrect, player);
+  }
   
   this.updateQualityScore();
 };
 
+// Count the options picked in a graded response (stored option indices)
+quizSchema.methods.recordSelection = function(response) {
+  if (!CHOICE_TYPES.includes(this.type || 'single_choice') || response === null || response === undefined) return;
+
+  const selections = this.options.map((_, index) => this.answerDistribution.selections[index] || 0);
+  [].concat(response).forEach(index => {
+    if (index >= 0 && index < selections.length) selections[index] += 1;
+  });
+
+  this.answerDistribution.responses += 1;
+  this.answerDistribution.selections = selections;
+};
+
+// Pick counts per option, flagging options nobody picks and wrong options
+// picked more often than the right answer
+quizSchema.methods.getAnswerDistribution = function() {
+  const { responses = 0, selections = [] } = this.answerDistribution || {};
+  const isChoice = CHOICE_TYPES.includes(this.type || 'single_choice');
+  const answerKey = isChoice ? [].concat(this.getAnswerKey()) : [];
+  const keySelections = Math.min(...answerKey.map(index => selections[index] || 0));
+  const hasEnoughData = isChoice && responses >= MIN_DISTRIBUTION_RESPONSES;
+
+  const options = isChoice ? this.options.map((option, optionIndex) => {
+    const count = selections[optionIndex] || 0;
+    const isKey = answerKey.includes(optionIndex);
+
+    return {
+      optionIndex,
+      option,
+      isKey,
+      selections: count,
+      selectionRate: responses > 0 ? Math.round((count / responses) * 1000) / 10 : 0,
+      neverPicked: hasEnoughData && count === 0,
+      beatsKey: hasEnoughData && !isKey && count > keySelections
+    };
+  }) : [];
+
+  return {
+    questionId: this._id,
+    question: this.question,
+    type: this.type,
+    category: this.category,
+    responses,
+    hasEnoughData,
+    options,
+    neverPicked: options.filter(option => option.neverPicked).map(option => option.optionIndex),
+    beatsKey: options.filter(option => option.beatsKey).map(option => option.optionIndex)
+  };
+};
+
+// Treat the answer as a match between the player and the question
+quizSchema.methods.updateRatings = function(isCorrect, player) {
+  const { playerDelta, questionDelta } = calculateRatingChange({
+    playerRating: player.skillRating,
+    questionRating: this.rating,
+    isCorrect,
+    playerAnswers: player.questionsAnswered,
+    questionAnswers: this.timesUsed
+  });
+
+  player.skillRating += playerDelta;
+  this.rating += questionDelta;
+
+  return { playerDelta, questionDelta };
+};
+
+quizSchema.methods.updateSimilarity = function() {
+  const signature = computeSignature(this);
+  this.similarity = { signature, bands: computeBands(signature) };
+  return this;
+};
+
+// Other questions whose estimated similarity reaches the threshold, most similar first
+quizSchema.methods.findNearDuplicates = async function(threshold = DUPLICATE_THRESHOLD) {
+  if (!this.similarity || !this.similarity.signature || this.similarity.signature.length === 0) {
+    this.updateSimilarity();
+  }
+
+  const candidates = await this.constructor.find({
+    _id: { $ne: this._id },
+    'similarity.bands': { $in: this.similarity.bands }
+  })
+  .select('question category qualityScore isActive similarity.signature');
+
+  return candidates
+    .map(candidate => ({
+      question: candidate,
+      similarity: estimateSimilarity(this.similarity.signature, candidate.similarity.signature)
+    }))
+    .filter(match => match.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity);
+};
+
+// Mark the question as a likely duplicate of its closest match (does not save)
+quizSchema.methods.flagNearDuplicates = async function(threshold = DUPLICATE_THRESHOLD) {
+  const matches = await this.findNearDuplicates(threshold);
+
+  if (matches.length > 0) {
+    this.duplicateOf = matches[0].question._id;
+    this.duplicateSimilarity = matches[0].similarity;
+  }
+
+  return matches;
+};
+
+// Grade a response expressed in stored option indices
+quizSchema.methods.gradeResponse = function(response) {
+  return gradeResponse(this, response);
+};
+
+quizSchema.methods.getAnswerKey = function() {
+  return getAnswerKey(this);
+};
+
 quizSchema.methods.reportQuestion = function(userId, reason, description) {
   this.reports.push({
     reportedBy: userId,
@@ -287,11 +704,37 @@ quizSchema.methods.reportQuestion = function(userId, reason, description) {
   this.updateQualityScore();
 };
 
+// Close a pending report. A confirmed wrong answer key takes the question out of
+// rotation until it is fixed. Returns the report, or null if it is not pending.
+quizSchema.methods.resolveReport = function(reportId, status, resolvedBy, note) {
+  const report = this.reports.id(reportId);
+  if (!report || report.status !== 'pending') return null;
+
+  report.status = status;
+  report.resolvedBy = resolvedBy;
+  report.resolvedAt = new Date();
+  report.resolutionNote = note;
+
+  if (status === 'resolved' && report.reason === 'incorrect_answer') {
+    this.isActive = false;
+    this.deactivatedReason = 'Reported incorrect answer was confirmed';
+  }
+
+  this.updateQualityScore();
+  return report;
+};
+
 quizSchema.methods.createVersion = function(modifiedBy) {
   this.previousVersions.push({
+    version: this.version,
+    type: this.type,
     question: this.question,
     options: [...this.options],
     correctAnswer: this.correctAnswer,
+    correctOptions: [...this.correctOptions],
+    numericAnswer: this.numericAnswer,
+    tolerance: this.tolerance,
+    correctOrder: [...this.correctOrder],
     explanation: this.explanation,
     modifiedAt: new Date(),
     modifiedBy
@@ -300,16 +743,194 @@ quizSchema.methods.createVersion = function(modifiedBy) {
   this.version += 1;
 };
 
+// Whether the reviewer currently holds an unexpired claim on the question
+quizSchema.methods.isClaimedBy = function(reviewerId) {
+  return Boolean(this.review && this.review.claimedBy &&
+    this.review.claimedBy.toString() === reviewerId.toString() &&
+    this.review.claimedAt > new Date(Date.now() - REVIEW_CLAIM_TIMEOUT_MS));
+};
+
+// Archived snapshot of version n. Snapshots written before they carried a
+// version number are stored in version order.
+const findArchivedVersion = (quiz, n) => {
+  return quiz.previousVersions.find((entry, index) => (entry.version || index + 1) === n);
+};
+
+// Versioned content as it was in version n (the current version included), or null
+quizSchema.methods.getVersionSnapshot = function(n) {
+  if (n === this.version) {
+    return Object.fromEntries(VERSIONED_FIELDS.map(field => [field, this.get(field)]));
+  }
+
+  const snapshot = findArchivedVersion(this, n);
+  if (!snapshot) return null;
+
+  return Object.fromEntries(VERSIONED_FIELDS.map(field => [field, snapshot.get(field)]));
+};
+
+// Every version from the first to the current one, with field-level changes
+// against the version before it
+quizSchema.methods.getVersionHistory = function() {
+  const history = [];
+  let previous = null;
+
+  for (let n = 1; n <= this.version; n++) {
+    const snapshot = this.getVersionSnapshot(n);
+    if (!snapshot) continue;
+
+    // A version is created by the edit that archived the one before it
+    const archived = n > 1 ? findArchivedVersion(this, n - 1) : null;
+    const changes = previous
+      ? VERSIONED_FIELDS
+        .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(snapshot[field]))
+        .map(field => ({ field, from: previous[field], to: snapshot[field] }))
+      : [];
+
+    history.push({
+      version: n,
+      isCurrent: n === this.version,
+      createdAt: n === 1 ? this.createdAt : archived && archived.modifiedAt,
+      createdBy: n === 1 ? this.createdBy : archived && archived.modifiedBy,
+      changes,
+      content: snapshot
+    });
+    previous = snapshot;
+  }
+
+  return history;
+};
+
 quizSchema.methods.toSafeObject = function() {
   const quizObject = this.toObject();
-  delete quizObject.correctAnswer;
-  delete quizObject.explanation;
-  delete quizObject.reports;
-  delete quizObject.previousVersions;
+  HIDDEN_FIELDS.forEach(field => delete quizObject[field]);
+
+  // Clients get resolved media URLs instead of storage paths
+  if (quizObject.media) {
+    quizObject.media = toPublicMedia(quizObject.media);
+  }
+  if (quizObject.optionMedia) {
+    quizObject.optionMedia = quizObject.optionMedia.map(entry => ({
+      optionIndex: entry.optionIndex,
+      media: toPublicMedia(entry.media)
+    }));
+  }
   return quizObject;
 };
 
+// Translation for a language, falling back from e.g. 'pt-br' to 'pt'
+quizSchema.methods.findTranslation = function(language) {
+  const normalized = normalizeLanguage(language);
+  if (!normalized) return null;
+
+  return this.translations.find(t => t.language === normalized) ||
+    this.translations.find(t => t.language === getPrimaryLanguage(normalized)) ||
+    null;
+};
+
+// Question text, options and explanation in the requested language, or in the
+// base language when there is no verified translation with matching options
+// written for the current version (an edit makes earlier translations stale)
+quizSchema.methods.getLocalizedContent = function(language) {
+  const base = {
+    language: this.language,
+    question: this.question,
+    options: [...this.options],
+    explanation: this.explanation
+  };
+
+  if (!language || getPrimaryLanguage(language) === getPrimaryLanguage(this.language)) {
+    return base;
+  }
+
+  const translation = this.findTranslation(language);
+  if (!translation || !translation.isVerified || translation.options.length !== this.options.length ||
+      (translation.sourceVersion || 1) < this.version) {
+    return base;
+  }
+
+  return {
+    language: translation.language,
+    question: translation.question,
+    options: [...translation.options],
+    explanation: translation.explanation || this.explanation
+  };
+};
+
+// Safe object for players with the content swapped for the localized version
+quizSchema.methods.toLocalizedObject = function(language) {
+  const quizObject = this.toSafeObject();
+  const { question, options, language: contentLanguage } = this.getLocalizedContent(language);
+
+  delete quizObject.translations;
+  return {
+    ...quizObject,
+    question,
+    options,
+    language: contentLanguage
+  };
+};
+
+// Add or replace the translation for a language; it needs verifying again
+quizSchema.methods.setTranslation = function(language, content, translatedBy) {
+  const normalized = normalizeLanguage(language);
+  let translation = this.translations.find(t => t.language === normalized);
+  if (!translation) {
+    this.translations.push({ language: normalized });
+    translation = this.translations[this.translations.length - 1];
+  }
+
+  translation.question = content.question;
+  translation.options = content.options || [];
+  translation.explanation = content.explanation;
+  translation.translatedBy = translatedBy;
+  translation.translatedAt = new Date();
+  translation.sourceVersion = this.version;
+  translation.isVerified = false;
+  translation.verifiedBy = undefined;
+  translation.verifiedAt = undefined;
+
+  return translation;
+};
+
+quizSchema.methods.verifyTranslation = function(language, verifiedBy) {
+  const translation = this.translations.find(t => t.language === normalizeLanguage(language));
+  if (!translation) return null;
+
+  translation.isVerified = true;
+  translation.verifiedBy = verifiedBy;
+  translation.verifiedAt = new Date();
+  translation.sourceVersion = this.version;
+
+  return translation;
+};
+
 // Static methods
+
+// Add a pending report in one atomic update, unless the player already reported
+// the question. Resolves to the new report, or null if there was one already.
+quizSchema.statics.addReport = async function(questionId, userId, reason, description) {
+  const report = {
+    _id: new mongoose.Types.ObjectId(),
+    reportedBy: userId,
+    reason,
+    description,
+    reportedAt: new Date(),
+    status: 'pending'
+  };
+
+  const question = await this.findOneAndUpdate(
+    { _id: questionId, 'reports.reportedBy': { $ne: userId } },
+    { $push: { reports: report } },
+    { new: true }
+  );
+  if (!question) return null;
+
+  question.updateQualityScore();
+  await this.updateOne({ _id: questionId }, { $set: { qualityScore: question.qualityScore } });
+
+  return question.reports.id(report._id);
+};
+
 quizSchema.statics.getRandomQuestions = function(category, difficulty, limit = 10) {
   const query = {
     isActive: true,
@@ -321,18 +942,95 @@ quizSchema.statics.getRandomQuestions = function(category, difficulty, limit = 1
   if (difficulty) query.difficulty = difficulty;
   
   return this.find(query)
-    .select('-correctAnswer -explanation -reports -previousVersions')
+    .select(HIDDEN_SELECT)
     .sort({ qualityScore: -1, timesUsed: 1 })
     .limit(limit);
 };
 
+// A random question from the getRandomQuestions pool that is not in excludeIds
+quizSchema.statics.getReplacementQuestion = async function(excludeIds, category, difficulty) {
+  const match = {
+    _id: { $nin: excludeIds },
+    isActive: true,
+    isVerified: true,
+    qualityScore: { $gte: 60 }
+  };
+
+  if (category) match.category = category;
+  if (difficulty) match.difficulty = difficulty;
+
+  const [question] = await this.aggregate([
+    { $match: match },
+    { $sample: { size: 1 } },
+    { $project: Object.fromEntries(HIDDEN_FIELDS.map(field => [field, 0])) }
+  ]);
+
+  return question ? this.hydrate(question) : null;
+};
+
+// Same pool as getRandomQuestions, but the pick only depends on the seed,
+// so every caller with the same seed gets the same questions in the same order
+quizSchema.statics.getSeededQuestions = async function(seed, limit = 10) {
+  const pool = await this.find({
+    isActive: true,
+    isVerified: true,
+    qualityScore: { $gte: 60 }
+  })
+  .select('_id')
+  .sort({ _id: 1 });
+
+  return seededShuffle(pool.map(question => question._id), seed).slice(0, limit);
+};
+
+// Pick the questions whose rating is closest to the player's skill rating
+quizSchema.statics.getAdaptiveQuestions = async function(category, targetRating, limit = 10) {
+  const match = {
+    isActive: true,
+    isVerified: true,
+    qualityScore: { $gte: 60 }
+  };
+
+  if (category) match.category = category;
+
+  const questions = await this.aggregate([
+    { $match: match },
+    {
+      $addFields: {
+        ratingGap: {
+          $abs: {
+            $subtract: [
+              {
+                $ifNull: ['$rating', {
+                  $switch: {
+                    branches: ['easy', 'medium', 'hard'].map(difficulty => ({
+                      case: { $eq: ['$difficulty', difficulty] },
+                      then: initialRatingForDifficulty(difficulty)
+                    })),
+                    default: DEFAULT_RATING
+                  }
+                }]
+              },
+              targetRating
+            ]
+          }
+        }
+      }
+    },
+    { $sort: { ratingGap: 1, timesUsed: 1 } },
+    { $limit: limit },
+    { $project: { ...Object.fromEntries(HIDDEN_FIELDS.map(field => [field, 0])), ratingGap: 0 } }
+  ]);
+
+  return questions.map(question => this.hydrate(question));
+};
+
 quizSchema.statics.getQuestionsByCategory = function(category, limit = 50) {
   return this.find({
     category,
     isActive: true,
     isVerified: true
   })
-  .select('-correctAnswer -explanation -reports -previousVersions')
+  .select(HIDDEN_SELECT)
   .sort({ qualityScore: -1 })
   .limit(limit);
 };
@@ -340,23 +1038,74 @@ quizSchema.statics.getQuestionsByCategory = function(category, limit = 50) {
 quizSchema.statics.getUnverifiedQuestions = function(limit = 20) {
   return this.find({
     isActive: true,
-    isVerified: false
+    isVerified: false,
+    'review.status': { $ne: 'rejected' }
   })
   .populate('createdBy', 'username')
   .sort({ createdAt: -1 })
   .limit(limit);
 };
 
-quizSchema.statics.getReportedQuestions = function(limit = 20) {
-  return this.find({
-    'reports.status': 'pending'
-  })
+// Filter for unverified questions a reviewer may claim: unclaimed, claim lapsed, or already theirs
+const claimableFilter = (reviewerId) => ({
+  isActive: true,
+  isVerified: false,
+  // Questions saved before reviews existed have no review status yet
+  'review.status': { $in: ['pending', null] },
+  $or: [
+    { 'review.claimedBy': null },
+    { 'review.claimedAt': { $lt: new Date(Date.now() - REVIEW_CLAIM_TIMEOUT_MS) } },
+    { 'review.claimedBy': reviewerId }
+  ]
+});
+
+// Oldest first, so nothing waits in the queue forever
+quizSchema.statics.getReviewQueue = function(reviewerId, filters = {}, limit = 20, skip = 0) {
+  return this.find({ ...claimableFilter(reviewerId), ...filters })
+    .select('question type options category subcategory difficulty source aiGenerated duplicateOf duplicateSimilarity review createdBy createdAt')
+    .populate('createdBy', 'username')
+    .sort({ createdAt: 1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+quizSchema.statics.countReviewQueue = function(reviewerId, filters = {}) {
+  return this.countDocuments({ ...claimableFilter(reviewerId), ...filters });
+};
+
+// Atomically claim a question for review; a specific question or the oldest available one
+quizSchema.statics.claimForReview = function(reviewerId, questionId, filters = {}) {
+  const filter = { ...claimableFilter(reviewerId), ...filters };
+  if (questionId) filter._id = questionId;
+
+  return this.findOneAndUpdate(
+    filter,
+    { 'review.claimedBy': reviewerId, 'review.claimedAt': new Date() },
+    { new: true, sort: { createdAt: 1 } }
+  );
+};
+
+// Questions with pending reports, optionally only reports for one reason
+const pendingReportsFilter = (reason) => {
+  return reason
+    ? { reports: { $elemMatch: { status: 'pending', reason } } }
+    : { 'reports.status': 'pending' };
+};
+
+quizSchema.statics.getReportedQuestions = function(limit = 20, reason, skip = 0) {
+  return this.find(pendingReportsFilter(reason))
   .populate('createdBy', 'username')
   .populate('reports.reportedBy', 'username')
+  .populate('reports.resolvedBy', 'username')
   .sort({ 'reports.reportedAt': -1 })
+  .skip(skip)
   .limit(limit);
 };
 
+quizSchema.statics.countReportedQuestions = function(reason) {
+  return this.countDocuments(pendingReportsFilter(reason));
+};
+
 quizSchema.statics.getStatistics = function() {
   return this.aggregate([
     {
@@ -374,11 +1123,13 @@ quizSchema.statics.getStatistics = function() {
   ]);
 };
 
-quizSchema.statics.getCategoryStats = function() {
+// Question counts per category slug (or per subcategory with field = 'subcategory')
+quizSchema.statics.getCategoryStats = function(field = 'category') {
   return this.aggregate([
+    ...(field === 'category' ? [] : [{ $match: { [field]: { $nin: [null, ''] } } }]),
     {
       $group: {
-        _id: '$category',
+        _id: `$${field}`,
         count: { $sum: 1 },
         activeCount: { $sum: { $cond: ['$isActive', 1, 0] } },
         verifiedCount: { $sum: { $cond: ['$isVerified', 1, 0] } },
@@ -390,4 +1141,71 @@ quizSchema.statics.getCategoryStats = function() {
   ]);
 };
 
+// Per-language translation coverage of active questions. Questions written in
+// a language count as covered; translations count once verified.
+quizSchema.statics.getTranslationCoverage = async function(category) {
+  const match = { isActive: true };
+  if (category) match.category = category;
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        base: [{ $group: { _id: '$language', count: { $sum: 1 } } }],
+        translations: [
+          { $unwind: '$translations' },
+          {
+            $group: {
+              _id: '$translations.language',
+              translated: { $sum: 1 },
+              verified: { $sum: { $cond: ['$translations.isVerified', 1, 0] } },
+              outdated: {
+                $sum: {
+                  $cond: [{ $lt: [{ $ifNull: ['$translations.sourceVersion', 1] }, '$version'] }, 1, 0]
+                }
+              }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const totalQuestions = result.total.length > 0 ? result.total[0].count : 0;
+  const languages = new Map();
+  const entryFor = (language) => {
+    if (!languages.has(language)) {
+      languages.set(language, { language, base: 0, translated: 0, verified: 0, outdated: 0 });
+    }
+    return languages.get(language);
+  };
+
+  result.base.forEach(({ _id, count }) => {
+    entryFor(_id || 'en').base += count;
+  });
+  result.translations.filter(entry => entry._id).forEach(({ _id, translated, verified, outdated }) => {
+    Object.assign(entryFor(_id), { translated, verified, outdated });
+  });
+
+  return {
+    totalQuestions,
+    languages: [...languages.values()]
+      .map(entry => ({
+        ...entry,
+        coverage: totalQuestions > 0
+          ? Math.round(((entry.base + entry.verified) / totalQuestions) * 1000) / 10
+          : 0
+      }))
+      .sort((a, b) => b.coverage - a.coverage || a.language.localeCompare(b.language))
+  };
+};
+
+// Projection that strips answer keys and moderation data from client-facing queries
+quizSchema.statics.HIDDEN_SELECT = HIDDEN_SELECT;
+quizSchema.statics.REVIEW_CLAIM_TIMEOUT_MS = REVIEW_CLAIM_TIMEOUT_MS;
+quizSchema.statics.EDITABLE_FIELDS = EDITABLE_FIELDS;
+quizSchema.statics.REPORT_REASONS = REPORT_REASONS;
+quizSchema.statics.MIN_DISTRIBUTION_RESPONSES = MIN_DISTRIBUTION_RESPONSES;
+
 module.exports = mongoose.model('Quiz', quizSchema);
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+
+const quizAttemptSchema = new mongoose.Schema({
+  // Attempt owner
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuizSession'
+  },
+
+  // Quiz context
+  mode: {
+    type: String,
+    default: 'standard'
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard']
+  },
+  category: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+
+  // Results
+  score: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  totalPoints: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  totalTimeSpent: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  questionCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  correctCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  answers: [{
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz'
+    },
+    // Quiz.version the answer was given to
+    questionVersion: Number,
+    // Option index, list of indices or number depending on the question type
+    selectedAnswer: mongoose.Schema.Types.Mixed,
+    isCorrect: Boolean,
+    timeSpent: Number, // ms, measured by the server
+    timedOut: Boolean,
+    // Lifelines used on the question
+    lifelines: [String],
+    // The question was forfeited by pausing the session on it
+    pausedOn: Boolean
+  }],
+
+  // Rate limiting
+  countsTowardLimits: {
+    type: Boolean,
+    default: true
+  },
+
+  // Fraud detection
+  suspicious: {
+    type: Boolean,
+    default: false
+  },
+  suspiciousReasons: [{
+    type: String
+  }],
+  reviewedAt: {
+    type: Date
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  completedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+quizAttemptSchema.index({ userId: 1, completedAt: -1 });
+quizAttemptSchema.index({ userId: 1, countsTowardLimits: 1, completedAt: -1 });
+quizAttemptSchema.index({ suspicious: 1, reviewedAt: 1 });
+quizAttemptSchema.index({ sessionId: 1 });
+
+// Virtual fields
+quizAttemptSchema.virtual('accuracy').get(function() {
+  return this.questionCount > 0 ? (this.correctCount / this.questionCount) * 100 : 0;
+});
+
+// Static methods
+quizAttemptSchema.statics.countAttemptsSince = function(userId, since) {
+  return this.countDocuments({
+    userId,
+    countsTowardLimits: true,
+    completedAt: { $gte: since }
+  });
+};
+
+quizAttemptSchema.statics.getLastAttempt = function(userId) {
+  return this.findOne({ userId, countsTowardLimits: true })
+    .sort({ completedAt: -1 });
+};
+
+// Practice attempts are left out: they earn nothing, so they say little about cheating
+quizAttemptSchema.statics.getRecentScores = function(userId, limit = 5) {
+  return this.find({ userId, mode: { $ne: 'practice' } })
+    .select('score')
+    .sort({ completedAt: -1 })
+    .limit(limit);
+};
+
+quizAttemptSchema.statics.hasUnreviewedFlags = async function(userId) {
+  const flagged = await this.exists({
+    userId,
+    suspicious: true,
+    reviewedAt: { $exists: false }
+  });
+  return !!flagged;
+};
+
+quizAttemptSchema.statics.getUserHistory = function(userId, options = {}) {
+  const { skip = 0, limit = 20, difficulty, category } = options;
+  const query = { userId };
+
+  if (difficulty) query.difficulty = difficulty;
+  if (category) query.category = category;
+
+  return Promise.all([
+    this.find(query)
+      .select('-suspicious -suspiciousReasons -reviewedAt -reviewedBy -countsTowardLimits')
+      .sort({ completedAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    this.countDocuments(query)
+  ]);
+};
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
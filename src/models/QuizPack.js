@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const Category = require('./Category');
+const { resolveMediaUrl } = require('../utils/media');
+
+const MAX_PACK_QUESTIONS = 50;
+
+// Curated, themed question list played in a fixed order
+const quizPackSchema = new mongoose.Schema({
+  // Identifier used by clients; never changes
+  slug: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    maxlength: 50,
+    match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+    immutable: true
+  },
+
+  // Display
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // Uploaded image path (relative to UPLOAD_PATH) or absolute URL
+  coverImage: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  category: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 50
+  },
+
+  // Questions in play order
+  questions: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz'
+    }],
+    validate: {
+      validator: (questions) => questions.length > 0 && questions.length <= MAX_PACK_QUESTIONS,
+      message: `A pack needs between 1 and ${MAX_PACK_QUESTIONS} questions`
+    }
+  },
+
+  // Access
+  unlockLevel: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Bonus balance paid once to unlock the pack
+  entryCost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Status
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+quizPackSchema.index({ slug: 1 }, { unique: true });
+quizPackSchema.index({ isPublished: 1, sortOrder: 1 });
+
+// Virtual fields
+quizPackSchema.virtual('questionCount').get(function() {
+  return this.questions ? this.questions.length : 0;
+});
+
+quizPackSchema.virtual('coverUrl').get(function() {
+  return resolveMediaUrl(this.coverImage);
+});
+
+// Category must reference a real, active category when set or changed
+quizPackSchema.pre('save', async function() {
+  if (!this.category || (!this.isNew && !this.isModified('category'))) return;
+
+  const error = await Category.validateAssignment(this.category);
+  if (error) {
+    throw new Error(error);
+  }
+});
+
+// Instance methods
+
+// Player-facing summary (no question content)
+quizPackSchema.methods.toPublicObject = function() {
+  return {
+    id: this._id,
+    slug: this.slug,
+    title: this.title,
+    description: this.description,
+    coverUrl: this.coverUrl,
+    category: this.category,
+    questionCount: this.questionCount,
+    unlockLevel: this.unlockLevel,
+    entryCost: this.entryCost
+  };
+};
+
+// Static methods
+quizPackSchema.statics.getPublishedPacks = function(category) {
+  const filter = { isPublished: true };
+  if (category) filter.category = category;
+
+  return this.find(filter).sort({ sortOrder: 1, createdAt: -1 });
+};
+
+quizPackSchema.statics.MAX_PACK_QUESTIONS = MAX_PACK_QUESTIONS;
+
+module.exports = mongoose.model('QuizPack', quizPackSchema);
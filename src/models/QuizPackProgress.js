@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+// A player's unlock, attempts and best result for one quiz pack
+const quizPackProgressSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  packId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuizPack',
+    required: true
+  },
+
+  // Set once the entry cost was paid
+  unlockedAt: {
+    type: Date
+  },
+  entryCostPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Sessions started, and submitted sessions with every question answered
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  completions: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  firstCompletedAt: {
+    type: Date
+  },
+  lastPlayedAt: {
+    type: Date
+  },
+
+  // Best submitted result
+  bestScore: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  bestPoints: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+quizPackProgressSchema.index({ userId: 1, packId: 1 }, { unique: true });
+quizPackProgressSchema.index({ packId: 1, bestScore: -1 });
+
+// Virtual fields
+quizPackProgressSchema.virtual('isCompleted').get(function() {
+  return this.completions > 0;
+});
+
+// Instance methods
+quizPackProgressSchema.methods.toSummary = function() {
+  return {
+    unlocked: Boolean(this.unlockedAt),
+    attempts: this.attempts,
+    completions: this.completions,
+    isCompleted: this.isCompleted,
+    bestScore: this.bestScore,
+    bestPoints: this.bestPoints,
+    firstCompletedAt: this.firstCompletedAt,
+    lastPlayedAt: this.lastPlayedAt
+  };
+};
+
+// Static methods
+
+// Mark the pack as unlocked. Resolves to the progress, or null if it already was.
+quizPackProgressSchema.statics.unlock = async function(userId, packId, entryCostPaid) {
+  try {
+    return await this.findOneAndUpdate(
+      { userId, packId, unlockedAt: null },
+      { $set: { unlockedAt: new Date(), entryCostPaid } },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // The upsert collides with an existing, already unlocked entry
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Count a started session; resolves to the progress including this attempt
+quizPackProgressSchema.statics.recordStart = function(userId, packId) {
+  return this.findOneAndUpdate(
+    { userId, packId },
+    { $inc: { attempts: 1 }, $set: { lastPlayedAt: new Date() } },
+    { new: true, upsert: true }
+  );
+};
+
+// Record a submitted session, keeping the best score and points
+quizPackProgressSchema.statics.recordResult = function(userId, packId, result) {
+  const { score, totalPoints, completed } = result;
+  const now = new Date();
+
+  const update = {
+    $max: { bestScore: score, bestPoints: totalPoints },
+    $set: { lastPlayedAt: now }
+  };
+  if (completed) {
+    update.$inc = { completions: 1 };
+    update.$min = { firstCompletedAt: now };
+  }
+
+  return this.findOneAndUpdate({ userId, packId }, update, { new: true, upsert: true });
+};
+
+// Progress for several packs, keyed by pack id
+quizPackProgressSchema.statics.getForPacks = async function(userId, packIds) {
+  const entries = await this.find({ userId, packId: { $in: packIds } });
+  return new Map(entries.map(entry => [entry.packId.toString(), entry]));
+};
+
+module.exports = mongoose.model('QuizPackProgress', quizPackProgressSchema);
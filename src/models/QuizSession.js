@@ -0,0 +1,593 @@
+const mongoose = require('mongoose');
+const { QUESTION_TYPES, SHUFFLED_TYPES, normalizeResponse, mapResponse } = require('../utils/questionTypes');
+const { LIFELINE_TYPES } = require('../utils/lifelines');
+const { initialRatingForDifficulty, scalePointsForRating } = require('../utils/rating');
+
+// Extra time allowed on top of the summed question time limits before a
+// session is considered expired (network latency, slow devices, etc.)
+const SESSION_GRACE_PERIOD_MS = 60 * 1000;
+
+// Extra time allowed on top of each question's time limit for network latency
+const ANSWER_GRACE_PERIOD_MS = 3 * 1000;
+
+// Share of the scored points a practice session gives as XP (practice pays no balance)
+const PRACTICE_XP_MULTIPLIER = 0.25;
+
+// How long a paused session can wait to be resumed, and how often a session can be paused
+const PAUSE_WINDOW_MS = (parseInt(process.env.QUIZ_PAUSE_WINDOW_MINUTES) || 30) * 60 * 1000;
+const MAX_PAUSES = parseInt(process.env.QUIZ_MAX_PAUSES) || 3;
+
+const quizSessionSchema = new mongoose.Schema({
+  // Session owner
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Questions served in this session, in display order
+  questions: [{
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz',
+      required: true
+    },
+    // Quiz.version the player was shown
+    questionVersion: {
+      type: Number,
+      default: 1
+    },
+    type: {
+      type: String,
+      enum: QUESTION_TYPES,
+      default: 'single_choice'
+    },
+    // optionOrder[displayedIndex] = index in the stored Quiz.options array
+    optionOrder: [{
+      type: Number,
+      min: 0
+    }],
+    points: {
+      type: Number,
+      default: 0
+    },
+    timeLimit: {
+      type: Number,
+      default: 30 // seconds
+    },
+
+    // Server-side timing and the player's response (in displayed option indices)
+    deliveredAt: {
+      type: Date
+    },
+    answeredAt: {
+      type: Date
+    },
+    selectedAnswer: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    elapsedMs: {
+      type: Number,
+      min: 0
+    },
+    timedOut: {
+      type: Boolean,
+      default: false
+    },
+    // Set when the session is graded (and updated by regrades)
+    isCorrect: {
+      type: Boolean
+    },
+
+    // Lifelines used on this question
+    lifelines: [{
+      type: String,
+      enum: LIFELINE_TYPES
+    }],
+    // Wrong options taken out by 50/50 (stored option indices)
+    removedOptions: [{
+      type: Number,
+      min: 0
+    }],
+    // Seconds added to the time limit
+    extraTime: {
+      type: Number,
+      default: 0
+    },
+    // Forfeited: the session was paused while this question was on screen
+    pausedOn: {
+      type: Boolean,
+      default: false
+    }
+  }],
+
+  // Lifelines used in the session and how they were paid for
+  lifelines: [{
+    type: {
+      type: String,
+      enum: LIFELINE_TYPES,
+      required: true
+    },
+    questionIndex: Number,
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz'
+    },
+    // Question taken out by a skip
+    replacedQuestionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz'
+    },
+    paidWith: {
+      type: String,
+      enum: ['inventory', 'bonus']
+    },
+    cost: {
+      type: Number,
+      default: 0
+    },
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    usedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Request context
+  mode: {
+    type: String,
+    enum: ['standard', 'adaptive', 'review', 'daily', 'practice', 'pack'],
+    default: 'standard'
+  },
+  category: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard']
+  },
+  // Day of the daily challenge played in this session ('YYYY-MM-DD')
+  challengeDate: {
+    type: String
+  },
+  // Quiz pack played in this session, and which of the player's attempts at it this is
+  packId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuizPack'
+  },
+  packAttempt: {
+    type: Number,
+    min: 1
+  },
+  // Player's skill rating at the start of a standard or adaptive session; question
+  // points are scaled by it
+  playerRating: {
+    type: Number
+  },
+  // Language the questions are shown in (translations fall back to the base text)
+  language: {
+    type: String,
+    maxlength: 10
+  },
+
+  // Session status
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'submitted', 'expired'],
+    default: 'active'
+  },
+
+  // Pauses: while paused no answers are taken and the question timers stand still
+  pausedAt: {
+    type: Date
+  },
+  // A paused session expires if it isn't resumed by then
+  resumeBy: {
+    type: Date
+  },
+  pauses: [{
+    pausedAt: {
+      type: Date,
+      required: true
+    },
+    resumedAt: {
+      type: Date
+    },
+    questionIndex: Number
+  }],
+  // Total time spent paused
+  pausedMs: {
+    type: Number,
+    default: 0
+  },
+
+  // Timing
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  submittedAt: {
+    type: Date
+  },
+  // Last time a corrected answer key changed this session's results
+  regradedAt: {
+    type: Date
+  },
+
+  // Results (filled on submit)
+  score: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  totalPoints: {
+    type: Number,
+    default: 0
+  },
+  correctCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+quizSessionSchema.index({ userId: 1, createdAt: -1 });
+quizSessionSchema.index({ status: 1, expiresAt: 1 });
+quizSessionSchema.index({ userId: 1, status: 1, resumeBy: 1 });
+quizSessionSchema.index({ 'questions.questionId': 1, status: 1 });
+// One daily challenge attempt per user per day
+quizSessionSchema.index(
+  { userId: 1, challengeDate: 1 },
+  { unique: true, partialFilterExpression: { challengeDate: { $exists: true } } }
+);
+quizSessionSchema.index({ challengeDate: 1, status: 1, score: -1 });
+
+// Virtual fields
+quizSessionSchema.virtual('isExpired').get(function() {
+  if (this.status === 'paused') {
+    return this.resumeBy ? new Date() > this.resumeBy : false;
+  }
+  return this.expiresAt ? new Date() > this.expiresAt : false;
+});
+
+quizSessionSchema.virtual('pausesLeft').get(function() {
+  return Math.max(0, MAX_PAUSES - (this.pauses ? this.pauses.length : 0));
+});
+
+// Instance methods
+quizSessionSchema.methods.getSessionQuestion = function(questionId) {
+  return this.questions.find(q => q.questionId.toString() === questionId.toString());
+};
+
+// Index of the question that has been delivered but not answered yet, or -1
+quizSessionSchema.methods.getCurrentQuestionIndex = function() {
+  return this.questions.findIndex(q => q.deliveredAt && !q.answeredAt);
+};
+
+// Latest time an answer to a delivered question is accepted
+quizSessionSchema.methods.getAnswerDeadline = function(sessionQuestion) {
+  const timeLimitMs = (sessionQuestion.timeLimit + (sessionQuestion.extraTime || 0)) * 1000;
+  return new Date(sessionQuestion.deliveredAt.getTime() + timeLimitMs + ANSWER_GRACE_PERIOD_MS);
+};
+
+quizSessionSchema.methods.hasUsedLifeline = function(type) {
+  return this.lifelines.some(lifeline => lifeline.type === type);
+};
+
+// Validate a response as the player submitted it (displayed option indices) and
+// translate it to stored option indices. Returns null for malformed responses.
+quizSessionSchema.methods.resolveResponse = function(questionId, selected) {
+  const sessionQuestion = this.getSessionQuestion(questionId);
+  if (!sessionQuestion) return null;
+
+  const { type, optionOrder } = sessionQuestion;
+  const response = normalizeResponse(type, selected, optionOrder.length);
+
+  return mapResponse(type, response, displayedIndex => optionOrder[displayedIndex]);
+};
+
+// Translate a response or answer key in stored option indices to what the player saw
+quizSessionSchema.methods.toDisplayedResponse = function(questionId, response) {
+  const sessionQuestion = this.getSessionQuestion(questionId);
+  if (!sessionQuestion) return null;
+
+  const { type, optionOrder } = sessionQuestion;
+  return mapResponse(type, response, originalIndex => optionOrder.indexOf(originalIndex));
+};
+
+// Atomically store the answer to the current question and deliver the next one.
+// Resolves to the updated session, or null if the question was already answered
+// or the session is no longer active.
+quizSessionSchema.methods.recordAnswer = function(questionIndex, answer) {
+  const { selectedAnswer, answeredAt, elapsedMs, timedOut } = answer;
+  const path = `questions.${questionIndex}`;
+
+  const update = {
+    [`${path}.selectedAnswer`]: selectedAnswer,
+    [`${path}.answeredAt`]: answeredAt,
+    [`${path}.elapsedMs`]: elapsedMs,
+    [`${path}.timedOut`]: timedOut
+  };
+  if (questionIndex + 1 < this.questions.length) {
+    update[`questions.${questionIndex + 1}.deliveredAt`] = answeredAt;
+  }
+
+  return this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      userId: this.userId,
+      status: 'active',
+      [`${path}.deliveredAt`]: { $ne: null },
+      [`${path}.answeredAt`]: null
+    },
+    { $set: update },
+    { new: true }
+  );
+};
+
+// Atomically record a lifeline used on the current question together with the
+// question changes it makes (`changes` maps paths to new values). Resolves to the
+// updated session, or null if the question was answered in the meantime or the
+// lifeline was already used in this session.
+quizSessionSchema.methods.applyLifeline = function(questionIndex, lifeline, changes = {}) {
+  const path = `questions.${questionIndex}`;
+
+  return this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      userId: this.userId,
+      status: 'active',
+      [`${path}.questionId`]: this.questions[questionIndex].questionId,
+      [`${path}.answeredAt`]: null,
+      'lifelines.type': { $ne: lifeline.type }
+    },
+    {
+      $set: changes,
+      $push: { lifelines: lifeline }
+    },
+    { new: true }
+  );
+};
+
+// Atomically pause the session on its current question. The question has been seen,
+// so it is forfeited (closed unanswered) rather than held over the pause; the next
+// one is delivered on resume. Resolves to the updated session, or null if the
+// session was answered, paused or closed in the meantime or has no pauses left.
+quizSessionSchema.methods.pause = function(now = new Date()) {
+  const questionIndex = this.getCurrentQuestionIndex();
+  const path = `questions.${questionIndex}`;
+  const { deliveredAt } = this.questions[questionIndex];
+
+  return this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      userId: this.userId,
+      status: 'active',
+      expiresAt: { $gt: now },
+      [`${path}.deliveredAt`]: deliveredAt,
+      [`${path}.answeredAt`]: null,
+      [`pauses.${MAX_PAUSES - 1}`]: { $exists: false }
+    },
+    {
+      $set: {
+        status: 'paused',
+        pausedAt: now,
+        resumeBy: new Date(now.getTime() + PAUSE_WINDOW_MS),
+        [`${path}.selectedAnswer`]: null,
+        [`${path}.answeredAt`]: now,
+        [`${path}.elapsedMs`]: Math.max(0, now.getTime() - deliveredAt.getTime()),
+        [`${path}.pausedOn`]: true
+      },
+      $push: { pauses: { pausedAt: now, questionIndex } }
+    },
+    { new: true }
+  );
+};
+
+// Atomically resume a paused session and deliver the question after the forfeited
+// one, if any. The session expiry moves forward by the time spent paused, so the
+// pause doesn't count toward it. Resolves to the updated session, or null if it was
+// resumed already or the resume window has passed.
+quizSessionSchema.methods.resume = function(now = new Date()) {
+  const pause = this.pauses[this.pauses.length - 1];
+  const nextIndex = pause.questionIndex + 1;
+  const pausedMs = Math.max(0, now.getTime() - this.pausedAt.getTime());
+
+  const update = {
+    status: 'active',
+    expiresAt: new Date(this.expiresAt.getTime() + pausedMs),
+    [`pauses.${this.pauses.length - 1}.resumedAt`]: now
+  };
+  if (nextIndex < this.questions.length) {
+    update[`questions.${nextIndex}.deliveredAt`] = now;
+  }
+
+  return this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      userId: this.userId,
+      status: 'paused',
+      pausedAt: this.pausedAt,
+      resumeBy: { $gt: now }
+    },
+    {
+      $set: update,
+      $unset: { pausedAt: '', resumeBy: '' },
+      $inc: { pausedMs }
+    },
+    { new: true }
+  );
+};
+
+// Static methods
+quizSessionSchema.statics.shuffleOptionOrder = function(optionCount) {
+  const order = Array.from({ length: optionCount }, (_, index) => index);
+
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  return order;
+};
+
+// Session entry for a question, with a fresh option shuffle. With a player rating
+// the question's points are scaled by how likely the player is to get it right.
+quizSessionSchema.statics.toSessionQuestion = function(question, playerRating) {
+  const type = question.type || 'single_choice';
+  const optionCount = question.options.length;
+  const questionRating = typeof question.rating === 'number'
+    ? question.rating
+    : initialRatingForDifficulty(question.difficulty);
+
+  return {
+    questionId: question._id,
+    questionVersion: question.version,
+    type,
+    optionOrder: SHUFFLED_TYPES.includes(type)
+      ? this.shuffleOptionOrder(optionCount)
+      : Array.from({ length: optionCount }, (_, index) => index),
+    points: typeof playerRating === 'number'
+      ? scalePointsForRating(question.points, playerRating, questionRating)
+      : question.points,
+    timeLimit: question.timeLimit
+  };
+};
+
+quizSessionSchema.statics.createForQuestions = function(userId, questions, options = {}) {
+  const { mode, category, difficulty, challengeDate, language, packId, packAttempt, playerRating } = options;
+  const issuedAt = new Date();
+
+  const sessionQuestions = questions.map(question => this.toSessionQuestion(question, playerRating));
+
+  // The first question is delivered with the session; the rest as earlier ones are answered
+  if (sessionQuestions.length > 0) {
+    sessionQuestions[0].deliveredAt = issuedAt;
+  }
+
+  const totalTimeMs = sessionQuestions.reduce((total, q) => total + q.timeLimit * 1000 + ANSWER_GRACE_PERIOD_MS, 0);
+
+  return this.create({
+    userId,
+    questions: sessionQuestions,
+    mode,
+    category,
+    difficulty,
+    challengeDate,
+    language,
+    packId,
+    packAttempt,
+    playerRating,
+    issuedAt,
+    expiresAt: new Date(issuedAt.getTime() + totalTimeMs + SESSION_GRACE_PERIOD_MS)
+  });
+};
+
+// Atomically move an active, unexpired session to 'submitted' so it can only be graded once
+quizSessionSchema.statics.claimForSubmission = function(sessionId, userId) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      userId,
+      status: 'active',
+      expiresAt: { $gt: now }
+    },
+    {
+      status: 'submitted',
+      submittedAt: now
+    },
+    { new: true }
+  );
+};
+
+// Whether the question was shown to the player in any of their sessions
+quizSessionSchema.statics.hasSeenQuestion = async function(userId, questionId) {
+  const session = await this.exists({
+    userId,
+    questions: { $elemMatch: { questionId, deliveredAt: { $ne: null } } }
+  });
+  return !!session;
+};
+
+// Sessions that still count toward the quiz limits but have no attempt recorded
+// yet: started and neither submitted nor expired (practice doesn't count)
+quizSessionSchema.statics.countOpenSessions = function(userId, now = new Date()) {
+  return this.countDocuments({
+    userId,
+    mode: { $ne: 'practice' },
+    $or: [
+      { status: 'active', expiresAt: { $gt: now } },
+      { status: 'paused', resumeBy: { $gt: now } }
+    ]
+  });
+};
+
+// Most recent start of a session that counts toward the quiz limits
+quizSessionSchema.statics.getLastStart = function(userId) {
+  return this.findOne({ userId, mode: { $ne: 'practice' } })
+    .select('issuedAt')
+    .sort({ issuedAt: -1 });
+};
+
+// Submitted daily challenge attempts for a day: best score first, then fastest
+quizSessionSchema.statics.getDailyLeaderboard = function(challengeDate, limit = 50) {
+  return this.aggregate([
+    { $match: { challengeDate, status: 'submitted' } },
+    {
+      $addFields: {
+        duration: {
+          $subtract: [{ $subtract: ['$submittedAt', '$issuedAt'] }, { $ifNull: ['$pausedMs', 0] }]
+        }
+      }
+    },
+    { $sort: { score: -1, totalPoints: -1, duration: 1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'userId',
+        foreignField: '_id',
+        as: 'user'
+      }
+    },
+    { $unwind: '$user' },
+    {
+      $project: {
+        _id: 0,
+        userId: 1,
+        username: '$user.username',
+        avatar: '$user.avatar',
+        score: 1,
+        totalPoints: 1,
+        correctCount: 1,
+        duration: 1,
+        submittedAt: 1
+      }
+    }
+  ]);
+};
+
+quizSessionSchema.statics.SESSION_GRACE_PERIOD_MS = SESSION_GRACE_PERIOD_MS;
+quizSessionSchema.statics.ANSWER_GRACE_PERIOD_MS = ANSWER_GRACE_PERIOD_MS;
+
+quizSessionSchema.statics.PRACTICE_XP_MULTIPLIER = PRACTICE_XP_MULTIPLIER;
+
+quizSessionSchema.statics.PAUSE_WINDOW_MS = PAUSE_WINDOW_MS;
+quizSessionSchema.statics.MAX_PAUSES = MAX_PAUSES;
+
+module.exports = mongoose.model('QuizSession', quizSessionSchema);
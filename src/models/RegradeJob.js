@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Background regrade of past answers after a question's answer key was corrected
+const regradeJobSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true
+  },
+  // Quiz.version whose answer key the answers are regraded against
+  questionVersion: {
+    type: Number,
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Dry runs only produce the report
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+
+  // Job status
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  error: {
+    type: String
+  },
+
+  // Summary and affected users, filled when the job completes
+  report: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+regradeJobSchema.index({ questionId: 1, createdAt: -1 });
+regradeJobSchema.index({ status: 1 });
+
+// Static methods
+regradeJobSchema.statics.hasPendingJob = function(questionId) {
+  return this.exists({ questionId, status: { $in: ['queued', 'running'] } });
+};
+
+module.exports = mongoose.model('RegradeJob', regradeJobSchema);
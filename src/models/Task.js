@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Category = require('./Category');
 
 const taskSchema = new mongoose.Schema({
   // Task basic info
@@ -156,6 +157,17 @@ taskSchema.virtual('canComplete').get(function() {
   return this.isActive && this.isVerified && !this.isExpired;
 });
 
+// Pre-save middleware
+// Category must reference a real, active category when set or changed
+taskSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('category')) return;
+
+  const error = await Category.validateAssignment(this.category);
+  if (error) {
+    throw new Error(error);
+  }
+});
+
 // Static methods
 taskSchema.statics.getActiveTasks = function() {
   return this.find({
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Category = require('./Category');
 
 const tournamentSchema = new mongoose.Schema({
   // Basic tournament info
@@ -78,10 +79,20 @@ const tournamentSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Quiz'
       },
-      selectedAnswer: Number,
+      // Quiz.version the answer was graded against
+      questionVersion: Number,
+      selectedAnswer: mongoose.Schema.Types.Mixed,
       isCorrect: Boolean,
       timeSpent: Number
     }],
+    // Server-side timing: when the questions were first sent to the participant
+    // and when their answers came in
+    startedAt: {
+      type: Date
+    },
+    submittedAt: {
+      type: Date
+    },
     rank: {
       type: Number,
       default: 0
@@ -330,6 +341,16 @@ tournamentSchema.pre('save', function(next) {
   next();
 });
 
+// Category must reference a real, active category when set or changed
+tournamentSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('category')) return;
+
+  const error = await Category.validateAssignment(this.category);
+  if (error) {
+    throw new Error(error);
+  }
+});
+
 // Instance methods
 tournamentSchema.methods.generateInviteCode = function() {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
@@ -447,9 +468,8 @@ tournamentSchema.methods.distributePrizes = function() {
 
   this.participants.forEach(participant => {
     const prizeInfo = this.prizeDistribution.find(p => p.rank === participant.rank);
-    if (prizeInfo) {
-      participant.prize = prizeInfo.prize;
-    }
+    // Reset ranks without a prize too, so redistributing after a regrade is correct
+    participant.prize = prizeInfo ? prizeInfo.prize : 0;
   });
 
   // Update stats
@@ -469,6 +489,54 @@ tournamentSchema.methods.updateParticipantScore = function(userId, score, timeSp
   return participant;
 };
 
+// Atomically store a participant's graded answers. Resolves to false if the
+// participant has already submitted.
+tournamentSchema.methods.submitParticipantAnswers = async function(userId, score, timeSpent, answers) {
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      participants: { $elemMatch: { user: userId, 'answers.0': { $exists: false } } }
+    },
+    {
+      $set: {
+        'participants.$.score': score,
+        'participants.$.timeSpent': timeSpent,
+        'participants.$.answers': answers,
+        'participants.$.submittedAt': new Date()
+      }
+    }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Remember when the questions were first sent to a participant (no-op after that)
+tournamentSchema.methods.markParticipantStarted = function(userId, startedAt = new Date()) {
+  return this.constructor.updateOne(
+    {
+      _id: this._id,
+      participants: { $elemMatch: { user: userId, startedAt: null } }
+    },
+    { $set: { 'participants.$.startedAt': startedAt } }
+  );
+};
+
+// Participants as shown to a player: other players' answers would give away the
+// answer key, so they are only included once the tournament is completed
+tournamentSchema.methods.getPublicParticipants = function(viewerId) {
+  return this.participants.map(participant => {
+    const entry = participant.toObject();
+    const userId = participant.user && participant.user._id ? participant.user._id : participant.user;
+
+    if (this.status === 'completed' || (viewerId && userId && userId.toString() === viewerId.toString())) {
+      return entry;
+    }
+
+    const { answers, ...rest } = entry;
+    return rest;
+  });
+};
+
 tournamentSchema.methods.canJoin = function(userId) {
   // Check if user is already a participant
   const existingParticipant = this.participants.find(p => p.user.toString() === userId.toString());
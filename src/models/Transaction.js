@@ -16,7 +16,7 @@ const transactionSchema = new mongoose.Schema({
   // Transaction details
   type: {
     type: String,
-    enum: ['deposit', 'withdrawal', 'quiz', 'tournament', 'referral', 'bonus', 'daily_bonus', 'task', 'refund'],
+    enum: ['deposit', 'withdrawal', 'quiz', 'tournament', 'referral', 'bonus', 'daily_bonus', 'task', 'refund', 'lifeline', 'streak_freeze', 'quiz_pack'],
     required: true
   },
   category: {
@@ -1,4 +1,23 @@
 const mongoose = require('mongoose');
+const { DEFAULT_RATING } = require('../utils/rating');
+const { DAY_MS, getDateKey, getUserTimezone, addDays } = require('../utils/dates');
+
+// Streak freezes cover a missed day; a player holds at most MAX_STREAK_FREEZES
+// and earns one for every STREAK_FREEZE_INTERVAL days of streak
+const MAX_STREAK_FREEZES = 2;
+const STREAK_FREEZE_INTERVAL = 7;
+const STREAK_FREEZE_PRICE = 20; // bonus balance
+
+// The timezone decides where the player's days start, so it can only change this often
+const TIMEZONE_CHANGE_DAYS = 7;
+
+// Lowest level of each rank, highest first (below the last one a player is Bronze)
+const RANK_LEVELS = [
+  { rank: 'Diamond', level: 50 },
+  { rank: 'Platinum', level: 30 },
+  { rank: 'Gold', level: 20 },
+  { rank: 'Silver', level: 10 }
+];
 
 const userSchema = new mongoose.Schema({
   // Telegram specific fields
@@ -136,16 +155,59 @@ const userSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Part of totalXP earned in practice mode, left out of the XP leaderboard
+  practiceXP: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   rank: {
     type: String,
     enum: ['Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond'],
     default: 'Bronze'
   },
+  // Consecutive days with a graded quiz, kept by the server in the player's timezone
   streak: {
     type: Number,
     default: 0,
     min: 0
   },
+  longestStreak: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Last day ('YYYY-MM-DD', player's timezone) that counts toward the streak
+  lastStreakDate: {
+    type: String
+  },
+  streakFreezes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Day ('YYYY-MM-DD', player's timezone) the daily bonus was last claimed
+  lastBonusClaimDate: {
+    type: String
+  },
+  lastBonusClaimAt: {
+    type: Date
+  },
+  // Last change of settings.preferences.timezone
+  timezoneChangedAt: {
+    type: Date
+  },
+  // Elo-style skill rating, used by adaptive quizzes
+  skillRating: {
+    type: Number,
+    default: DEFAULT_RATING
+  },
+  // Lifelines owned, used up before bonus balance is charged
+  lifelines: {
+    fifty_fifty: { type: Number, default: 0, min: 0 },
+    skip: { type: Number, default: 0, min: 0 },
+    extra_time: { type: Number, default: 0, min: 0 }
+  },
 
   // Quiz statistics
   dailyQuizzesCompleted: {
@@ -378,11 +440,8 @@ userSchema.methods.generateReferralCode = function() {
 };
 
 userSchema.methods.updateRank = function() {
-  if (this.level >= 50) this.rank = 'Diamond';
-  else if (this.level >= 30) this.rank = 'Platinum';
-  else if (this.level >= 20) this.rank = 'Gold';
-  else if (this.level >= 10) this.rank = 'Silver';
-  else this.rank = 'Bronze';
+  const entry = RANK_LEVELS.find(({ level }) => this.level >= level);
+  this.rank = entry ? entry.rank : 'Bronze';
 };
 
 userSchema.methods.comparePassword = async function(candidatePassword) {
@@ -406,6 +465,77 @@ userSchema.methods.addXP = function(amount) {
   return false;
 };
 
+// Bring the streak up to date: each missed day uses a freeze if one is left,
+// otherwise the streak breaks. Returns the number of freezes used and whether it broke.
+userSchema.methods.settleStreak = function(now = new Date()) {
+  const result = { freezesUsed: 0, broken: false };
+  if (!this.streak) return result;
+
+  // Streaks from before the server kept them start from the last activity
+  const timeZone = getUserTimezone(this);
+  if (!this.lastStreakDate) {
+    this.lastStreakDate = getDateKey(this.lastActivity || now, timeZone);
+  }
+
+  const yesterday = addDays(getDateKey(now, timeZone), -1);
+  while (this.lastStreakDate < yesterday) {
+    if (this.streakFreezes > 0) {
+      this.streakFreezes -= 1;
+      this.lastStreakDate = addDays(this.lastStreakDate, 1);
+      result.freezesUsed += 1;
+    } else {
+      this.streak = 0;
+      result.broken = true;
+      break;
+    }
+  }
+
+  return result;
+};
+
+// Count a qualifying activity toward the streak (only the first one of the player's
+// day extends it). Returns whether the streak grew and whether a freeze was earned.
+userSchema.methods.recordStreakActivity = function(now = new Date()) {
+  this.settleStreak(now);
+
+  // Day keys only move forward: after moving west the player's today can be a
+  // day that already counted
+  const today = getDateKey(now, getUserTimezone(this));
+  if (this.lastStreakDate && this.lastStreakDate >= today) {
+    return { extended: false, freezeEarned: false };
+  }
+
+  this.streak = this.streak > 0 && this.lastStreakDate === addDays(today, -1) ? this.streak + 1 : 1;
+  this.lastStreakDate = today;
+  this.longestStreak = Math.max(this.longestStreak, this.streak);
+
+  const freezeEarned = this.streak % STREAK_FREEZE_INTERVAL === 0 && this.streakFreezes < MAX_STREAK_FREEZES;
+  if (freezeEarned) {
+    this.streakFreezes += 1;
+  }
+
+  return { extended: true, freezeEarned };
+};
+
+userSchema.methods.getStreakStatus = function(now = new Date()) {
+  const today = getDateKey(now, getUserTimezone(this));
+
+  return {
+    streak: this.streak,
+    longestStreak: this.longestStreak,
+    lastStreakDate: this.lastStreakDate,
+    activeToday: Boolean(this.lastStreakDate) && this.lastStreakDate >= today,
+    streakFreezes: this.streakFreezes,
+    maxStreakFreezes: MAX_STREAK_FREEZES,
+    streakFreezePrice: STREAK_FREEZE_PRICE
+  };
+};
+
+userSchema.methods.canChangeTimezone = function(now = new Date()) {
+  if (!this.timezoneChangedAt) return true;
+  return now.getTime() - this.timezoneChangedAt.getTime() >= TIMEZONE_CHANGE_DAYS * DAY_MS;
+};
+
 userSchema.methods.addBalance = function(amount, type = 'playable') {
   if (type === 'playable') {
     this.playableBalance += amount;
@@ -449,11 +579,15 @@ userSchema.statics.findByReferralCode = function(referralCode) {
   return this.findOne({ referralCode });
 };
 
+// Ranked by XP without practice XP
 userSchema.statics.getLeaderboard = function(limit = 10) {
-  return this.find({ isBlocked: false })
-    .select('username level totalXP totalEarned rank avatar')
-    .sort({ totalXP: -1, level: -1 })
-    .limit(limit);
+  return this.aggregate([
+    { $match: { isBlocked: false } },
+    { $addFields: { leaderboardXP: { $subtract: ['$totalXP', { $ifNull: ['$practiceXP', 0] }] } } },
+    { $sort: { leaderboardXP: -1, level: -1 } },
+    { $limit: limit },
+    { $project: { username: 1, level: 1, totalXP: '$leaderboardXP', totalEarned: 1, rank: 1, avatar: 1 } }
+  ]);
 };
 
 userSchema.statics.getTopEarners = function(limit = 10) {
@@ -463,4 +597,152 @@ userSchema.statics.getTopEarners = function(limit = 10) {
     .limit(limit);
 };
 
+// Take bonus balance, together with any further increments, in one atomic update
+// that only applies while the balance covers it and the extra conditions hold.
+// Resolves to the updated user, or null if nothing was taken.
+userSchema.statics.spendBonus = function(userId, amount, options = {}) {
+  const { conditions = {}, inc = {} } = options;
+
+  return this.findOneAndUpdate(
+    { _id: userId, bonusBalance: { $gte: amount }, ...conditions },
+    { $inc: { bonusBalance: -amount, balance: -amount, ...inc } },
+    { new: true }
+  );
+};
+
+// Apply quiz progress in one atomic update, so it can't overwrite balance or streak
+// changes made by other requests in the meantime. Changes are deltas:
+//   xp           levelled XP (negative takes XP back; levels already reached are kept)
+//   practiceXp   practice XP; counts toward totalXP but never toward levels,
+//                which gate quiz packs and ranks
+//   playable     playable balance; clawbacks stop at zero and lower totalEarned
+//   questionsAnswered, correctAnswers, quizzesCompleted, skillRating
+//   score        score of a counted quiz, folded into averageScore
+//   scoreChange  correction to the score of an already counted quiz (regrades)
+//   lastActivity date to store as the last activity
+// Resolves to the user after the update, or before it with { new: false }.
+userSchema.statics.applyProgress = function(userId, changes = {}, options = {}) {
+  const {
+    xp = 0,
+    practiceXp = 0,
+    playable = 0,
+    questionsAnswered = 0,
+    correctAnswers = 0,
+    quizzesCompleted = 0,
+    skillRating = 0,
+    score,
+    scoreChange,
+    lastActivity
+  } = changes;
+
+  const field = (name, fallback = 0) => ({ $ifNull: [`$${name}`, fallback] });
+  const atLeastZero = (expression) => ({ $max: [0, expression] });
+  // Balance actually moved: a clawback can't take more than the playable balance
+  const applied = { $max: [playable, { $multiply: [-1, field('playableBalance')] }] };
+
+  const totals = {
+    xp: atLeastZero({ $add: [field('xp'), xp] }),
+    totalXP: atLeastZero({ $add: [field('totalXP'), xp, practiceXp] }),
+    practiceXP: atLeastZero({ $add: [field('practiceXP'), practiceXp] }),
+    playableBalance: { $add: [field('playableBalance'), applied] },
+    balance: { $add: [field('playableBalance'), applied, field('bonusBalance')] },
+    totalEarned: atLeastZero({ $add: [field('totalEarned'), applied] }),
+    questionsAnswered: { $add: [field('questionsAnswered'), questionsAnswered] },
+    correctAnswers: atLeastZero({ $add: [field('correctAnswers'), correctAnswers] }),
+    dailyQuizzesCompleted: { $add: [field('dailyQuizzesCompleted'), quizzesCompleted] },
+    skillRating: { $add: [field('skillRating', DEFAULT_RATING), skillRating] }
+  };
+  if (score !== undefined) {
+    // Same running average as before: the quiz score weighed against the answers so far
+    totals.averageScore = {
+      $divide: [
+        { $add: [{ $multiply: [field('averageScore'), field('questionsAnswered')] }, score] },
+        { $max: [1, { $add: [field('questionsAnswered'), questionsAnswered] }] }
+      ]
+    };
+  }
+  if (scoreChange) {
+    // averageScore times questionsAnswered is the sum of the counted quiz scores
+    totals.averageScore = {
+      $min: [100, atLeastZero({
+        $add: [field('averageScore'), { $divide: [scoreChange, { $max: [1, field('questionsAnswered')] }] }]
+      })]
+    };
+  }
+  if (lastActivity) {
+    totals.lastActivity = lastActivity;
+  }
+
+  // One level up when the XP reaches the next level, as addXP does
+  const levelReached = { $gte: ['$xp', { $multiply: ['$level', 100] }] };
+
+  return this.findOneAndUpdate(
+    { _id: userId },
+    [
+      { $set: totals },
+      {
+        $set: {
+          level: { $cond: [levelReached, { $add: ['$level', 1] }, '$level'] },
+          xp: { $cond: [levelReached, { $subtract: ['$xp', { $multiply: ['$level', 100] }] }, '$xp'] }
+        }
+      },
+      {
+        $set: {
+          rank: {
+            $switch: {
+              branches: RANK_LEVELS.map(({ rank, level }) => ({ case: { $gte: ['$level', level] }, then: rank })),
+              default: 'Bronze'
+            }
+          }
+        }
+      }
+    ],
+    { new: options.new !== false }
+  );
+};
+
+// Count a qualifying activity toward the player's streak (see recordStreakActivity).
+// The streak fields are only written if nobody changed them since they were read,
+// otherwise it starts over. Resolves to the result with the player's streak status.
+userSchema.statics.recordStreak = async function(userId, now = new Date(), attempts = 3) {
+  const fields = ['streak', 'longestStreak', 'lastStreakDate', 'streakFreezes'];
+
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const user = await this.findById(userId)
+      .select(`${fields.join(' ')} lastActivity settings.preferences.timezone`);
+    if (!user) return null;
+
+    const before = Object.fromEntries(fields.map(name => [name, user.get(name)]));
+    const result = user.recordStreakActivity(now);
+    if (!user.isModified()) {
+      return { ...result, status: user.getStreakStatus(now) };
+    }
+
+    const filter = { _id: userId };
+    fields.forEach(name => {
+      filter[name] = before[name] === undefined ? null : before[name];
+    });
+    const { modifiedCount } = await this.updateOne(filter, {
+      $set: Object.fromEntries(fields.map(name => [name, user.get(name)]))
+    });
+    if (modifiedCount === 1) {
+      return { ...result, status: user.getStreakStatus(now) };
+    }
+  }
+
+  throw new Error('Streak changed concurrently too often to update');
+};
+
+// Give back bonus balance taken for something that then didn't go through
+userSchema.statics.refundBonus = function(userId, amount) {
+  return this.updateOne(
+    { _id: userId },
+    { $inc: { bonusBalance: amount, balance: amount } }
+  );
+};
+
+userSchema.statics.MAX_STREAK_FREEZES = MAX_STREAK_FREEZES;
+userSchema.statics.STREAK_FREEZE_PRICE = STREAK_FREEZE_PRICE;
+userSchema.statics.TIMEZONE_CHANGE_DAYS = TIMEZONE_CHANGE_DAYS;
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
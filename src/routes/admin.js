@@ -1,11 +1,27 @@
 const express = require('express');
+const fs = require('fs');
 const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Tournament = require('../models/Tournament');
 const Transaction = require('../models/Transaction');
 const Quiz = require('../models/Quiz');
+const QuizSession = require('../models/QuizSession');
+const DailyChallenge = require('../models/DailyChallenge');
+const QuizPack = require('../models/QuizPack');
+const QuizPackProgress = require('../models/QuizPackProgress');
+const RegradeJob = require('../models/RegradeJob');
+const Category = require('../models/Category');
 const { authenticateAdmin } = require('../utils/auth');
 const logger = require('../utils/logger');
+const { isValidDateKey } = require('../utils/dates');
+const { normalizeLanguage, getPrimaryLanguage } = require('../utils/languages');
+const { QUESTION_TYPES, CHOICE_TYPES } = require('../utils/questionTypes');
+const { questionEditValidators } = require('../utils/questionValidators');
+const questionBankService = require('../services/questionBankService');
+const duplicateDetectionService = require('../services/duplicateDetectionService');
+const regradeService = require('../services/regradeService');
+const calibrationService = require('../services/calibrationService');
+const dailyBonusService = require('../services/dailyBonusService');
 
 const router = express.Router();
 
@@ -25,6 +41,61 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Question fields that decide which answers are correct
+const ANSWER_KEY_FIELDS = ['type', 'correctAnswer', 'correctOptions', 'numericAnswer', 'tolerance', 'correctOrder'];
+
+// Language code route parameter, normalized to e.g. 'pt-br'
+const languageParam = () => param('language')
+  .custom(language => Boolean(normalizeLanguage(language))).withMessage('Invalid language code')
+  .customSanitizer(normalizeLanguage);
+
+// Shared body validators for creating and updating categories
+const categoryValidators = (isUpdate = false) => [
+  (isUpdate ? body('name').optional() : body('name')).isString().trim().isLength({ min: 1, max: 50 }).withMessage('Name is required'),
+  body('names').optional().isObject().withMessage('Localized names must be an object'),
+  body('names.*').optional().isString().trim().isLength({ min: 1, max: 50 }),
+  body('description').optional().isString().trim().isLength({ max: 500 }),
+  body('icon').optional().isString().trim().isLength({ max: 200 }),
+  body('parent').optional({ nullable: true }).isMongoId().withMessage('Invalid parent category')
+    .bail().custom(async (parentId, { req }) => {
+      // Only two levels: a parent must be an existing top-level category
+      const parent = await Category.findById(parentId);
+      if (!parent || parent.parent || parentId === req.params.id) {
+        throw new Error('Parent must be another top-level category');
+      }
+      return true;
+    }),
+  body('isActive').optional().isBoolean(),
+  body('sortOrder').optional().isInt()
+];
+
+// Quiz pack fields set directly from the request body (questions come as questionIds)
+const PACK_FIELDS = ['title', 'description', 'coverImage', 'category', 'unlockLevel', 'entryCost', 'isPublished', 'sortOrder'];
+
+// Shared body validators for creating and updating quiz packs
+const packValidators = (isUpdate = false) => [
+  (isUpdate ? body('title').optional() : body('title')).isString().trim().isLength({ min: 1, max: 100 }).withMessage('Title is required'),
+  body('description').optional().isString().trim().isLength({ max: 1000 }),
+  body('coverImage').optional().isString().trim().isLength({ max: 500 }),
+  body('category').optional().isString().trim().toLowerCase()
+    .bail().custom(slug => Category.assertActiveSlug(slug)),
+  (isUpdate ? body('questionIds').optional() : body('questionIds'))
+    .isArray({ min: 1, max: QuizPack.MAX_PACK_QUESTIONS })
+    .withMessage(`Between 1 and ${QuizPack.MAX_PACK_QUESTIONS} questions are required`),
+  body('questionIds.*').isMongoId().withMessage('Invalid question ID'),
+  body('unlockLevel').optional().isInt({ min: 1 }).withMessage('Unlock level must be at least 1').toInt(),
+  body('entryCost').optional().isFloat({ min: 0 }).withMessage('Entry cost must be non-negative').toFloat(),
+  body('isPublished').optional().isBoolean().toBoolean(),
+  body('sortOrder').optional().isInt().toInt()
+];
+
+// Pack questions must be distinct, existing and active
+const hasValidPackQuestions = async (questionIds) => {
+  const uniqueIds = [...new Set(questionIds)];
+  const activeCount = await Quiz.countDocuments({ _id: { $in: uniqueIds }, isActive: true });
+  return uniqueIds.length === questionIds.length && activeCount === uniqueIds.length;
+};
+
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard statistics
 // @access  Private (Admin only)
@@ -688,54 +759,39 @@ router.get('/tournaments',
   }
 );
 
-// @route   GET /api/admin/settings
-// @desc    Get app settings
+// @route   GET /api/admin/categories
+// @desc    Get all categories with question counts
 // @access  Private (Admin only)
-router.get('/settings',
+router.get('/categories',
   authenticateAdmin,
   async (req, res) => {
     try {
-      // In a real app, you'd fetch these from a settings collection
-      const settings = {
-        app: {
-          name: process.env.APP_NAME || 'CryptoQuiz',
-          version: process.env.APP_VERSION || '1.0.0',
-          maintenanceMode: process.env.ENABLE_MAINTENANCE_MODE === 'true',
-          maintenanceMessage: process.env.MAINTENANCE_MESSAGE || 'App is under maintenance'
-        },
-        features: {
-          aiQuestions: process.env.ENABLE_AI_QUESTIONS === 'true',
-          telegramIntegration: process.env.ENABLE_TELEGRAM_INTEGRATION === 'true',
-          analytics: process.env.ENABLE_ANALYTICS === 'true',
-          emailNotifications: process.env.ENABLE_EMAIL_NOTIFICATIONS === 'true',
-          pushNotifications: process.env.ENABLE_PUSH_NOTIFICATIONS === 'true'
-        },
-        limits: {
-          minDeposit: 10,
-          maxDeposit: 10000,
-          minWithdrawal: 10,
-          maxWithdrawal: 5000,
-          withdrawalFee: 0.02,
-          maxDailyQuizzes: 10,
-          maxHourlyQuizzes: 3
-        },
-        security: {
-          enableFraudDetection: true,
-          enableRateLimiting: true,
-          suspiciousScoreThreshold: 95,
-          maxConsecutiveCorrect: 5
-        }
-      };
+      const [categories, categoryStats, subcategoryStats] = await Promise.all([
+        Category.find().populate('parent', 'slug name').sort({ sortOrder: 1, name: 1 }),
+        Quiz.getCategoryStats('category'),
+        Quiz.getCategoryStats('subcategory')
+      ]);
+
+      const data = categories.map(category => {
+        const stats = category.parent ? subcategoryStats : categoryStats;
+        const entry = stats.find(stat => stat._id === category.slug);
+
+        return {
+          ...category.toObject(),
+          questionCount: entry ? entry.count : 0,
+          activeQuestionCount: entry ? entry.activeCount : 0
+        };
+      });
 
       res.json({
         success: true,
-        data: settings,
-        message: 'Settings retrieved successfully'
+        data,
+        message: 'Categories retrieved successfully'
       });
 
     } catch (error) {
       logger.errorWithContext(error, { 
-        operation: 'get_admin_settings',
+        operation: 'get_admin_categories',
         adminId: req.user._id
       });
 
@@ -743,49 +799,145 @@ router.get('/settings',
         success: false,
         error: {
           code: 'INTERNAL_ERROR',
-          message: 'Failed to retrieve settings'
+          message: 'Failed to retrieve categories'
         }
       });
     }
   }
 );
 
-// @route   PUT /api/admin/settings
-// @desc    Update app settings
+// @route   POST /api/admin/categories
+// @desc    Create a category
 // @access  Private (Admin only)
-router.put('/settings',
+router.post('/categories',
   authenticateAdmin,
   [
-    body('app').optional().isObject(),
-    body('features').optional().isObject(),
-    body('limits').optional().isObject(),
-    body('security').optional().isObject()
+    body('slug').isString().trim().toLowerCase().isLength({ min: 1, max: 50 }).matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Slug must be lowercase letters, numbers and dashes'),
+    ...categoryValidators()
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
       const adminId = req.user._id;
-      const settings = req.body;
+      const { slug, name, names, description, icon, parent, isActive, sortOrder } = req.body;
 
-      // In a real app, you'd save these to a settings collection
-      // For now, we'll just log the changes
-      
-      logger.business('admin_settings_updated', {
+      if (await Category.exists({ slug })) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'CATEGORY_EXISTS',
+            message: 'A category with this slug already exists'
+          }
+        });
+      }
+
+      const category = new Category({
+        slug,
+        name,
+        names,
+        description,
+        icon,
+        parent: parent || null,
+        isActive,
+        sortOrder,
+        createdBy: adminId
+      });
+      await category.save();
+
+      logger.business('category_created', {
         adminId,
-        settings,
-        timestamp: new Date()
+        categoryId: category._id,
+        slug
+      });
+
+      res.status(201).json({
+        success: true,
+        data: category,
+        message: 'Category created successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'create_category',
+        adminId: req.user._id,
+        body: req.body
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to create category'
+        }
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/categories/:id
+// @desc    Update a category (the slug cannot change)
+// @access  Private (Admin only)
+router.put('/categories/:id',
+  authenticateAdmin,
+  [
+    param('id').isMongoId().withMessage('Invalid category ID'),
+    body('slug').not().exists().withMessage('Slug cannot be changed'),
+    ...categoryValidators(true)
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const adminId = req.user._id;
+
+      const category = await Category.findById(id);
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'CATEGORY_NOT_FOUND',
+            message: 'Category not found'
+          }
+        });
+      }
+
+      const allowedFields = ['name', 'names', 'description', 'icon', 'parent', 'isActive', 'sortOrder'];
+      allowedFields.forEach(field => {
+        if (req.body[field] !== undefined) {
+          category[field] = req.body[field];
+        }
+      });
+
+      // A category that has subcategories can't become a subcategory itself
+      if (category.parent && await Category.exists({ parent: category._id })) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_PARENT',
+            message: 'Categories with subcategories cannot be moved under another category'
+          }
+        });
+      }
+
+      await category.save();
+
+      logger.business('category_updated', {
+        adminId,
+        categoryId: id,
+        updates: req.body
       });
 
       res.json({
         success: true,
-        data: settings,
-        message: 'Settings updated successfully'
+        data: category,
+        message: 'Category updated successfully'
       });
 
     } catch (error) {
       logger.errorWithContext(error, { 
-        operation: 'update_admin_settings',
+        operation: 'update_category',
         adminId: req.user._id,
+        params: req.params,
         body: req.body
       });
 
@@ -793,7 +945,1923 @@ router.put('/settings',
         success: false,
         error: {
           code: 'INTERNAL_ERROR',
-          message: 'Failed to update settings'
+          message: 'Failed to update category'
+        }
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/categories/:id
+// @desc    Delete an unused category (deactivate it instead if it is in use)
+// @access  Private (Admin only)
+router.delete('/categories/:id',
+  authenticateAdmin,
+  [
+    param('id').isMongoId().withMessage('Invalid category ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const adminId = req.user._id;
+
+      const category = await Category.findById(id);
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'CATEGORY_NOT_FOUND',
+            message: 'Category not found'
+          }
+        });
+      }
+
+      const { slug } = category;
+      const [subcategories, questions, tournaments] = await Promise.all([
+        Category.countDocuments({ parent: category._id }),
+        Quiz.countDocuments({ $or: [{ category: slug }, { subcategory: slug }] }),
+        Tournament.countDocuments({ category: slug })
+      ]);
+
+      if (subcategories + questions + tournaments > 0) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'CATEGORY_IN_USE',
+            message: 'Category is still in use; deactivate it instead',
+            details: { subcategories, questions, tournaments }
+          }
+        });
+      }
+
+      await category.deleteOne();
+
+      logger.business('category_deleted', {
+        adminId,
+        categoryId: id,
+        slug
+      });
+
+      res.json({
+        success: true,
+        message: 'Category deleted successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'delete_category',
+        adminId: req.user._id,
+        params: req.params
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to delete category'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/questions/import
+// @desc    Import questions from a CSV, JSON or GIFT file (dry run unless commit is true)
+// @access  Private (Admin only)
+router.post('/questions/import',
+  authenticateAdmin,
+  [
+    body('format').optional().isIn(questionBankService.FORMATS).withMessage('Format must be csv, json or gift'),
+    body('content').optional().isString().withMessage('Content must be a string'),
+    body('commit').optional().isBoolean().withMessage('Commit must be a boolean').toBoolean(),
+    body('defaultCategory').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Default category must be 1-50 characters'),
+    body('defaultDifficulty').optional().isIn(['easy', 'medium', 'hard']).withMessage('Invalid default difficulty')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const file = req.files && req.files.file;
+
+    try {
+      const { defaultCategory, defaultDifficulty } = req.body;
+      const commit = req.body.commit === true;
+      const adminId = req.user._id;
+
+      let content = req.body.content;
+      if (file) {
+        content = file.tempFilePath
+          ? await fs.promises.readFile(file.tempFilePath, 'utf8')
+          : file.data.toString('utf8');
+      }
+
+      const format = req.body.format || (file && questionBankService.detectFormat(file.name));
+
+      if (!content || !format) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_IMPORT',
+            message: 'Upload a .csv, .json or .gift file, or send content with a format'
+          }
+        });
+      }
+
+      let rows;
+      try {
+        rows = questionBankService.parse(format, content);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_IMPORT',
+            message: error.message
+          }
+        });
+      }
+
+      if (rows.length === 0 || rows.length > questionBankService.MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_IMPORT',
+            message: `Imports must contain between 1 and ${questionBankService.MAX_IMPORT_ROWS} questions`
+          }
+        });
+      }
+
+      const checkedRows = await questionBankService.validateRows(rows, {
+        defaultCategory,
+        defaultDifficulty,
+        createdBy: adminId
+      });
+
+      let imported = 0;
+      if (commit) {
+        for (const entry of checkedRows.filter(row => row.status === 'valid')) {
+          try {
+            await entry.question.flagNearDuplicates();
+            await entry.question.save();
+            imported++;
+          } catch (error) {
+            entry.status = 'invalid';
+            entry.errors.push(error.message);
+          }
+        }
+
+        logger.business('questions_imported', {
+          adminId,
+          format,
+          totalRows: checkedRows.length,
+          imported,
+          flaggedDuplicates: checkedRows.filter(entry => entry.question.duplicateOf).length
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...questionBankService.buildReport(format, checkedRows),
+          committed: commit,
+          imported
+        },
+        message: commit ? `${imported} questions imported successfully` : 'Import checked; nothing was saved'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'import_questions',
+        adminId: req.user._id,
+        format: req.body.format
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to import questions'
+        }
+      });
+    } finally {
+      if (file && file.tempFilePath) {
+        fs.promises.unlink(file.tempFilePath).catch(() => {});
+      }
+    }
+  }
+);
+
+// @route   GET /api/admin/questions/export
+// @desc    Export the question bank as CSV, JSON or GIFT
+// @access  Private (Admin only)
+router.get('/questions/export',
+  authenticateAdmin,
+  [
+    query('format').optional().isIn(questionBankService.FORMATS).withMessage('Format must be csv, json or gift'),
+    query('category').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid category'),
+    query('difficulty').optional().isIn(['easy', 'medium', 'hard']).withMessage('Invalid difficulty'),
+    query('type').optional().isIn(QUESTION_TYPES).withMessage('Invalid question type'),
+    query('source').optional().isIn(['manual', 'ai', 'imported', 'user_submitted']).withMessage('Invalid source'),
+    query('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean(),
+    query('isVerified').optional().isBoolean().withMessage('isVerified must be a boolean').toBoolean()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const format = req.query.format || 'json';
+
+    try {
+      const filter = {};
+      ['category', 'difficulty', 'source', 'isActive', 'isVerified'].forEach(field => {
+        if (req.query[field] !== undefined) filter[field] = req.query[field];
+      });
+      if (req.query.type) {
+        // Questions created before question types existed have no type stored
+        filter.type = req.query.type === 'single_choice' ? { $in: ['single_choice', null] } : req.query.type;
+      }
+
+      const extension = format === 'gift' ? 'gift.txt' : format;
+      const filename = `questions-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+      res.setHeader('Content-Type', questionBankService.getContentType(format));
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.write(questionBankService.getExportHeader(format));
+
+      let count = 0;
+      let currentCategory = null;
+      const cursor = Quiz.find(filter).sort({ category: 1, createdAt: 1 }).lean().cursor();
+
+      for await (const question of cursor) {
+        if (question.category !== currentCategory) {
+          currentCategory = question.category;
+          res.write(questionBankService.serializeCategoryChange(format, currentCategory));
+        }
+        res.write(questionBankService.serializeQuestion(format, question, count));
+        count++;
+      }
+
+      res.end(questionBankService.getExportFooter(format));
+
+      logger.business('questions_exported', {
+        adminId: req.user._id,
+        format,
+        filter,
+        count
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'export_questions',
+        adminId: req.user._id,
+        query: req.query
+      });
+
+      // Once streaming has started the only option left is to cut the response short
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to export questions'
+        }
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/questions/duplicates
+// @desc    List clusters of near-duplicate questions
+// @access  Private (Admin only)
+router.get('/questions/duplicates',
+  authenticateAdmin,
+  [
+    query('threshold').optional().isFloat({ min: 0.3, max: 1 }).withMessage('Threshold must be between 0.3 and 1').toFloat(),
+    query('category').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid category'),
+    query('includeInactive').optional().isBoolean().withMessage('includeInactive must be a boolean').toBoolean()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { threshold, category, includeInactive } = req.query;
+
+      const clusters = await duplicateDetectionService.findClusters({ threshold, category, includeInactive });
+
+      res.json({
+        success: true,
+        data: {
+          clusters,
+          totalClusters: clusters.length,
+          totalDuplicates: clusters.reduce((sum, cluster) => sum + cluster.duplicates.length, 0)
+        },
+        message: 'Duplicate clusters retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'get_duplicate_clusters',
+        adminId: req.user._id,
+        query: req.query
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve duplicate clusters'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/questions/duplicates/merge
+// @desc    Merge duplicate questions into the one with the highest quality score
+// @access  Private (Admin only)
+router.post('/questions/duplicates/merge',
+  authenticateAdmin,
+  [
+    body('questionIds').isArray({ min: 2, max: 50 }).withMessage('Between 2 and 50 questions are required'),
+    body('questionIds.*').isMongoId().withMessage('Invalid question ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const questionIds = [...new Set(req.body.questionIds)];
+      const adminId = req.user._id;
+
+      if (questionIds.length < 2) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_QUESTIONS',
+            message: 'At least two distinct questions are required'
+          }
+        });
+      }
+
+      const result = await duplicateDetectionService.mergeQuestions(questionIds);
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'QUESTION_NOT_FOUND',
+            message: 'One or more questions were not found'
+          }
+        });
+      }
+
+      logger.business('questions_merged', {
+        adminId,
+        keptId: result.kept._id,
+        mergedIds: result.merged.map(q => q._id)
+      });
+
+      res.json({
+        success: true,
+        data: {
+          kept: result.kept,
+          mergedIds: result.merged.map(q => q._id)
+        },
+        message: 'Questions merged successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'merge_duplicate_questions',
+        adminId: req.user._id,
+        body: req.body
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to merge questions'
+        }
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/questions/:id
+// @desc    Edit a question; the previous content is kept as a version
+// @access  Private (Admin only)
+router.put('/questions/:id',
+  authenticateAdmin,
+  [
+    param('id').isMongoId().withMessage('Invalid question ID'),
+    ...questionEditValidators(),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean(),
+    body('regrade').optional().isBoolean().withMessage('regrade must be a boolean').toBoolean()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { isActive, regrade } = req.body;
+      const adminId = req.user._id;
+
+      const question = await Quiz.findById(id);
+      if (!question) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'QUESTION_NOT_FOUND',
+            message: 'Question not found'
+          }
+        });
+      }
+
+      const changedFields = question.applyEdits(req.body, adminId);
+      if (isActive !== undefined && isActive !== question.isActive) {
+        question.isActive = isActive;
+        // Reactivating means whatever took the question out of rotation is fixed
+        if (isActive) question.deactivatedReason = undefined;
+        changedFields.push('isActive');
+      }
+
+      if (changedFields.length === 0) {
+        return res.json({
+          success: true,
+          data: {
+            question,
+            changedFields
+          },
+          message: 'No changes to save'
+        });
+      }
+
+      const errors = await question.getValidationErrors();
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_QUESTION',
+            message: 'The edited question is invalid',
+            details: errors
+          }
+        });
+      }
+
+      await question.save();
+
+      // A corrected answer key can be applied to past answers right away
+      const answerKeyChanged = changedFields.some(field => ANSWER_KEY_FIELDS.includes(field));
+      let regradeJob = null;
+      if (regrade && answerKeyChanged && !(await RegradeJob.hasPendingJob(question._id))) {
+        regradeJob = await regradeService.startJob(question, adminId);
+      }
+
+      logger.business('question_updated', {
+        adminId,
+        questionId: question._id,
+        version: question.version,
+        changedFields,
+        regradeJobId: regradeJob && regradeJob._id
+      });
+
+      res.json({
+        success: true,
+        data: {
+          question,
+          changedFields,
+          answerKeyChanged,
+          regradeJob
+        },
+        message: 'Question updated successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'update_question',
+        adminId: req.user._id,
+        params: req.params,
+        body: req.body
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to update question'
+        }
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/questions/:id/versions
+// @desc    Get a question's version history with field-level changes
+// @access  Private (Admin only)
+router.get('/questions/:id/versions',
+  authenticateAdmin,
+  [
+    param('id').isMongoId().withMessage('Invalid question ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const question = await Quiz.findById(id)
+        .populate('createdBy', 'username')
+        .populate('previousVersions.modifiedBy', 'username');
+      if (!question) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'QUESTION_NOT_FOUND',
+            message: 'Question not found'
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          questionId: question._id,
+          currentVersion: question.version,
+          versions: question.getVersionHistory().reverse()
+        },
+        message: 'Question versions retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'get_question_versions',
+        adminId: req.user._id,
+        params: req.params
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve question versions'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/questions/:id/versions/:n/restore
+// @desc    Restore an earlier version of a question (saved as a new version)
+// @access  Private (Admin only)
+router.post('/questions/:id/versions/:n/restore',
+  authenticateAdmin,
+  [
+    param('id').isMongoId().withMessage('Invalid question ID'),
+    param('n').isInt({ min: 1 }).withMessage('Version must be a positive integer').toInt(),
+    body('regrade').optional().isBoolean().withMessage('regrade must be a boolean').toBoolean()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id, n } = req.params;
+      const { regrade } = req.body;
+      const adminId = req.user._id;
+
+      const question = await Quiz.findById(id);
+      const snapshot = question && n < question.version ? question.getVersionSnapshot(n) : null;
+      if (!snapshot) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'VERSION_NOT_FOUND',
+            message: question ? 'No earlier version with this number' : 'Question not found'
+          }
+        });
+      }
+
+      const changedFields = question.applyEdits(snapshot, adminId);
+      if (changedFields.length === 0) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'VERSION_UNCHANGED',
+            message: 'The current version already matches this version'
+          }
+        });
+      }
+
+      const errors = await question.getValidationErrors();
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_QUESTION',
+            message: 'The restored version is no longer valid',
+            details: errors
+          }
+        });
+      }
+
+      await question.save();
+
+      // Restoring an earlier answer key can be applied to past answers like an edit
+      const answerKeyChanged = changedFields.some(field => ANSWER_KEY_FIELDS.includes(field));
+      let regradeJob = null;
+      if (regrade && answerKeyChanged && !(await RegradeJob.hasPendingJob(question._id))) {
+        regradeJob = await regradeService.startJob(question, adminId);
+      }
+
+      logger.business('question_version_restored', {
+        adminId,
+        questionId: question._id,
+        restoredVersion: n,
+        version: question.version,
+        changedFields,
+        regradeJobId: regradeJob && regradeJob._id
+      });
+
+      res.json({
+        success: true,
+        data: {
+          question,
+          restoredVersion: n,
+          changedFields,
+          answerKeyChanged,
+          regradeJob
+        },
+        message: `Version ${n} restored as version ${question.version}`
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'restore_question_version',
+        adminId: req.user._id,
+        params: req.params,
+        body: req.body
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to restore question version'
+        }
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/translations/coverage
+// @desc    Get per-language translation coverage of active questions
+// @access  Private (Admin only)
+router.get('/translations/coverage',
+  authenticateAdmin,
+  [
+    query('category').optional().isString().trim().isLength({ min: 1, max: 50 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const coverage = await Quiz.getTranslationCoverage(req.query.category);
+
+      res.json({
+        success: true,
+        data: coverage,
+        message: 'Translation coverage retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'get_translation_coverage',
+        adminId: req.user._id,
+        query: req.query
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve translation coverage'
+        }
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/questions/:id/translations
+// @desc    List a question's translations with their review state
+// @access  Private (Admin only)
+router.get('/questions/:id/translations',
+  authenticateAdmin,
+  [
+    param('id').isMongoId().withMessage('Invalid question ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const question = await Quiz.findById(req.params.id)
+        .populate('translations.translatedBy', 'username')
+        .populate('translations.verifiedBy', 'username');
+      if (!question) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'QUESTION_NOT_FOUND',
+            message: 'Question not found'
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          questionId: question._id,
+          language: question.language,
+          version: question.version,
+          translations: question.translations.map(translation => ({
+            ...translation.toObject(),
+            isOutdated: (translation.sourceVersion || 1) < question.version,
+            optionsMatch: translation.options.length === question.options.length
+          }))
+        },
+        message: 'Question translations retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'get_question_translations',
+        adminId: req.user._id,
+        params: req.params
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve question translations'
+        }
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/questions/:id/translations/:language
+// @desc    Add or edit a question's translation (needs verifying before it is served)
+// @access  Private (Admin only)
+router.put('/questions/:id/translations/:language',
+  authenticateAdmin,
+  [
+    param('id').isMongoId().withMessage('Invalid question ID'),
+    languageParam(),
+    body('question').isString().trim().isLength({ min: 1, max: 500 }).withMessage('Question must be 1-500 characters'),
+    body('options').optional().isArray({ max: 6 }).withMessage('Options must be an array of at most 6 items'),
+    body('options.*').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Options must be 1-200 characters'),
+    body('explanation').optional().isString().trim().isLength({ max: 1000 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id, language } = req.params;
+      const { question: text, options = [], explanation } = req.body;
+      const adminId = req.user._id;
+
+      const question = await Quiz.findById(id);
+      if (!question) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'QUESTION_NOT_FOUND',
+            message: 'Question not found'
+          }
+        });
+      }
+
+      if (getPrimaryLanguage(language) === getPrimaryLanguage(question.language)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'BASE_LANGUAGE',
+            message: 'The question is already written in this language'
+          }
+        });
+      }
+
+      // Answers are graded by option index, so translated options must line up one to one
+      if (options.length !== question.options.length) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'TRANSLATION_OPTIONS_MISMATCH',
+            message: `Translation must have ${question.options.length} options in the order of the original`
+          }
+        });
+      }
+
+      const translation = question.setTranslation(language, { question: text, options, explanation }, adminId);
+      await question.save();
+
+      logger.business('question_translation_saved', {
+        adminId,
+        questionId: question._id,
+        language: translation.language
+      });
+
+      res.json({
+        success: true,
+        data: translation,
+        message: 'Translation saved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'save_question_translation',
+        adminId: req.user._id,
+        params: req.params,
+        body: req.body
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to save translation'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/questions/:id/translations/:language/verify
+// @desc    Verify a translation so it is served to players
+// @access  Private (Admin only)
+router.post('/questions/:id/translations/:language/verify',
+  authenticateAdmin,
+  [
+    param('id').isMongoId().withMessage('Invalid question ID'),
+    languageParam()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id, language } = req.params;
+      const adminId = req.user._id;
+
+      const question = await Quiz.findById(id);
+      const existing = question && question.translations.find(t => t.language === language);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'TRANSLATION_NOT_FOUND',
+            message: 'Translation not found'
+          }
+        });
+      }
+
+      // The original's options may have changed since the translation was written
+      if (existing.options.length !== question.options.length) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'TRANSLATION_OPTIONS_MISMATCH',
+            message: `Translation must have ${question.options.length} options in the order of the original`
+          }
+        });
+      }
+
+      const translation = question.verifyTranslation(language, adminId);
+      await question.save();
+
+      logger.business('question_translation_verified', {
+        adminId,
+        questionId: question._id,
+        language
+      });
+
+      res.json({
+        success: true,
+        data: translation,
+        message: 'Translation verified successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'verify_question_translation',
+        adminId: req.user._id,
+        params: req.params
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to verify translation'
+        }
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/questions/:id/translations/:language
+// @desc    Delete a question's translation
+// @access  Private (Admin only)
+router.delete('/questions/:id/translations/:language',
+  authenticateAdmin,
+  [
+    param('id').isMongoId().withMessage('Invalid question ID'),
+    languageParam()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id, language } = req.params;
+      const adminId = req.user._id;
+
+      const question = await Quiz.findOneAndUpdate(
+        { _id: id, 'translations.language': language },
+        { $pull: { translations: { language } } },
+        { new: true }
+      );
+      if (!question) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'TRANSLATION_NOT_FOUND',
+            message: 'Translation not found'
+          }
+        });
+      }
+
+      logger.business('question_translation_deleted', {
+        adminId,
+        questionId: question._id,
+        language
+      });
+
+      res.json({
+        success: true,
+        message: 'Translation deleted successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'delete_question_translation',
+        adminId: req.user._id,
+        params: req.params
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to delete translation'
+        }
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/questions/:id/answer-distribution
+// @desc    Per-option answer distribution of a question
+// @access  Private (Admin only)
+router.get('/questions/:id/answer-distribution',
+  authenticateAdmin,
+  [
+    param('id').isMongoId().withMessage('Invalid question ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const question = await Quiz.findById(req.params.id);
+      if (!question) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'QUESTION_NOT_FOUND',
+            message: 'Question not found'
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: question.getAnswerDistribution(),
+        message: 'Answer distribution retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'get_question_answer_distribution',
+        adminId: req.user._id,
+        params: req.params
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve answer distribution'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/questions/:id/regrade
+// @desc    Regrade past answers to a question against its current answer key
+// @access  Private (Admin only)
+router.post('/questions/:id/regrade',
+  authenticateAdmin,
+  [
+    param('id').isMongoId().withMessage('Invalid question ID'),
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean').toBoolean()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { dryRun = false } = req.body;
+      const adminId = req.user._id;
+
+      const question = await Quiz.findById(id);
+      if (!question) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'QUESTION_NOT_FOUND',
+            message: 'Question not found'
+          }
+        });
+      }
+
+      if (await RegradeJob.hasPendingJob(question._id)) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'REGRADE_IN_PROGRESS',
+            message: 'A regrade of this question is already in progress'
+          }
+        });
+      }
+
+      const job = await regradeService.startJob(question, adminId, dryRun);
+
+      logger.business('question_regrade_started', {
+        adminId,
+        questionId: question._id,
+        jobId: job._id,
+        dryRun
+      });
+
+      res.status(202).json({
+        success: true,
+        data: job,
+        message: dryRun ? 'Regrade dry run started' : 'Regrade started'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'start_question_regrade',
+        adminId: req.user._id,
+        params: req.params,
+        body: req.body
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to start regrade'
+        }
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/regrade-jobs/:id
+// @desc    Get the status and report of a regrade job
+// @access  Private (Admin only)
+router.get('/regrade-jobs/:id',
+  authenticateAdmin,
+  [
+    param('id').isMongoId().withMessage('Invalid job ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const job = await RegradeJob.findById(req.params.id)
+        .populate('questionId', 'question version')
+        .populate('requestedBy', 'username');
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'JOB_NOT_FOUND',
+            message: 'Regrade job not found'
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: job,
+        message: 'Regrade job retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'get_regrade_job',
+        adminId: req.user._id,
+        params: req.params
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve regrade job'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/calibration/run
+// @desc    Recalibrate question difficulty now instead of waiting for the nightly run
+// @access  Private (Admin only)
+router.post('/calibration/run',
+  authenticateAdmin,
+  async (req, res) => {
+    try {
+      if (calibrationService.isRunning) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'CALIBRATION_IN_PROGRESS',
+            message: 'Question calibration is already running'
+          }
+        });
+      }
+
+      logger.business('question_calibration_requested', {
+        adminId: req.user._id
+      });
+
+      const summary = await calibrationService.run();
+
+      res.json({
+        success: true,
+        data: summary,
+        message: 'Questions recalibrated successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'run_question_calibration',
+        adminId: req.user._id
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to recalibrate questions'
+        }
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/reports
+// @desc    Get questions with pending player reports
+// @access  Private (Admin only)
+router.get('/reports',
+  authenticateAdmin,
+  [
+    query('reason').optional().isIn(Quiz.REPORT_REASONS).withMessage('Invalid report reason'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { reason, page = 1, limit = 20 } = req.query;
+
+      const [questions, total] = await Promise.all([
+        Quiz.getReportedQuestions(limit, reason, (page - 1) * limit),
+        Quiz.countReportedQuestions(reason)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          questions: questions.map(question => ({
+            ...question.toObject(),
+            pendingReports: question.reports.filter(report => report.status === 'pending').length
+          })),
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        },
+        message: 'Reported questions retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'get_reported_questions',
+        adminId: req.user._id,
+        query: req.query
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve reported questions'
+        }
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/questions/:id/reports/:reportId
+// @desc    Resolve or dismiss a player report
+// @access  Private (Admin only)
+router.put('/questions/:id/reports/:reportId',
+  authenticateAdmin,
+  [
+    param('id').isMongoId().withMessage('Invalid question ID'),
+    param('reportId').isMongoId().withMessage('Invalid report ID'),
+    body('status').isIn(['resolved', 'dismissed']).withMessage('Status must be resolved or dismissed'),
+    body('note').optional().isString().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id, reportId } = req.params;
+      const { status, note } = req.body;
+      const adminId = req.user._id;
+
+      const question = await Quiz.findById(id);
+      if (!question || !question.reports.id(reportId)) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'REPORT_NOT_FOUND',
+            message: 'Report not found'
+          }
+        });
+      }
+
+      const wasActive = question.isActive;
+      const report = question.resolveReport(reportId, status, adminId, note);
+      if (!report) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'REPORT_ALREADY_CLOSED',
+            message: 'Report has already been resolved or dismissed'
+          }
+        });
+      }
+
+      await question.save();
+
+      const deactivated = wasActive && !question.isActive;
+
+      logger.business('question_report_closed', {
+        adminId,
+        questionId: question._id,
+        reportId,
+        reason: report.reason,
+        status,
+        deactivated
+      });
+
+      res.json({
+        success: true,
+        data: {
+          report,
+          questionId: question._id,
+          isActive: question.isActive,
+          deactivated
+        },
+        message: deactivated
+          ? 'Report resolved; the question is deactivated until it is fixed'
+          : `Report ${status} successfully`
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'close_question_report',
+        adminId: req.user._id,
+        params: req.params,
+        body: req.body
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to update report'
+        }
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/daily-challenges/:date
+// @desc    Get the daily challenge set for a day
+// @access  Private (Admin only)
+router.get('/daily-challenges/:date',
+  authenticateAdmin,
+  [
+    param('date').custom(isValidDateKey).withMessage('Date must be formatted as YYYY-MM-DD')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { date } = req.params;
+
+      // Viewing a future day picks its seeded set ahead of time
+      const challenge = await DailyChallenge.getForDate(date);
+      if (!challenge) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NO_DAILY_CHALLENGE',
+            message: 'No questions are available for this daily challenge'
+          }
+        });
+      }
+
+      await challenge.populate([
+        { path: 'questions', select: 'question type options category difficulty isActive isVerified' },
+        { path: 'setBy', select: 'username' }
+      ]);
+      const attempts = await QuizSession.countDocuments({ challengeDate: date });
+
+      res.json({
+        success: true,
+        data: {
+          challenge,
+          attempts
+        },
+        message: 'Daily challenge retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'get_daily_challenge',
+        adminId: req.user._id,
+        params: req.params
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve daily challenge'
+        }
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/daily-challenges/:date
+// @desc    Override the daily challenge set for a day
+// @access  Private (Admin only)
+router.put('/daily-challenges/:date',
+  authenticateAdmin,
+  [
+    param('date').custom(isValidDateKey).withMessage('Date must be formatted as YYYY-MM-DD'),
+    body('questionIds').isArray({ min: 1, max: 20 }).withMessage('Between 1 and 20 questions are required'),
+    body('questionIds.*').isMongoId().withMessage('Invalid question ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { date } = req.params;
+      const { questionIds } = req.body;
+      const adminId = req.user._id;
+
+      // Changing the set after players started would make the leaderboard unfair
+      const attempts = await QuizSession.countDocuments({ challengeDate: date });
+      if (attempts > 0) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'DAILY_CHALLENGE_STARTED',
+            message: 'Players have already started this daily challenge'
+          }
+        });
+      }
+
+      const uniqueIds = [...new Set(questionIds)];
+      const activeCount = await Quiz.countDocuments({ _id: { $in: uniqueIds }, isActive: true });
+      if (uniqueIds.length !== questionIds.length || activeCount !== uniqueIds.length) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_QUESTIONS',
+            message: 'Questions must be distinct, existing and active'
+          }
+        });
+      }
+
+      const challenge = await DailyChallenge.overrideForDate(date, questionIds, adminId);
+
+      logger.business('daily_challenge_overridden', {
+        adminId,
+        date,
+        questionIds
+      });
+
+      res.json({
+        success: true,
+        data: challenge,
+        message: 'Daily challenge updated successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'override_daily_challenge',
+        adminId: req.user._id,
+        params: req.params,
+        body: req.body
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to update daily challenge'
+        }
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/packs
+// @desc    Get all quiz packs with play statistics
+// @access  Private (Admin only)
+router.get('/packs',
+  authenticateAdmin,
+  async (req, res) => {
+    try {
+      const [packs, stats] = await Promise.all([
+        QuizPack.find().sort({ sortOrder: 1, createdAt: -1 }),
+        QuizPackProgress.aggregate([
+          {
+            $group: {
+              _id: '$packId',
+              players: { $sum: { $cond: [{ $gt: ['$attempts', 0] }, 1, 0] } },
+              attempts: { $sum: '$attempts' },
+              completions: { $sum: '$completions' },
+              unlocks: { $sum: { $cond: [{ $ifNull: ['$unlockedAt', false] }, 1, 0] } }
+            }
+          }
+        ])
+      ]);
+
+      const data = packs.map(pack => {
+        const entry = stats.find(stat => stat._id.equals(pack._id));
+
+        return {
+          ...pack.toObject(),
+          stats: {
+            players: entry ? entry.players : 0,
+            attempts: entry ? entry.attempts : 0,
+            completions: entry ? entry.completions : 0,
+            unlocks: entry ? entry.unlocks : 0
+          }
+        };
+      });
+
+      res.json({
+        success: true,
+        data,
+        message: 'Quiz packs retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'get_admin_packs',
+        adminId: req.user._id
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve quiz packs'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/packs
+// @desc    Create a quiz pack
+// @access  Private (Admin only)
+router.post('/packs',
+  authenticateAdmin,
+  [
+    body('slug').isString().trim().toLowerCase().isLength({ min: 1, max: 50 }).matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Slug must be lowercase letters, numbers and dashes'),
+    ...packValidators()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const adminId = req.user._id;
+      const { slug, questionIds } = req.body;
+
+      if (await QuizPack.exists({ slug })) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'PACK_EXISTS',
+            message: 'A quiz pack with this slug already exists'
+          }
+        });
+      }
+
+      if (!await hasValidPackQuestions(questionIds)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_QUESTIONS',
+            message: 'Questions must be distinct, existing and active'
+          }
+        });
+      }
+
+      const pack = new QuizPack({
+        slug,
+        questions: questionIds,
+        createdBy: adminId,
+        updatedBy: adminId
+      });
+      PACK_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          pack[field] = req.body[field];
+        }
+      });
+      await pack.save();
+
+      logger.business('quiz_pack_created', {
+        adminId,
+        packId: pack._id,
+        slug,
+        questionCount: pack.questionCount
+      });
+
+      res.status(201).json({
+        success: true,
+        data: pack,
+        message: 'Quiz pack created successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'create_quiz_pack',
+        adminId: req.user._id,
+        body: req.body
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to create quiz pack'
+        }
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/packs/:id
+// @desc    Update a quiz pack (the slug cannot change)
+// @access  Private (Admin only)
+router.put('/packs/:id',
+  authenticateAdmin,
+  [
+    param('id').isMongoId().withMessage('Invalid pack ID'),
+    body('slug').not().exists().withMessage('Slug cannot be changed'),
+    ...packValidators(true)
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const adminId = req.user._id;
+      const { questionIds } = req.body;
+
+      const pack = await QuizPack.findById(id);
+      if (!pack) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PACK_NOT_FOUND',
+            message: 'Quiz pack not found'
+          }
+        });
+      }
+
+      if (questionIds !== undefined) {
+        if (!await hasValidPackQuestions(questionIds)) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: 'INVALID_QUESTIONS',
+              message: 'Questions must be distinct, existing and active'
+            }
+          });
+        }
+        pack.questions = questionIds;
+      }
+
+      PACK_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          pack[field] = req.body[field];
+        }
+      });
+      pack.updatedBy = adminId;
+      await pack.save();
+
+      logger.business('quiz_pack_updated', {
+        adminId,
+        packId: id,
+        updates: req.body
+      });
+
+      res.json({
+        success: true,
+        data: pack,
+        message: 'Quiz pack updated successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'update_quiz_pack',
+        adminId: req.user._id,
+        params: req.params,
+        body: req.body
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to update quiz pack'
+        }
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/packs/:id
+// @desc    Delete a quiz pack nobody has played or unlocked (unpublish it instead otherwise)
+// @access  Private (Admin only)
+router.delete('/packs/:id',
+  authenticateAdmin,
+  [
+    param('id').isMongoId().withMessage('Invalid pack ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const adminId = req.user._id;
+
+      const pack = await QuizPack.findById(id);
+      if (!pack) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PACK_NOT_FOUND',
+            message: 'Quiz pack not found'
+          }
+        });
+      }
+
+      // Players' progress and paid unlocks refer to the pack
+      const players = await QuizPackProgress.countDocuments({ packId: pack._id });
+      if (players > 0) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'PACK_IN_USE',
+            message: 'Quiz pack has been played or unlocked; unpublish it instead',
+            details: { players }
+          }
+        });
+      }
+
+      await pack.deleteOne();
+
+      logger.business('quiz_pack_deleted', {
+        adminId,
+        packId: id,
+        slug: pack.slug
+      });
+
+      res.json({
+        success: true,
+        message: 'Quiz pack deleted successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'delete_quiz_pack',
+        adminId: req.user._id,
+        params: req.params
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to delete quiz pack'
+        }
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/settings
+// @desc    Get app settings
+// @access  Private (Admin only)
+router.get('/settings',
+  authenticateAdmin,
+  async (req, res) => {
+    try {
+      // In a real app, you'd fetch these from a settings collection
+      const settings = {
+        app: {
+          name: process.env.APP_NAME || 'CryptoQuiz',
+          version: process.env.APP_VERSION || '1.0.0',
+          maintenanceMode: process.env.ENABLE_MAINTENANCE_MODE === 'true',
+          maintenanceMessage: process.env.MAINTENANCE_MESSAGE || 'App is under maintenance'
+        },
+        features: {
+          aiQuestions: process.env.ENABLE_AI_QUESTIONS === 'true',
+          telegramIntegration: process.env.ENABLE_TELEGRAM_INTEGRATION === 'true',
+          analytics: process.env.ENABLE_ANALYTICS === 'true',
+          emailNotifications: process.env.ENABLE_EMAIL_NOTIFICATIONS === 'true',
+          pushNotifications: process.env.ENABLE_PUSH_NOTIFICATIONS === 'true'
+        },
+        limits: {
+          minDeposit: 10,
+          maxDeposit: 10000,
+          minWithdrawal: 10,
+          maxWithdrawal: 5000,
+          withdrawalFee: 0.02,
+          maxDailyQuizzes: 10,
+          maxHourlyQuizzes: 3
+        },
+        rewards: {
+          dailyBonus: dailyBonusService.getRewardTable()
+        },
+        security: {
+          enableFraudDetection: true,
+          enableRateLimiting: true,
+          suspiciousScoreThreshold: 95,
+          maxConsecutiveCorrect: 5
+        }
+      };
+
+      res.json({
+        success: true,
+        data: settings,
+        message: 'Settings retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'get_admin_settings',
+        adminId: req.user._id
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve settings'
+        }
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/settings
+// @desc    Update app settings
+// @access  Private (Admin only)
+router.put('/settings',
+  authenticateAdmin,
+  [
+    body('app').optional().isObject(),
+    body('features').optional().isObject(),
+    body('limits').optional().isObject(),
+    body('security').optional().isObject()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const adminId = req.user._id;
+      const settings = req.body;
+
+      // In a real app, you'd save these to a settings collection
+      // For now, we'll just log the changes
+      
+      logger.business('admin_settings_updated', {
+        adminId,
+        settings,
+        timestamp: new Date()
+      });
+
+      res.json({
+        success: true,
+        data: settings,
+        message: 'Settings updated successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'update_admin_settings',
+        adminId: req.user._id,
+        body: req.body
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to update settings'
+        }
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/analytics/answer-distribution
+// @desc    Per-option answer distribution for the questions of a category
+// @access  Private (Admin only)
+router.get('/analytics/answer-distribution',
+  authenticateAdmin,
+  [
+    query('category').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Category is required'),
+    query('subcategory').optional().isString().trim().isLength({ min: 1, max: 50 }),
+    query('flaggedOnly').optional().isBoolean().toBoolean(),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { category, subcategory, flaggedOnly = false, limit = 50 } = req.query;
+
+      const filter = {
+        category,
+        type: { $in: CHOICE_TYPES },
+        'answerDistribution.responses': { $gte: Quiz.MIN_DISTRIBUTION_RESPONSES }
+      };
+      if (subcategory) filter.subcategory = subcategory;
+
+      const questions = await Quiz.find(filter)
+        .sort({ 'answerDistribution.responses': -1 })
+        .limit(limit);
+
+      const distributions = questions.map(question => question.getAnswerDistribution());
+      const isFlagged = distribution => distribution.neverPicked.length > 0 || distribution.beatsKey.length > 0;
+
+      res.json({
+        success: true,
+        data: {
+          category,
+          subcategory,
+          summary: {
+            questionsAnalyzed: distributions.length,
+            withNeverPickedOptions: distributions.filter(d => d.neverPicked.length > 0).length,
+            withOptionsBeatingKey: distributions.filter(d => d.beatsKey.length > 0).length
+          },
+          // Flagged questions first
+          questions: distributions
+            .filter(distribution => !flaggedOnly || isFlagged(distribution))
+            .sort((a, b) => isFlagged(b) - isFlagged(a))
+        },
+        message: 'Answer distribution retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'get_category_answer_distribution',
+        adminId: req.user._id,
+        query: req.query
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve answer distribution'
         }
       });
     }
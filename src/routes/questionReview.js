@@ -0,0 +1,491 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Quiz = require('../models/Quiz');
+const QuestionReview = require('../models/QuestionReview');
+const { authenticateAdmin, authenticateModerator } = require('../utils/auth');
+const { questionEditValidators } = require('../utils/questionValidators');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+  next();
+};
+
+const queueFilters = (source) => {
+  const filters = {};
+  if (source.category) filters.category = source.category;
+  if (source.source) filters.source = source.source;
+  return filters;
+};
+
+// Load a question the reviewer holds an unexpired claim on.
+// Returns { question } or an { status, code, message } error.
+const findClaimedQuestion = async (questionId, reviewerId) => {
+  const question = await Quiz.findById(questionId);
+
+  if (!question) {
+    return { status: 404, code: 'QUESTION_NOT_FOUND', message: 'Question not found' };
+  }
+  if (question.isVerified || question.review.status !== 'pending') {
+    return { status: 409, code: 'ALREADY_REVIEWED', message: 'Question has already been reviewed' };
+  }
+  if (!question.isClaimedBy(reviewerId)) {
+    return { status: 409, code: 'NOT_CLAIMED', message: 'Claim the question before reviewing it' };
+  }
+
+  return { question };
+};
+
+// @route   GET /api/admin/questions/review
+// @desc    Get unverified questions waiting for review (oldest first)
+// @access  Private (Moderator or Admin)
+router.get('/',
+  authenticateModerator,
+  [
+    query('category').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid category'),
+    query('source').optional().isIn(['manual', 'ai', 'imported', 'user_submitted']).withMessage('Invalid source'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const reviewerId = req.user._id;
+      const filters = queueFilters(req.query);
+
+      const [questions, total] = await Promise.all([
+        Quiz.getReviewQueue(reviewerId, filters, limit, (page - 1) * limit),
+        Quiz.countReviewQueue(reviewerId, filters)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          questions,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          },
+          claimTimeoutMs: Quiz.REVIEW_CLAIM_TIMEOUT_MS
+        },
+        message: 'Review queue retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, {
+        operation: 'get_review_queue',
+        reviewerId: req.user._id,
+        query: req.query
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve review queue'
+        }
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/questions/review/stats
+// @desc    Get review throughput per reviewer
+// @access  Private (Admin only)
+router.get('/stats',
+  authenticateAdmin,
+  [
+    query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365').toInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { days = 30 } = req.query;
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+      const [reviewers, pending] = await Promise.all([
+        QuestionReview.getThroughput(since),
+        Quiz.countDocuments({ isActive: true, isVerified: false, 'review.status': { $in: ['pending', null] } })
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          days,
+          since,
+          reviewers,
+          totalReviews: reviewers.reduce((sum, reviewer) => sum + reviewer.total, 0),
+          pending
+        },
+        message: 'Review statistics retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, {
+        operation: 'get_review_stats',
+        adminId: req.user._id,
+        query: req.query
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve review statistics'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/questions/review/claim
+// @desc    Claim the oldest question available for review
+// @access  Private (Moderator or Admin)
+router.post('/claim',
+  authenticateModerator,
+  [
+    body('category').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid category'),
+    body('source').optional().isIn(['manual', 'ai', 'imported', 'user_submitted']).withMessage('Invalid source')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const reviewerId = req.user._id;
+
+      const question = await Quiz.claimForReview(reviewerId, null, queueFilters(req.body));
+      if (!question) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'QUEUE_EMPTY',
+            message: 'No questions are waiting for review'
+          }
+        });
+      }
+
+      logger.business('question_review_claimed', {
+        reviewerId,
+        questionId: question._id
+      });
+
+      res.json({
+        success: true,
+        data: question,
+        message: 'Question claimed for review'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, {
+        operation: 'claim_next_review',
+        reviewerId: req.user._id,
+        body: req.body
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to claim question'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/questions/review/:id/claim
+// @desc    Claim a specific question for review
+// @access  Private (Moderator or Admin)
+router.post('/:id/claim',
+  authenticateModerator,
+  [
+    param('id').isMongoId().withMessage('Invalid question ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const reviewerId = req.user._id;
+
+      const question = await Quiz.claimForReview(reviewerId, id);
+      if (!question) {
+        const exists = await Quiz.exists({ _id: id });
+        return res.status(exists ? 409 : 404).json({
+          success: false,
+          error: exists
+            ? { code: 'NOT_CLAIMABLE', message: 'Question is already reviewed or claimed by another reviewer' }
+            : { code: 'QUESTION_NOT_FOUND', message: 'Question not found' }
+        });
+      }
+
+      logger.business('question_review_claimed', {
+        reviewerId,
+        questionId: question._id
+      });
+
+      res.json({
+        success: true,
+        data: question,
+        message: 'Question claimed for review'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, {
+        operation: 'claim_review',
+        reviewerId: req.user._id,
+        params: req.params
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to claim question'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/questions/review/:id/release
+// @desc    Give a claimed question back to the queue
+// @access  Private (Moderator or Admin)
+router.post('/:id/release',
+  authenticateModerator,
+  [
+    param('id').isMongoId().withMessage('Invalid question ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const reviewerId = req.user._id;
+
+      const result = await Quiz.updateOne(
+        { _id: id, isVerified: false, 'review.status': { $in: ['pending', null] }, 'review.claimedBy': reviewerId },
+        { $unset: { 'review.claimedBy': 1, 'review.claimedAt': 1 } }
+      );
+
+      if (result.modifiedCount === 0) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'NOT_CLAIMED',
+            message: 'You do not hold a claim on this question'
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Question released'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, {
+        operation: 'release_review',
+        reviewerId: req.user._id,
+        params: req.params
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to release question'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/questions/review/:id/approve
+// @desc    Approve a claimed question, optionally editing it first
+// @access  Private (Moderator or Admin)
+router.post('/:id/approve',
+  authenticateModerator,
+  [
+    param('id').isMongoId().withMessage('Invalid question ID'),
+    ...questionEditValidators()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const reviewerId = req.user._id;
+
+      const claimed = await findClaimedQuestion(id, reviewerId);
+      if (!claimed.question) {
+        return res.status(claimed.status).json({
+          success: false,
+          error: {
+            code: claimed.code,
+            message: claimed.message
+          }
+        });
+      }
+
+      const { question } = claimed;
+      const changedFields = question.applyEdits(req.body, reviewerId);
+
+      const errors = await question.getValidationErrors();
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_QUESTION',
+            message: changedFields.length > 0
+              ? 'The edited question is invalid'
+              : 'The question is invalid; fix it while approving or reject it',
+            details: errors
+          }
+        });
+      }
+
+      const now = new Date();
+      question.isVerified = true;
+      question.verifiedBy = reviewerId;
+      question.verifiedAt = now;
+      question.review.status = 'approved';
+      question.review.reviewedBy = reviewerId;
+      question.review.reviewedAt = now;
+      await question.save();
+
+      const action = changedFields.length > 0 ? 'edited' : 'approved';
+      await QuestionReview.recordDecision(question, reviewerId, action, { changedFields });
+
+      logger.business('question_approved', {
+        reviewerId,
+        questionId: question._id,
+        action,
+        changedFields
+      });
+
+      res.json({
+        success: true,
+        data: {
+          question,
+          changedFields
+        },
+        message: 'Question approved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, {
+        operation: 'approve_question',
+        reviewerId: req.user._id,
+        params: req.params,
+        body: req.body
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to approve question'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/questions/review/:id/reject
+// @desc    Reject a claimed question with a reason; it is deactivated
+// @access  Private (Moderator or Admin)
+router.post('/:id/reject',
+  authenticateModerator,
+  [
+    param('id').isMongoId().withMessage('Invalid question ID'),
+    body('reason').isString().trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be 3-500 characters')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body;
+      const reviewerId = req.user._id;
+
+      const claimed = await findClaimedQuestion(id, reviewerId);
+      if (!claimed.question) {
+        return res.status(claimed.status).json({
+          success: false,
+          error: {
+            code: claimed.code,
+            message: claimed.message
+          }
+        });
+      }
+
+      // Rejected questions may not pass the save hooks, so update them directly
+      const now = new Date();
+      const question = await Quiz.findOneAndUpdate(
+        { _id: id, isVerified: false, 'review.status': { $in: ['pending', null] }, 'review.claimedBy': reviewerId },
+        {
+          isActive: false,
+          'review.status': 'rejected',
+          'review.rejectionReason': reason,
+          'review.reviewedBy': reviewerId,
+          'review.reviewedAt': now
+        },
+        { new: true }
+      );
+
+      if (!question) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'ALREADY_REVIEWED',
+            message: 'Question has already been reviewed'
+          }
+        });
+      }
+
+      await QuestionReview.recordDecision(question, reviewerId, 'rejected', { reason });
+
+      logger.business('question_rejected', {
+        reviewerId,
+        questionId: question._id,
+        reason
+      });
+
+      res.json({
+        success: true,
+        data: question,
+        message: 'Question rejected successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, {
+        operation: 'reject_question',
+        reviewerId: req.user._id,
+        params: req.params,
+        body: req.body
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to reject question'
+        }
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -2,10 +2,22 @@ const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const Quiz = require('../models/Quiz');
 const User = require('../models/User');
-const { authenticate, authenticateAdmin } = require('../utils/auth');
+const QuizSession = require('../models/QuizSession');
+const QuestionMemory = require('../models/QuestionMemory');
+const CategoryMastery = require('../models/CategoryMastery');
+const DailyChallenge = require('../models/DailyChallenge');
+const QuizPack = require('../models/QuizPack');
+const QuizPackProgress = require('../models/QuizPackProgress');
+const Category = require('../models/Category');
+const { authenticate, authenticateAdmin, rateLimitByUser } = require('../utils/auth');
 const logger = require('../utils/logger');
+const { getDateKey, getUserTimezone, isValidDateKey, getDayEnd } = require('../utils/dates');
+const { getUserLanguage } = require('../utils/languages');
+const { LIFELINE_TYPES, LIFELINE_MODES } = require('../utils/lifelines');
 const quizSecurityService = require('../services/quizSecurityService');
 const aiQuestionService = require('../services/aiQuestionService');
+const lifelineService = require('../services/lifelineService');
+const quizPackService = require('../services/quizPackService');
 
 const router = express.Router();
 
@@ -25,97 +37,1193 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Shape one session question for the client: safe fields only, in the session's
+// language, options in the session's shuffled order and the server-side answer deadline
+const buildSessionQuestion = (session, index, question) => {
+  const sessionQuestion = session.questions[index];
+  const safeQuestion = question.toLocalizedObject(session.language);
+  const { optionOrder } = sessionQuestion;
+
+  return {
+    ...safeQuestion,
+    options: optionOrder.map(originalIndex => safeQuestion.options[originalIndex]),
+    optionMedia: (safeQuestion.optionMedia || []).map(entry => ({
+      ...entry,
+      optionIndex: optionOrder.indexOf(entry.optionIndex)
+    })),
+    // Options taken out by 50/50, as displayed indices
+    removedOptions: sessionQuestion.removedOptions.map(originalIndex => optionOrder.indexOf(originalIndex)),
+    points: sessionQuestion.points,
+    lifelines: sessionQuestion.lifelines,
+    questionNumber: index + 1,
+    deliveredAt: sessionQuestion.deliveredAt,
+    deadline: session.getAnswerDeadline(sessionQuestion)
+  };
+};
+
+// Session summary returned when a quiz starts. Only the first question is sent;
+// each following one is delivered when the previous one is answered.
+const buildSessionStart = (session, questions) => {
+  const firstQuestion = questions.find(q => q._id.equals(session.questions[0].questionId));
+
+  return {
+    sessionId: session._id,
+    mode: session.mode,
+    totalQuestions: session.questions.length,
+    timeLimit: session.questions.reduce((total, q) => total + q.timeLimit, 0),
+    expiresAt: session.expiresAt,
+    lifelinesAllowed: LIFELINE_MODES.includes(session.mode),
+    currentQuestion: buildSessionQuestion(session, 0, firstQuestion)
+  };
+};
+
+// Load a player's session and make sure it still accepts answers, or with
+// status 'paused' that it is paused and can still be resumed
+const findActiveSession = async (sessionId, userId, status = 'active') => {
+  const session = await QuizSession.findOne({ _id: sessionId, userId });
+  if (!session) {
+    return { status: 404, code: 'SESSION_NOT_FOUND', message: 'Quiz session not found' };
+  }
+
+  if (!['active', 'paused'].includes(session.status)) {
+    return { status: 400, code: 'SESSION_CLOSED', message: 'Quiz session has already been submitted' };
+  }
+
+  if (session.isExpired) {
+    session.status = 'expired';
+    await session.save();
+
+    return { status: 400, code: 'SESSION_EXPIRED', message: 'Quiz session has expired' };
+  }
+
+  if (session.status !== status) {
+    return status === 'paused'
+      ? { status: 409, code: 'SESSION_NOT_PAUSED', message: 'Quiz session is not paused' }
+      : { status: 409, code: 'SESSION_PAUSED', message: 'Quiz session is paused; resume it to continue' };
+  }
+
+  return { session };
+};
+
 // @route   GET /api/quiz/questions
 // @desc    Get random questions for quiz
 // @access  Private
-router.get('/questions', 
+router.get('/questions', 
+  authenticate,
+  [
+    query('category').optional().isString().trim().isLength({ min: 1, max: 50 })
+      .bail().custom(slug => Category.assertActiveSlug(slug)),
+    query('difficulty').optional().isIn(['easy', 'medium', 'hard']),
+    query('limit').optional().isInt({ min: 1, max: 20 }).toInt(),
+    query('mode').optional().isIn(['standard', 'adaptive', 'practice'])
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { category, difficulty, limit = 10, mode = 'standard' } = req.query;
+      const userId = req.user._id;
+
+      // Security check before allowing quiz
+      const securityCheck = await quizSecurityService.validateQuizStart(userId, difficulty, mode);
+      if (!securityCheck.allowed) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: securityCheck.code,
+            message: securityCheck.message
+          }
+        });
+      }
+
+      // Get questions: adaptive mode matches question ratings to the player's skill
+      const user = await User.findById(userId).select('skillRating');
+      let questions;
+      if (mode === 'adaptive') {
+        questions = await Quiz.getAdaptiveQuestions(category, user.skillRating, limit);
+      } else {
+        questions = await Quiz.getRandomQuestions(category, difficulty, limit);
+      }
+      
+      if (questions.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NO_QUESTIONS_FOUND',
+            message: 'No questions available for the specified criteria'
+          }
+        });
+      }
+
+      // Persist the option shuffle server-side so the answer key never leaves the server
+      const session = await QuizSession.createForQuestions(userId, questions, {
+        mode,
+        category,
+        difficulty: mode === 'adaptive' ? undefined : difficulty,
+        language: getUserLanguage(req.user),
+        // Paid modes scale points by the player's rating (practice pays no balance)
+        playerRating: mode === 'practice' ? undefined : user.skillRating
+      });
+
+      logger.business('quiz_questions_requested', {
+        userId,
+        sessionId: session._id,
+        mode,
+        category,
+        difficulty,
+        questionCount: session.questions.length
+      });
+
+      res.json({
+        success: true,
+        data: buildSessionStart(session, questions),
+        message: 'Questions retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'get_quiz_questions',
+        userId: req.user._id,
+        query: req.query
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve questions'
+        }
+      });
+    }
+  }
+);
+
+// @route   GET /api/quiz/review
+// @desc    Get previously missed questions that are due for spaced-repetition review
+// @access  Private
+router.get('/review',
+  authenticate,
+  [
+    query('limit').optional().isInt({ min: 1, max: 20 }).toInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { limit = 10 } = req.query;
+      const userId = req.user._id;
+
+      // Security check before allowing quiz
+      const securityCheck = await quizSecurityService.validateQuizStart(userId);
+      if (!securityCheck.allowed) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: securityCheck.code,
+            message: securityCheck.message
+          }
+        });
+      }
+
+      // Everything scheduled up to the end of the player's today is due
+      const dueBy = getDayEnd(new Date(), getUserTimezone(req.user));
+
+      const dueReviews = await QuestionMemory.getDueReviews(userId, dueBy, limit);
+      const questions = await Quiz.find({
+        _id: { $in: dueReviews.map(review => review.questionId) },
+        isActive: true
+      })
+      .select(Quiz.HIDDEN_SELECT);
+
+      if (questions.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NO_REVIEWS_DUE',
+            message: 'No questions are due for review today'
+          }
+        });
+      }
+
+      // Review sessions are graded like any other session but pay no balance
+      const session = await QuizSession.createForQuestions(userId, questions, {
+        mode: 'review',
+        language: getUserLanguage(req.user)
+      });
+
+      const totalDue = await QuestionMemory.countDueReviews(userId, dueBy);
+
+      logger.business('quiz_review_requested', {
+        userId,
+        sessionId: session._id,
+        questionCount: session.questions.length,
+        totalDue
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...buildSessionStart(session, questions),
+          totalDue
+        },
+        message: 'Review questions retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'get_review_questions',
+        userId: req.user._id,
+        query: req.query
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve review questions'
+        }
+      });
+    }
+  }
+);
+
+// @route   GET /api/quiz/daily
+// @desc    Get today's daily challenge and whether the user has played it
+// @access  Private
+router.get('/daily',
+  authenticate,
+  async (req, res) => {
+    try {
+      const userId = req.user._id;
+      const date = getDateKey(new Date(), getUserTimezone(req.user));
+
+      const challenge = await DailyChallenge.getForDate(date);
+      if (!challenge) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NO_DAILY_CHALLENGE',
+            message: 'No daily challenge is available today'
+          }
+        });
+      }
+
+      const attempt = await QuizSession.findOne({ userId, challengeDate: date })
+        .select('status score totalPoints correctCount issuedAt submittedAt');
+
+      res.json({
+        success: true,
+        data: {
+          date,
+          questionCount: challenge.questionCount,
+          played: !!attempt,
+          attempt
+        },
+        message: 'Daily challenge retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'get_daily_challenge',
+        userId: req.user._id
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve daily challenge'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/quiz/daily/start
+// @desc    Start today's daily challenge (one attempt per day)
+// @access  Private
+router.post('/daily/start',
+  authenticate,
+  async (req, res) => {
+    try {
+      const userId = req.user._id;
+      const date = getDateKey(new Date(), getUserTimezone(req.user));
+
+      // Security check before allowing quiz
+      const securityCheck = await quizSecurityService.validateQuizStart(userId);
+      if (!securityCheck.allowed) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: securityCheck.code,
+            message: securityCheck.message
+          }
+        });
+      }
+
+      const challenge = await DailyChallenge.getForDate(date);
+      if (!challenge) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NO_DAILY_CHALLENGE',
+            message: 'No daily challenge is available today'
+          }
+        });
+      }
+
+      // Keep the challenge order so every player gets the same sequence
+      const found = await Quiz.find({ _id: { $in: challenge.questions }, isActive: true });
+      const questions = challenge.questions
+        .map(questionId => found.find(q => q._id.equals(questionId)))
+        .filter(Boolean);
+
+      if (questions.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'NO_DAILY_CHALLENGE',
+            message: 'No daily challenge is available today'
+          }
+        });
+      }
+
+      // Starting the session uses up the day's attempt (enforced by a unique index)
+      let session;
+      try {
+        session = await QuizSession.createForQuestions(userId, questions, {
+          mode: 'daily',
+          challengeDate: date,
+          language: getUserLanguage(req.user)
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'DAILY_CHALLENGE_PLAYED',
+            message: 'You have already played today\'s daily challenge'
+          }
+        });
+      }
+
+      logger.business('daily_challenge_started', {
+        userId,
+        sessionId: session._id,
+        date,
+        questionCount: session.questions.length
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...buildSessionStart(session, questions),
+          date
+        },
+        message: 'Daily challenge started successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'start_daily_challenge',
+        userId: req.user._id
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to start daily challenge'
+        }
+      });
+    }
+  }
+);
+
+// @route   GET /api/quiz/daily/leaderboard
+// @desc    Get the daily challenge leaderboard (defaults to the user's today)
+// @access  Private
+router.get('/daily/leaderboard',
+  authenticate,
+  [
+    query('date').optional().custom(isValidDateKey).withMessage('Date must be formatted as YYYY-MM-DD'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { limit = 50 } = req.query;
+      const date = req.query.date || getDateKey(new Date(), getUserTimezone(req.user));
+
+      const entries = await QuizSession.getDailyLeaderboard(date, limit);
+      const leaderboard = entries.map((entry, index) => ({
+        rank: index + 1,
+        ...entry
+      }));
+
+      res.json({
+        success: true,
+        data: {
+          date,
+          leaderboard,
+          totalPlayers: leaderboard.length
+        },
+        message: 'Daily leaderboard retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'get_daily_leaderboard',
+        userId: req.user._id,
+        query: req.query
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve daily leaderboard'
+        }
+      });
+    }
+  }
+);
+
+// @route   GET /api/quiz/packs
+// @desc    Get published quiz packs with the player's access and progress
+// @access  Private
+router.get('/packs',
+  authenticate,
+  [
+    query('category').optional().isString().trim().toLowerCase()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id).select('level');
+      const packs = await quizPackService.listPacks(user, req.query.category);
+
+      res.json({
+        success: true,
+        data: packs,
+        message: 'Quiz packs retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'get_quiz_packs',
+        userId: req.user._id,
+        query: req.query
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve quiz packs'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/quiz/packs/:id/unlock
+// @desc    Pay a quiz pack's entry cost with bonus balance
+// @access  Private
+router.post('/packs/:id/unlock',
+  authenticate,
+  [
+    param('id').isMongoId().withMessage('Invalid pack ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const pack = await QuizPack.findOne({ _id: req.params.id, isPublished: true });
+      if (!pack) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PACK_NOT_FOUND',
+            message: 'Quiz pack not found'
+          }
+        });
+      }
+
+      const user = await User.findById(req.user._id);
+      const { progress, user: updatedUser, transaction, ...failure } = await quizPackService.unlock(user, pack);
+      if (!progress) {
+        return res.status(failure.status).json({
+          success: false,
+          error: {
+            code: failure.code,
+            message: failure.message
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          packId: pack._id,
+          progress: progress.toSummary(),
+          bonusBalance: updatedUser.bonusBalance,
+          transactionId: transaction._id
+        },
+        message: 'Quiz pack unlocked successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'unlock_quiz_pack',
+        userId: req.user._id,
+        params: req.params
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to unlock quiz pack'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/quiz/packs/:id/start
+// @desc    Start a quiz session with a pack's questions in the pack's order
+// @access  Private
+router.post('/packs/:id/start',
+  authenticate,
+  [
+    param('id').isMongoId().withMessage('Invalid pack ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const userId = req.user._id;
+
+      const pack = await QuizPack.findOne({ _id: req.params.id, isPublished: true });
+      if (!pack) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PACK_NOT_FOUND',
+            message: 'Quiz pack not found'
+          }
+        });
+      }
+
+      const user = await User.findById(userId).select('level');
+      const progress = await QuizPackProgress.findOne({ userId, packId: pack._id });
+      const accessError = quizPackService.checkAccess(user, pack, progress);
+      if (accessError) {
+        return res.status(accessError.status).json({
+          success: false,
+          error: {
+            code: accessError.code,
+            message: accessError.message
+          }
+        });
+      }
+
+      // Security check before allowing quiz
+      const securityCheck = await quizSecurityService.validateQuizStart(userId, undefined, 'pack');
+      if (!securityCheck.allowed) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: securityCheck.code,
+            message: securityCheck.message
+          }
+        });
+      }
+
+      // Keep the pack order; questions deactivated since the pack was built are left out
+      const found = await Quiz.find({ _id: { $in: pack.questions }, isActive: true });
+      const questions = pack.questions
+        .map(questionId => found.find(q => q._id.equals(questionId)))
+        .filter(Boolean);
+
+      if (questions.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PACK_EMPTY',
+            message: 'This quiz pack has no playable questions'
+          }
+        });
+      }
+
+      const { attempts } = await QuizPackProgress.recordStart(userId, pack._id);
+      const session = await QuizSession.createForQuestions(userId, questions, {
+        mode: 'pack',
+        category: pack.category,
+        packId: pack._id,
+        packAttempt: attempts,
+        language: getUserLanguage(req.user)
+      });
+
+      logger.business('quiz_pack_started', {
+        userId,
+        sessionId: session._id,
+        packId: pack._id,
+        attempt: attempts,
+        questionCount: session.questions.length
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...buildSessionStart(session, questions),
+          pack: pack.toPublicObject(),
+          attempt: attempts
+        },
+        message: 'Quiz pack started successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'start_quiz_pack',
+        userId: req.user._id,
+        params: req.params
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to start quiz pack'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/quiz/sessions/:sessionId/answers
+// @desc    Answer the current question of a session and receive the next one
+// @access  Private
+router.post('/sessions/:sessionId/answers',
+  authenticate,
+  [
+    param('sessionId').isMongoId().withMessage('Invalid session ID'),
+    body('questionId').isMongoId().withMessage('Invalid question ID'),
+    body('selectedAnswer').optional({ nullable: true })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const { questionId, selectedAnswer = null } = req.body;
+      const userId = req.user._id;
+      const answeredAt = new Date();
+
+      const { session, ...failure } = await findActiveSession(sessionId, userId);
+      if (!session) {
+        return res.status(failure.status).json({
+          success: false,
+          error: {
+            code: failure.code,
+            message: failure.message
+          }
+        });
+      }
+
+      // Only the question currently on screen can be answered
+      const questionIndex = session.getCurrentQuestionIndex();
+      const sessionQuestion = session.questions[questionIndex];
+      if (!sessionQuestion || !sessionQuestion.questionId.equals(questionId)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'QUESTION_NOT_CURRENT',
+            message: 'This question is not the current question of the session'
+          }
+        });
+      }
+
+      // A null selection means the player let the timer run out
+      if (selectedAnswer !== null && session.resolveResponse(questionId, selectedAnswer) === null) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_ANSWER',
+            message: 'Answer does not match the question type or options'
+          }
+        });
+      }
+
+      // Time the answer on the server; late answers are kept but score nothing
+      const elapsedMs = answeredAt.getTime() - sessionQuestion.deliveredAt.getTime();
+      const timedOut = answeredAt > session.getAnswerDeadline(sessionQuestion);
+
+      const updatedSession = await session.recordAnswer(questionIndex, {
+        selectedAnswer,
+        answeredAt,
+        elapsedMs,
+        timedOut
+      });
+      if (!updatedSession) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'ANSWER_ALREADY_RECORDED',
+            message: 'This question has already been answered'
+          }
+        });
+      }
+
+      let nextQuestion = null;
+      const nextSessionQuestion = updatedSession.questions[questionIndex + 1];
+      if (nextSessionQuestion) {
+        const question = await Quiz.findById(nextSessionQuestion.questionId);
+        nextQuestion = buildSessionQuestion(updatedSession, questionIndex + 1, question);
+      }
+
+      if (timedOut) {
+        logger.business('quiz_answer_timed_out', {
+          userId,
+          sessionId,
+          questionId,
+          elapsedMs,
+          timeLimit: sessionQuestion.timeLimit
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          questionId,
+          timedOut,
+          elapsedMs,
+          answeredCount: questionIndex + 1,
+          totalQuestions: updatedSession.questions.length,
+          nextQuestion
+        },
+        message: timedOut ? 'Answer arrived after the time limit' : 'Answer recorded'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'answer_quiz_question',
+        userId: req.user._id,
+        params: req.params,
+        body: req.body
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to record answer'
+        }
+      });
+    }
+  }
+);
+
+// @route   GET /api/quiz/sessions/paused
+// @desc    Get the player's paused sessions that can still be resumed
+// @access  Private
+router.get('/sessions/paused',
+  authenticate,
+  async (req, res) => {
+    try {
+      const sessions = await QuizSession.find({
+        userId: req.user._id,
+        status: 'paused',
+        resumeBy: { $gt: new Date() }
+      })
+        .select('mode category difficulty questions.answeredAt pausedAt resumeBy pauses')
+        .sort({ pausedAt: -1 });
+
+      res.json({
+        success: true,
+        data: {
+          sessions: sessions.map(session => ({
+            sessionId: session._id,
+            mode: session.mode,
+            category: session.category,
+            difficulty: session.difficulty,
+            answeredCount: session.questions.filter(q => q.answeredAt).length,
+            totalQuestions: session.questions.length,
+            pausedAt: session.pausedAt,
+            resumeBy: session.resumeBy,
+            pausesLeft: session.pausesLeft
+          }))
+        },
+        message: 'Paused sessions retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'get_paused_sessions',
+        userId: req.user._id
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve paused sessions'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/quiz/sessions/:sessionId/pause
+// @desc    Pause a quiz session; the question on screen is forfeited
+// @access  Private
+router.post('/sessions/:sessionId/pause',
+  authenticate,
+  [
+    param('sessionId').isMongoId().withMessage('Invalid session ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const userId = req.user._id;
+
+      const { session, ...failure } = await findActiveSession(sessionId, userId);
+      if (!session) {
+        return res.status(failure.status).json({
+          success: false,
+          error: {
+            code: failure.code,
+            message: failure.message
+          }
+        });
+      }
+
+      if (session.getCurrentQuestionIndex() === -1) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'NO_CURRENT_QUESTION',
+            message: 'All questions have been answered; submit the quiz instead'
+          }
+        });
+      }
+
+      if (session.pausesLeft === 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'PAUSE_LIMIT_REACHED',
+            message: `A quiz can be paused at most ${QuizSession.MAX_PAUSES} times`
+          }
+        });
+      }
+
+      const pausedSession = await session.pause();
+      if (!pausedSession) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'SESSION_NOT_PAUSED',
+            message: 'The session changed before it could be paused'
+          }
+        });
+      }
+
+      const pause = pausedSession.pauses[pausedSession.pauses.length - 1];
+
+      logger.business('quiz_session_paused', {
+        userId,
+        sessionId,
+        questionIndex: pause.questionIndex,
+        pauses: pausedSession.pauses.length
+      });
+
+      // Nothing about the questions is sent while the session is paused
+      res.json({
+        success: true,
+        data: {
+          sessionId: pausedSession._id,
+          pausedAt: pausedSession.pausedAt,
+          resumeBy: pausedSession.resumeBy,
+          pausesLeft: pausedSession.pausesLeft,
+          forfeitedQuestionId: pausedSession.questions[pause.questionIndex].questionId,
+          answeredCount: pausedSession.questions.filter(q => q.answeredAt).length,
+          totalQuestions: pausedSession.questions.length
+        },
+        message: 'Quiz session paused; the current question was forfeited'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'pause_quiz_session',
+        userId: req.user._id,
+        params: req.params
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to pause quiz session'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/quiz/sessions/:sessionId/resume
+// @desc    Resume a paused quiz session and get its next question
+// @access  Private
+router.post('/sessions/:sessionId/resume',
+  authenticate,
+  [
+    param('sessionId').isMongoId().withMessage('Invalid session ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const userId = req.user._id;
+
+      const { session, ...failure } = await findActiveSession(sessionId, userId, 'paused');
+      if (!session) {
+        return res.status(failure.status).json({
+          success: false,
+          error: {
+            code: failure.code,
+            message: failure.message
+          }
+        });
+      }
+
+      const resumedSession = await session.resume();
+      if (!resumedSession) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'SESSION_NOT_PAUSED',
+            message: 'Quiz session has already been resumed or has expired'
+          }
+        });
+      }
+
+      // Play goes on after the forfeited question; pausing on the last one leaves
+      // nothing to deliver but the submit
+      const pause = resumedSession.pauses[resumedSession.pauses.length - 1];
+      const questionIndex = resumedSession.getCurrentQuestionIndex();
+
+      let currentQuestion = null;
+      if (questionIndex !== -1) {
+        const question = await Quiz.findById(resumedSession.questions[questionIndex].questionId);
+        currentQuestion = buildSessionQuestion(resumedSession, questionIndex, question);
+      }
+
+      logger.business('quiz_session_resumed', {
+        userId,
+        sessionId,
+        questionIndex,
+        pausedMs: pause.resumedAt.getTime() - pause.pausedAt.getTime()
+      });
+
+      res.json({
+        success: true,
+        data: {
+          sessionId: resumedSession._id,
+          mode: resumedSession.mode,
+          answeredCount: resumedSession.questions.filter(q => q.answeredAt).length,
+          totalQuestions: resumedSession.questions.length,
+          expiresAt: resumedSession.expiresAt,
+          pausesLeft: resumedSession.pausesLeft,
+          lifelinesAllowed: LIFELINE_MODES.includes(resumedSession.mode),
+          currentQuestion
+        },
+        message: 'Quiz session resumed'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'resume_quiz_session',
+        userId: req.user._id,
+        params: req.params
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to resume quiz session'
+        }
+      });
+    }
+  }
+);
+
+// @route   GET /api/quiz/lifelines
+// @desc    Get the lifeline catalog and the player's inventory
+// @access  Private
+router.get('/lifelines',
+  authenticate,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id).select('lifelines bonusBalance');
+
+      res.json({
+        success: true,
+        data: {
+          lifelines: lifelineService.getCatalog(),
+          inventory: lifelineService.getInventory(user),
+          bonusBalance: user.bonusBalance
+        },
+        message: 'Lifelines retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'get_lifelines',
+        userId: req.user._id
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve lifelines'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/quiz/lifelines/purchase
+// @desc    Buy lifelines into the inventory with bonus balance
+// @access  Private
+router.post('/lifelines/purchase',
   authenticate,
   [
-    query('category').optional().isString().trim().isLength({ min: 1, max: 50 }),
-    query('difficulty').optional().isIn(['easy', 'medium', 'hard']),
-    query('limit').optional().isInt({ min: 1, max: 20 }).toInt()
+    body('type').isIn(LIFELINE_TYPES).withMessage('Invalid lifeline'),
+    body('quantity').optional().isInt({ min: 1, max: 10 }).withMessage('Quantity must be between 1 and 10').toInt()
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { category, difficulty, limit = 10 } = req.query;
-      const userId = req.user._id;
+      const { type, quantity = 1 } = req.body;
 
-      // Security check before allowing quiz
-      const securityCheck = await quizSecurityService.validateQuizStart(userId, difficulty);
-      if (!securityCheck.allowed) {
-        return res.status(403).json({
+      const user = await User.findById(req.user._id);
+      const { user: updatedUser, inventory, transaction, ...failure } = await lifelineService.purchase(user, type, quantity);
+      if (!inventory) {
+        return res.status(failure.status).json({
           success: false,
           error: {
-            code: securityCheck.code,
-            message: securityCheck.message
+            code: failure.code,
+            message: failure.message
           }
         });
       }
 
-      // Get random questions
-      const questions = await Quiz.getRandomQuestions(category, difficulty, limit);
-      
-      if (questions.length === 0) {
-        return res.status(404).json({
+      res.json({
+        success: true,
+        data: {
+          inventory,
+          bonusBalance: updatedUser.bonusBalance,
+          transactionId: transaction._id
+        },
+        message: 'Lifelines purchased successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'purchase_lifelines',
+        userId: req.user._id,
+        body: req.body
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to purchase lifelines'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/quiz/sessions/:sessionId/lifelines
+// @desc    Use a lifeline on the current question of a quiz session
+// @access  Private
+router.post('/sessions/:sessionId/lifelines',
+  authenticate,
+  [
+    param('sessionId').isMongoId().withMessage('Invalid session ID'),
+    body('type').isIn(LIFELINE_TYPES).withMessage('Invalid lifeline'),
+    body('questionId').isMongoId().withMessage('Invalid question ID'),
+    body('payWith').optional().isIn(['inventory', 'bonus']).withMessage('payWith must be inventory or bonus')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const { type, questionId, payWith } = req.body;
+      const userId = req.user._id;
+
+      const { session, ...failure } = await findActiveSession(sessionId, userId);
+      if (!session) {
+        return res.status(failure.status).json({
           success: false,
           error: {
-            code: 'NO_QUESTIONS_FOUND',
-            message: 'No questions available for the specified criteria'
+            code: failure.code,
+            message: failure.message
           }
         });
       }
 
-      // Shuffle questions and options
-      const shuffledQuestions = questions.map(question => {
-        const shuffledOptions = [...question.options];
-        const correctAnswer = shuffledOptions[question.correctAnswer];
-        
-        // Shuffle options
-        for (let i = shuffledOptions.length - 1; i > 0; i--) {
-          const j = Math.floor(Math.random() * (i + 1));
-          [shuffledOptions[i], shuffledOptions[j]] = [shuffledOptions[j], shuffledOptions[i]];
-        }
-        
-        // Find new correct answer index
-        const newCorrectAnswer = shuffledOptions.indexOf(correctAnswer);
-        
-        return {
-          ...question.toSafeObject(),
-          options: shuffledOptions,
-          correctAnswer: newCorrectAnswer
-        };
-      });
+      // Lifelines only apply to the question currently on screen
+      const currentQuestion = session.questions[session.getCurrentQuestionIndex()];
+      if (!currentQuestion || !currentQuestion.questionId.equals(questionId)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'QUESTION_NOT_CURRENT',
+            message: 'This question is not the current question of the session'
+          }
+        });
+      }
 
-      logger.business('quiz_questions_requested', {
-        userId,
-        category,
-        difficulty,
-        questionCount: shuffledQuestions.length
-      });
+      const user = await User.findById(userId);
+      const { session: updatedSession, ...result } = await lifelineService.use(session, user, type, payWith);
+      if (!updatedSession) {
+        return res.status(result.status).json({
+          success: false,
+          error: {
+            code: result.code,
+            message: result.message
+          }
+        });
+      }
 
       res.json({
         success: true,
         data: {
-          questions: shuffledQuestions,
-          totalQuestions: shuffledQuestions.length,
-          timeLimit: shuffledQuestions.reduce((total, q) => total + q.timeLimit, 0)
+          lifeline: result.lifeline,
+          currentQuestion: buildSessionQuestion(updatedSession, result.questionIndex, result.question),
+          expiresAt: updatedSession.expiresAt,
+          inventory: lifelineService.getInventory(result.user),
+          bonusBalance: result.user.bonusBalance
         },
-        message: 'Questions retrieved successfully'
+        message: 'Lifeline used successfully'
       });
 
     } catch (error) {
       logger.errorWithContext(error, { 
-        operation: 'get_quiz_questions',
+        operation: 'use_lifeline',
         userId: req.user._id,
-        query: req.query
+        params: req.params,
+        body: req.body
       });
 
       res.status(500).json({
         success: false,
         error: {
           code: 'INTERNAL_ERROR',
-          message: 'Failed to retrieve questions'
+          message: 'Failed to use lifeline'
         }
       });
     }
@@ -123,26 +1231,34 @@ router.get('/questions',
 );
 
 // @route   POST /api/quiz/submit
-// @desc    Submit quiz answers and get results
+// @desc    Finish a quiz session and get results
 // @access  Private
 router.post('/submit',
   authenticate,
   [
-    body('answers').isArray({ min: 1 }).withMessage('Answers array is required'),
-    body('answers.*.questionId').isMongoId().withMessage('Invalid question ID'),
-    body('answers.*.selectedAnswer').isInt({ min: 0, max: 3 }).withMessage('Invalid answer selection'),
-    body('answers.*.timeSpent').isInt({ min: 1 }).withMessage('Time spent must be positive'),
-    body('difficulty').optional().isIn(['easy', 'medium', 'hard']),
-    body('category').optional().isString().trim()
+    body('sessionId').isMongoId().withMessage('Invalid session ID')
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { answers, difficulty, category } = req.body;
+      const { sessionId } = req.body;
       const userId = req.user._id;
 
+      // Load the session the questions were served under
+      const { session, ...failure } = await findActiveSession(sessionId, userId);
+      if (!session) {
+        return res.status(failure.status).json({
+          success: false,
+          error: {
+            code: failure.code,
+            message: failure.message
+          }
+        });
+      }
+
       // Security check
-      const securityCheck = await quizSecurityService.validateQuizSubmission(userId, answers);
+      const answered = session.questions.filter(q => q.answeredAt);
+      const securityCheck = await quizSecurityService.validateQuizSubmission(userId, answered);
       if (!securityCheck.allowed) {
         return res.status(403).json({
           success: false,
@@ -153,78 +1269,152 @@ router.post('/submit',
         });
       }
 
-      // Get questions with correct answers
-      const questionIds = answers.map(answer => answer.questionId);
-      const questions = await Quiz.find({
-        _id: { $in: questionIds },
-        isActive: true
-      });
-
-      if (questions.length !== answers.length) {
+      // Close the session before grading so it can't be submitted twice
+      const claimedSession = await QuizSession.claimForSubmission(session._id, userId);
+      if (!claimedSession) {
         return res.status(400).json({
           success: false,
           error: {
-            code: 'INVALID_QUESTIONS',
-            message: 'Some questions are invalid or inactive'
+            code: 'SESSION_CLOSED',
+            message: 'Quiz session has already been submitted or expired'
           }
         });
       }
 
-      // Calculate results
+      // Get questions with correct answers
+      const questions = await Quiz.find({
+        _id: { $in: claimedSession.questions.map(q => q.questionId) }
+      });
+
+      // Read-only copy for the rating calculations; changes are applied atomically below
+      const user = await User.findById(userId).select('skillRating questionsAnswered level');
+
+      // Grade the answers recorded on the server against the stored option order,
+      // using server-measured times. Unanswered and late answers score nothing.
       let correctCount = 0;
       let totalPoints = 0;
       let totalTimeSpent = 0;
       const results = [];
+      const masteryAnswers = [];
+      // Category ratings of new entries start from the overall rating before this quiz
+      const baseRating = user.skillRating;
+      const totalQuestions = claimedSession.questions.length;
+      const { mode, difficulty, category } = claimedSession;
+      // Replayed packs have been seen before, so they are rewarded like review sessions
+      const isReview = mode === 'review' || (mode === 'pack' && claimedSession.packAttempt > 1);
+      const isPractice = mode === 'practice';
 
-      for (const answer of answers) {
-        const question = questions.find(q => q._id.toString() === answer.questionId);
+      for (const sessionQuestion of claimedSession.questions) {
+        const question = questions.find(q => q._id.equals(sessionQuestion.questionId));
         if (!question) continue;
 
-        const isCorrect = answer.selectedAnswer === question.correctAnswer;
-        const points = isCorrect ? question.points : 0;
+        const isAnswered = !!sessionQuestion.answeredAt;
+        const selectedAnswer = isAnswered ? sessionQuestion.selectedAnswer : null;
+        const timeSpent = isAnswered ? sessionQuestion.elapsedMs : 0;
+        const timedOut = sessionQuestion.timedOut;
+
+        // Map the picked options back through the shuffle to stored option indices
+        const response = selectedAnswer !== null
+          ? claimedSession.resolveResponse(question._id, selectedAnswer)
+          : null;
+        const isCorrect = response !== null && !timedOut && question.gradeResponse(response);
+        const points = isCorrect ? sessionQuestion.points : 0;
+        const content = question.getLocalizedContent(claimedSession.language);
+        sessionQuestion.isCorrect = isCorrect;
         
         if (isCorrect) correctCount++;
         totalPoints += points;
-        totalTimeSpent += answer.timeSpent;
+        totalTimeSpent += timeSpent;
 
         results.push({
           questionId: question._id,
-          question: question.question,
-          correctAnswer: question.correctAnswer,
-          selectedAnswer: answer.selectedAnswer,
+          questionVersion: sessionQuestion.questionVersion,
+          question: content.question,
+          language: content.language,
+          type: question.type,
+          correctAnswer: claimedSession.toDisplayedResponse(question._id, question.getAnswerKey()),
+          selectedAnswer,
           isCorrect,
+          timedOut,
           points,
-          timeSpent: answer.timeSpent,
-          explanation: question.explanation
+          timeSpent,
+          lifelines: sessionQuestion.lifelines,
+          pausedOn: sessionQuestion.pausedOn,
+          explanation: content.explanation
         });
 
-        // Update question statistics
-        question.recordAnswer(isCorrect, answer.timeSpent);
-        await question.save();
+        // Update question statistics and player/question ratings (review questions
+        // have been seen before and practice is unranked, so neither moves ratings)
+        if (selectedAnswer !== null && !timedOut) {
+          masteryAnswers.push({
+            category: question.category,
+            subcategory: question.subcategory,
+            isCorrect,
+            questionRating: question.rating
+          });
+          question.recordAnswer(isCorrect, timeSpent, isReview || isPractice ? undefined : user);
+          question.recordSelection(response);
+          await question.save();
+        }
       }
 
-      const score = (correctCount / answers.length) * 100;
+      // Schedule every graded answer for spaced repetition
+      await QuestionMemory.recordAnswers(
+        userId,
+        results.filter(result => result.selectedAnswer !== null)
+      );
+
+      // Track per-category mastery (review and practice answers count but don't move ratings)
+      await CategoryMastery.recordAnswers(userId, masteryAnswers, { baseRating, rated: !isReview && !isPractice });
+
+      const score = (correctCount / totalQuestions) * 100;
       const accuracy = score;
 
-      // Update user statistics
-      const user = await User.findById(userId);
-      const levelUp = user.addXP(totalPoints);
-      user.questionsAnswered += answers.length;
-      user.correctAnswers += correctCount;
-      user.averageScore = ((user.averageScore * (user.questionsAnswered - answers.length)) + score) / user.questionsAnswered;
-      user.dailyQuizzesCompleted += 1;
-      user.lastActivity = new Date();
+      claimedSession.score = score;
+      claimedSession.totalPoints = totalPoints;
+      claimedSession.correctCount = correctCount;
+      await claimedSession.save();
 
-      // Add balance if user won
-      if (totalPoints > 0) {
-        user.addBalance(totalPoints, 'playable');
-      }
+      // Update user statistics in one atomic update, as the player may spend or
+      // claim balance in other requests meanwhile. Practice earns reduced XP that
+      // doesn't level the player up, and is left out of the answer statistics and
+      // average score that leaderboards use. Review and practice sessions only earn XP.
+      const xpEarned = isPractice ? Math.floor(totalPoints * QuizSession.PRACTICE_XP_MULTIPLIER) : totalPoints;
+      const updatedUser = await User.applyProgress(userId, isPractice
+        ? { practiceXp: xpEarned, lastActivity: new Date() }
+        : {
+          xp: xpEarned,
+          playable: isReview ? 0 : totalPoints,
+          questionsAnswered: totalQuestions,
+          correctAnswers: correctCount,
+          quizzesCompleted: 1,
+          skillRating: user.skillRating - baseRating,
+          score,
+          lastActivity: new Date()
+        });
+      const levelUp = updatedUser.level > user.level;
 
-      await user.save();
+      // The first graded quiz of the player's day extends the daily streak
+      const hasAnswers = results.some(result => result.selectedAnswer !== null);
+      const streakUpdate = !isPractice && hasAnswers
+        ? await User.recordStreak(userId)
+        : { extended: false, freezeEarned: false, status: updatedUser.getStreakStatus() };
+
+      // Keep the player's completion and best result for the pack
+      let packProgress = null;
+      if (mode === 'pack') {
+        packProgress = await QuizPackProgress.recordResult(userId, claimedSession.packId, {
+          score,
+          totalPoints,
+          completed: claimedSession.questions.every(q => q.answeredAt)
+        });
+      }
 
       // Record quiz session
       await quizSecurityService.recordQuizSession(userId, {
-        answers,
+        sessionId: claimedSession._id,
+        mode,
+        answers: results,
         score,
         totalPoints,
         totalTimeSpent,
@@ -237,7 +1427,8 @@ router.post('/submit',
         score,
         totalPoints,
         correctAnswers: correctCount,
-        totalQuestions: answers.length,
+        totalQuestions,
+        mode,
         difficulty,
         category,
         levelUp
@@ -246,17 +1437,28 @@ router.post('/submit',
       res.json({
         success: true,
         data: {
+          mode,
           score,
           accuracy,
           totalPoints,
           correctAnswers: correctCount,
-          totalQuestions: answers.length,
+          totalQuestions,
           totalTimeSpent,
           results,
+          xpEarned,
+          pack: packProgress ? {
+            packId: claimedSession.packId,
+            attempt: claimedSession.packAttempt,
+            ...packProgress.toSummary()
+          } : undefined,
+          streak: streakUpdate.status.streak,
+          streakExtended: streakUpdate.extended,
+          streakFreezeEarned: streakUpdate.freezeEarned,
           levelUp,
-          newLevel: user.level,
-          newXP: user.totalXP,
-          newBalance: user.balance
+          newLevel: updatedUser.level,
+          newXP: updatedUser.totalXP,
+          newBalance: updatedUser.balance,
+          skillRating: Math.round(updatedUser.skillRating)
         },
         message: 'Quiz submitted successfully'
       });
@@ -279,6 +1481,94 @@ router.post('/submit',
   }
 );
 
+// Players may report a limited number of questions per hour
+const reportRateLimit = rateLimitByUser(10, 60 * 60 * 1000);
+
+// @route   POST /api/quiz/questions/:id/report
+// @desc    Report a problem with a question the player was shown (once per question)
+// @access  Private
+router.post('/questions/:id/report',
+  authenticate,
+  reportRateLimit,
+  [
+    param('id').isMongoId().withMessage('Invalid question ID'),
+    body('reason').isIn(Quiz.REPORT_REASONS).withMessage('Invalid report reason'),
+    body('description').optional().isString().trim().isLength({ max: 500 }).withMessage('Description must be at most 500 characters')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { reason, description } = req.body;
+      const userId = req.user._id;
+
+      const question = await Quiz.findOne({ _id: id, isActive: true });
+      if (!question) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'QUESTION_NOT_FOUND',
+            message: 'Question not found'
+          }
+        });
+      }
+
+      if (!(await QuizSession.hasSeenQuestion(userId, question._id))) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'QUESTION_NOT_SEEN',
+            message: 'You can only report questions you have played'
+          }
+        });
+      }
+
+      const report = await Quiz.addReport(question._id, userId, reason, description);
+      if (!report) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'ALREADY_REPORTED',
+            message: 'You have already reported this question'
+          }
+        });
+      }
+
+      logger.business('question_reported', {
+        userId,
+        questionId: question._id,
+        reportId: report._id,
+        reason
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          reportId: report._id,
+          status: report.status
+        },
+        message: 'Thanks, the question has been reported for review'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, {
+        operation: 'report_question',
+        userId: req.user._id,
+        params: req.params,
+        body: req.body
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to report question'
+        }
+      });
+    }
+  }
+);
+
 // @route   GET /api/quiz/history
 // @desc    Get user's quiz history
 // @access  Private
@@ -338,6 +1628,71 @@ router.get('/history',
   }
 );
 
+// @route   GET /api/quiz/categories
+// @desc    Get active categories with their playable question counts
+// @access  Private
+router.get('/categories',
+  authenticate,
+  [
+    query('lang').optional().isString().trim().isLength({ min: 2, max: 10 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const language = req.query.lang || getUserLanguage(req.user);
+
+      const [categories, categoryStats, subcategoryStats] = await Promise.all([
+        Category.getActiveCategories(),
+        Quiz.getCategoryStats('category'),
+        Quiz.getCategoryStats('subcategory')
+      ]);
+
+      const countFor = (stats, slug) => {
+        const entry = stats.find(stat => stat._id === slug);
+        return entry ? entry.activeCount : 0;
+      };
+
+      // Top-level categories with their subcategories nested
+      const tree = categories
+        .filter(category => !category.parent)
+        .map(category => ({
+          ...category.toPublicObject(language),
+          questionCount: countFor(categoryStats, category.slug),
+          subcategories: categories
+            .filter(child => child.parent && child.parent.equals(category._id))
+            .map(child => ({
+              ...child.toPublicObject(language),
+              questionCount: countFor(subcategoryStats, child.slug)
+            }))
+        }));
+
+      res.json({
+        success: true,
+        data: {
+          categories: tree,
+          totalCategories: tree.length
+        },
+        message: 'Categories retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'get_quiz_categories',
+        userId: req.user._id,
+        query: req.query
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve categories'
+        }
+      });
+    }
+  }
+);
+
 // @route   GET /api/quiz/leaderboard
 // @desc    Get quiz leaderboard
 // @access  Private
@@ -431,7 +1786,7 @@ router.get('/stats/:userId',
       }
 
       const user = await User.findById(userId)
-        .select('username level totalXP questionsAnswered correctAnswers averageScore streak totalEarned');
+        .select('username level totalXP questionsAnswered correctAnswers averageScore streak totalEarned skillRating');
 
       if (!user) {
         return res.status(404).json({
@@ -453,6 +1808,7 @@ router.get('/stats/:userId',
         averageScore: user.averageScore,
         streak: user.streak,
         totalEarned: user.totalEarned,
+        skillRating: Math.round(user.skillRating),
         rank: user.rank
       };
 
@@ -488,8 +1844,10 @@ router.post('/generate-ai',
   [
     body('count').isInt({ min: 1, max: 10 }).withMessage('Count must be between 1 and 10'),
     body('difficulty').isIn(['easy', 'medium', 'hard']).withMessage('Invalid difficulty'),
-    body('category').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Category is required'),
+    body('category').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Category is required')
+      .bail().custom(slug => Category.assertActiveSlug(slug)),
     body('subcategory').optional().isString().trim().isLength({ max: 50 })
+      .bail().custom((subcategory, { req }) => Category.assertActiveSlug(req.body.category, subcategory))
   ],
   handleValidationErrors,
   async (req, res) => {
@@ -498,43 +1856,66 @@ router.post('/generate-ai',
       const adminId = req.user._id;
 
       // Generate AI questions
-      const aiQuestions = await aiQuestionService.generateQuestions({
-        count,
-        difficulty,
-        category,
-        subcategory
-      });
+      const result = await aiQuestionService.generateQuestions(count, difficulty, category);
+      if (!result.success) {
+        return res.status(502).json({
+          success: false,
+          error: {
+            code: 'AI_GENERATION_FAILED',
+            message: 'AI question generation failed'
+          }
+        });
+      }
 
-      // Save questions to database
+      // Save questions to database, skipping ones that fail validation
       const savedQuestions = [];
-      for (const questionData of aiQuestions) {
+      const skipped = [];
+      for (const generated of result.questions) {
+        const validation = aiQuestionService.validateQuestion(generated);
+        if (!validation.isValid) {
+          skipped.push({ question: generated.question, errors: validation.errors });
+          continue;
+        }
+
         const question = new Quiz({
-          ...questionData,
+          ...aiQuestionService.toQuizData(generated),
+          difficulty,
+          category,
+          subcategory,
           source: 'ai',
           createdBy: adminId,
           aiGenerated: true,
-          aiModel: 'gpt-3.5-turbo',
+          aiModel: aiQuestionService.getModelName(),
           isVerified: false // AI questions need manual verification
         });
 
+        // Paraphrases of existing questions are saved but flagged for review
+        await question.flagNearDuplicates();
         await question.save();
         savedQuestions.push(question);
       }
 
+      const flaggedDuplicates = savedQuestions
+        .filter(q => q.duplicateOf)
+        .map(q => ({ questionId: q._id, duplicateOf: q.duplicateOf, similarity: q.duplicateSimilarity }));
+
       logger.business('ai_questions_generated', {
         adminId,
         count,
         difficulty,
         category,
         subcategory,
-        questionIds: savedQuestions.map(q => q._id)
+        questionIds: savedQuestions.map(q => q._id),
+        flaggedDuplicates: flaggedDuplicates.length
       });
 
       res.json({
         success: true,
         data: {
           questions: savedQuestions,
-          count: savedQuestions.length
+          count: savedQuestions.length,
+          flaggedDuplicates,
+          skipped
         },
         message: 'AI questions generated successfully'
       });
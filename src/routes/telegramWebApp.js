@@ -318,7 +318,7 @@ async function getUserCompleteData(userId) {
     })
     .sort({ createdAt: -1 })
     .limit(5)
-    .select('title status participants prizePool createdAt');
+    .select('title status participants.user participants.score participants.rank participants.prize prizePool createdAt');
 
     // Get user's achievements
     const achievements = await Achievement.find({ userId })
@@ -3,11 +3,18 @@ const { body, param, query, validationResult } = require('express-validator');
 const Tournament = require('../models/Tournament');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
 const { authenticate, authenticateAdmin } = require('../utils/auth');
 const logger = require('../utils/logger');
+const { normalizeResponse, gradeResponse } = require('../utils/questionTypes');
+const { getUserLanguage } = require('../utils/languages');
 
 const router = express.Router();
 
+// Fields the creator may change before the tournament starts. Schedule, fees,
+// prizes and participants are fixed once the tournament is created.
+const UPDATABLE_FIELDS = ['title', 'description', 'category', 'settings'];
+
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -76,7 +83,10 @@ router.get('/',
       res.json({
         success: true,
         data: {
-          tournaments,
+          tournaments: tournaments.map(tournament => ({
+            ...tournament.toObject(),
+            participants: tournament.getPublicParticipants(req.user._id)
+          })),
           pagination: {
             currentPage: page,
             totalPages: Math.ceil(total / limit),
@@ -114,7 +124,8 @@ router.post('/',
   [
     body('title').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Title is required'),
     body('description').optional().isString().trim().isLength({ max: 500 }),
-    body('category').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Category is required'),
+    body('category').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Category is required')
+      .bail().custom(slug => Category.assertActiveSlug(slug)),
     body('difficulty').isIn(['easy', 'medium', 'hard']).withMessage('Invalid difficulty'),
     body('entryFee').isNumeric().isFloat({ min: 0 }).withMessage('Entry fee must be non-negative'),
     body('prizePool').isNumeric().isFloat({ min: 0 }).withMessage('Prize pool must be non-negative'),
@@ -277,7 +288,7 @@ router.get('/:id',
         .populate('participants.user', 'username avatar level rank totalXP')
         .populate('createdBy', 'username avatar')
         .populate('winner', 'username avatar')
-        .populate('questions', 'question options difficulty points');
+        .populate('questions', 'question type options unit media optionMedia difficulty points language translations');
 
       if (!tournament) {
         return res.status(404).json({
@@ -289,9 +300,25 @@ router.get('/:id',
         });
       }
 
+      // Tournament time is measured from when a participant first gets the questions
+      const isParticipant = tournament.participants.some(p => p.user && p.user._id.equals(req.user._id));
+      if (isParticipant && tournament.isActive) {
+        await tournament.markParticipantStarted(req.user._id);
+      }
+
+      // Questions in the player's language; answers are option indices either way.
+      // Questions deleted since the tournament was set up populate as null.
+      const language = getUserLanguage(req.user);
+
       res.json({
         success: true,
-        data: tournament,
+        data: {
+          ...tournament.toObject(),
+          participants: tournament.getPublicParticipants(req.user._id),
+          questions: tournament.questions
+            .filter(question => question)
+            .map(question => question.toLocalizedObject(language))
+        },
         message: 'Tournament retrieved successfully'
       });
 
@@ -322,6 +349,8 @@ router.put('/:id',
     param('id').isMongoId().withMessage('Invalid tournament ID'),
     body('title').optional().isString().trim().isLength({ min: 1, max: 100 }),
     body('description').optional().isString().trim().isLength({ max: 500 }),
+    body('category').optional().isString().trim().isLength({ min: 1, max: 50 })
+      .bail().custom(slug => Category.assertActiveSlug(slug)),
     body('settings').optional().isObject()
   ],
   handleValidationErrors,
@@ -329,7 +358,10 @@ router.put('/:id',
     try {
       const { id } = req.params;
       const userId = req.user._id;
-      const updateData = req.body;
+      const updateData = {};
+      UPDATABLE_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) updateData[field] = req.body[field];
+      });
 
       const tournament = await Tournament.findById(id);
       if (!tournament) {
@@ -364,13 +396,14 @@ router.put('/:id',
         });
       }
 
-      const updatedTournament = await Tournament.findByIdAndUpdate(
-        id,
-        updateData,
-        { new: true, runValidators: true }
-      )
-      .populate('participants.user', 'username avatar')
-      .populate('createdBy', 'username');
+      // Saved through the document so the model's hooks (category check) run
+      tournament.set(updateData);
+      await tournament.save();
+
+      const updatedTournament = await tournament.populate([
+        { path: 'participants.user', select: 'username avatar' },
+        { path: 'createdBy', select: 'username' }
+      ]);
 
       logger.business('tournament_updated', {
         tournamentId: id,
@@ -693,6 +726,152 @@ router.post('/:id/leave',
   }
 );
 
+// @route   POST /api/tournaments/:id/submit
+// @desc    Submit tournament answers
+// @access  Private
+router.post('/:id/submit',
+  authenticate,
+  [
+    param('id').isMongoId().withMessage('Invalid tournament ID'),
+    body('answers').isArray({ min: 1 }).withMessage('Answers array is required'),
+    body('answers.*.questionId').isMongoId().withMessage('Invalid question ID'),
+    body('answers.*.selectedAnswer').exists().withMessage('Answer selection is required')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { answers } = req.body;
+      const userId = req.user._id;
+
+      const tournament = await Tournament.findById(id).populate('questions');
+      if (!tournament) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'TOURNAMENT_NOT_FOUND',
+            message: 'Tournament not found'
+          }
+        });
+      }
+
+      if (!tournament.isActive) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'TOURNAMENT_NOT_ACTIVE',
+            message: 'Tournament is not accepting answers'
+          }
+        });
+      }
+
+      const participant = tournament.participants.find(p => p.user.toString() === userId.toString());
+      if (!participant) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'NOT_PARTICIPANT',
+            message: 'You are not a participant in this tournament'
+          }
+        });
+      }
+
+      if (participant.answers.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'ALREADY_SUBMITTED',
+            message: 'Answers have already been submitted for this tournament'
+          }
+        });
+      }
+
+      // Tournament questions are shown in stored option order, so responses are graded as-is
+      const gradedAnswers = [];
+      let score = 0;
+
+      for (const answer of answers) {
+        const question = tournament.questions.find(q => q._id.equals(answer.questionId));
+        const response = question
+          ? normalizeResponse(question.type || 'single_choice', answer.selectedAnswer, question.options.length)
+          : null;
+
+        if (response === null || gradedAnswers.some(a => a.questionId.equals(question._id))) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: 'INVALID_ANSWERS',
+              message: 'Some answers do not match the questions in this tournament'
+            }
+          });
+        }
+
+        const isCorrect = gradeResponse(question, response);
+        if (isCorrect) score += question.points;
+
+        gradedAnswers.push({
+          questionId: question._id,
+          questionVersion: question.version,
+          selectedAnswer: response,
+          isCorrect
+        });
+      }
+
+      // Time on the server, from when the participant got the questions (or the
+      // tournament start) until now; it breaks ties in the rankings
+      const startedAt = participant.startedAt && participant.startedAt > tournament.startTime
+        ? participant.startedAt
+        : tournament.startTime;
+      const timeSpent = Math.max(0, Date.now() - startedAt.getTime());
+
+      // Only the first submission is stored, even when two arrive at once
+      const submitted = await tournament.submitParticipantAnswers(userId, score, timeSpent, gradedAnswers);
+      if (!submitted) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'ALREADY_SUBMITTED',
+            message: 'Answers have already been submitted for this tournament'
+          }
+        });
+      }
+
+      logger.business('tournament_answers_submitted', {
+        tournamentId: id,
+        userId,
+        score,
+        answered: gradedAnswers.length
+      });
+
+      res.json({
+        success: true,
+        data: {
+          score,
+          timeSpent,
+          correctAnswers: gradedAnswers.filter(a => a.isCorrect).length,
+          totalQuestions: tournament.questions.length
+        },
+        message: 'Tournament answers submitted successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'submit_tournament_answers',
+        userId: req.user._id,
+        params: req.params
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to submit tournament answers'
+        }
+      });
+    }
+  }
+);
+
 // @route   GET /api/tournaments/:id/participants
 // @desc    Get tournament participants
 // @access  Private
@@ -723,7 +902,7 @@ router.get('/:id/participants',
       res.json({
         success: true,
         data: {
-          participants: tournament.participants,
+          participants: tournament.getPublicParticipants(req.user._id),
           totalParticipants: tournament.participants.length,
           maxParticipants: tournament.maxParticipants
         },
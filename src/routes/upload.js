@@ -6,6 +6,8 @@ const sharp = require('sharp');
 const { body, param, validationResult } = require('express-validator');
 const { authenticate, authenticateAdmin } = require('../utils/auth');
 const logger = require('../utils/logger');
+const Quiz = require('../models/Quiz');
+const { IMAGE_KINDS, IMAGE_VARIANTS, toPublicMedia } = require('../utils/media');
 
 const router = express.Router();
 
@@ -31,7 +33,8 @@ const storage = multer.diskStorage({
     const uploadPath = process.env.UPLOAD_PATH || './uploads';
     const subfolder = req.route.path.includes('deposit') ? 'deposits' : 
                      req.route.path.includes('task') ? 'tasks' : 
-                     req.route.path.includes('profile') ? 'profiles' : 'general';
+                     req.route.path.includes('profile') ? 'profiles' :
+                     req.route.path.includes('question') ? 'questions' : 'general';
     
     const fullPath = path.join(uploadPath, subfolder);
     
@@ -107,6 +110,42 @@ const handleMulterError = (error, req, res, next) => {
   next(error);
 };
 
+// Remove the uploaded file when the rest of the request fails validation
+const discardInvalidUpload = (req, res, next) => {
+  if (req.file && !validationResult(req).isEmpty() && fs.existsSync(req.file.path)) {
+    fs.unlinkSync(req.file.path);
+  }
+  next();
+};
+
+// Resize an uploaded image into the question media variants and drop the original.
+// Variant paths are relative to UPLOAD_PATH.
+const createImageVariants = async (file) => {
+  const baseName = path.basename(file.path, path.extname(file.path));
+  const folder = path.basename(path.dirname(file.path));
+  const variants = {};
+  let width;
+  let height;
+
+  for (const [variant, size] of Object.entries(IMAGE_VARIANTS)) {
+    const variantName = `${baseName}-${variant}.jpg`;
+
+    const info = await sharp(file.path)
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 85 })
+      .toFile(path.join(path.dirname(file.path), variantName));
+
+    variants[variant] = `${folder}/${variantName}`;
+    if (variant === 'large') {
+      ({ width, height } = info);
+    }
+  }
+
+  fs.unlinkSync(file.path);
+
+  return { variants, width, height };
+};
+
 // @route   POST /api/upload/deposit-proof
 // @desc    Upload deposit proof
 // @access  Private
@@ -184,6 +223,120 @@ router.post('/deposit-proof',
   }
 );
 
+// @route   POST /api/upload/question-media
+// @desc    Upload an image or chart for a quiz question (Admin only)
+// @access  Private
+router.post('/question-media',
+  authenticateAdmin,
+  upload.single('questionMedia'),
+  handleMulterError,
+  [
+    body('alt').isString().trim().isLength({ min: 1, max: 250 }).withMessage('Alt text is required'),
+    body('kind').optional().isIn(IMAGE_KINDS).withMessage('Invalid media kind'),
+    body('questionId').optional().isMongoId().withMessage('Invalid question ID'),
+    body('optionIndex').optional().isInt({ min: 0 }).withMessage('Invalid option index').toInt()
+  ],
+  discardInvalidUpload,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'NO_FILE_UPLOADED',
+            message: 'No file uploaded'
+          }
+        });
+      }
+
+      const adminId = req.user._id;
+      const file = req.file;
+      const { alt, kind = 'image', questionId, optionIndex } = req.body;
+
+      // Only images can be attached to questions
+      if (!file.mimetype.startsWith('image/')) {
+        fs.unlinkSync(file.path);
+
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_FILE_TYPE',
+            message: 'Only image files can be attached to questions'
+          }
+        });
+      }
+
+      let question = null;
+      if (questionId) {
+        question = await Quiz.findById(questionId);
+
+        if (!question || (optionIndex !== undefined && optionIndex >= question.options.length)) {
+          fs.unlinkSync(file.path);
+
+          return res.status(404).json({
+            success: false,
+            error: {
+              code: question ? 'OPTION_NOT_FOUND' : 'QUESTION_NOT_FOUND',
+              message: question ? 'Option not found' : 'Question not found'
+            }
+          });
+        }
+      }
+
+      const { variants, width, height } = await createImageVariants(file);
+      const media = { kind, variants, width, height, alt };
+
+      // Attach to the question (or one of its options) right away when requested
+      if (question) {
+        if (optionIndex !== undefined) {
+          question.optionMedia = question.optionMedia.filter(entry => entry.optionIndex !== optionIndex);
+          question.optionMedia.push({ optionIndex, media });
+        } else {
+          question.media = media;
+        }
+        await question.save();
+      }
+
+      logger.business('question_media_uploaded', {
+        adminId,
+        questionId,
+        optionIndex,
+        filename: file.filename,
+        originalName: file.originalname,
+        size: file.size,
+        variants
+      });
+
+      res.json({
+        success: true,
+        data: {
+          media,
+          preview: toPublicMedia(media),
+          questionId,
+          optionIndex,
+          uploadedAt: new Date()
+        },
+        message: 'Question media uploaded successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'upload_question_media',
+        adminId: req.user._id
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to upload question media'
+        }
+      });
+    }
+  }
+);
+
 // @route   POST /api/upload/task-proof
 // @desc    Upload task completion proof
 // @access  Private
@@ -1,8 +1,13 @@
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Category = require('../models/Category');
+const CategoryMastery = require('../models/CategoryMastery');
 const { authenticate, authenticateAdmin } = require('../utils/auth');
 const logger = require('../utils/logger');
+const { isValidTimezone, getUserTimezone } = require('../utils/dates');
+const streakService = require('../services/streakService');
+const dailyBonusService = require('../services/dailyBonusService');
 
 const router = express.Router();
 
@@ -22,6 +27,76 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Account fields users may change themselves. Balances, streaks, statistics,
+// inventory and roles are only ever changed by the server.
+const PROFILE_FIELDS = ['username', 'fullName', 'email', 'phone', 'avatar'];
+const SETTINGS_FIELDS = {
+  notifications: ['email', 'push', 'sms'],
+  privacy: ['showProfile', 'showStats', 'showAchievements'],
+  preferences: ['theme', 'language', 'timezone']
+};
+
+// Allowed fields from a request body as a $set update. Settings are set one by
+// one so a partial update leaves the other settings alone.
+const pickProfileUpdates = (body, fields = PROFILE_FIELDS) => {
+  const update = {};
+
+  fields.forEach(field => {
+    if (body[field] !== undefined) update[field] = body[field];
+  });
+
+  Object.entries(SETTINGS_FIELDS).forEach(([group, keys]) => {
+    const values = body.settings && body.settings[group];
+    if (!values || typeof values !== 'object') return;
+
+    keys.forEach(key => {
+      if (values[key] !== undefined) update[`settings.${group}.${key}`] = values[key];
+    });
+  });
+
+  return update;
+};
+
+// A new timezone moves where the player's days start (streaks, daily bonus), so it
+// must be a real IANA zone and can only change once every User.TIMEZONE_CHANGE_DAYS.
+// Resolves to { status, code, message } if the change isn't allowed.
+const checkTimezoneChange = async (userId, updateData) => {
+  const timezone = updateData['settings.preferences.timezone'];
+  if (timezone === undefined) return null;
+
+  if (!isValidTimezone(timezone)) {
+    return { status: 400, code: 'INVALID_TIMEZONE', message: 'Unknown timezone' };
+  }
+
+  const user = await User.findById(userId).select('settings.preferences.timezone timezoneChangedAt');
+  if (!user || getUserTimezone(user) === timezone) return null;
+
+  if (!user.canChangeTimezone()) {
+    return {
+      status: 429,
+      code: 'TIMEZONE_CHANGE_LIMIT',
+      message: `The timezone can only be changed once every ${User.TIMEZONE_CHANGE_DAYS} days`
+    };
+  }
+
+  updateData.timezoneChangedAt = new Date();
+  return null;
+};
+
+// Body validators for the fields in PROFILE_FIELDS and SETTINGS_FIELDS
+const profileValidators = () => [
+  body('username').optional().isString().trim().isLength({ min: 3, max: 30 }),
+  body('fullName').optional().isString().trim().isLength({ max: 100 }),
+  body('email').optional().isEmail().normalizeEmail(),
+  body('phone').optional().isString().trim(),
+  body('avatar').optional().isString().trim(),
+  body('settings').optional().isObject(),
+  body('settings.notifications').optional().isObject(),
+  body('settings.privacy').optional().isObject(),
+  body('settings.preferences').optional().isObject(),
+  body('settings.preferences.language').optional().isString().trim().isLength({ max: 10 })
+];
+
 // @route   GET /api/users
 // @desc    Get all users (Admin only)
 // @access  Private
@@ -110,6 +185,173 @@ router.get('/',
   }
 );
 
+// @route   GET /api/users/streak
+// @desc    Get the current user's daily streak and streak freezes
+// @access  Private
+router.get('/streak',
+  authenticate,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id);
+
+      // Reading the streak settles any days missed since the last nightly run
+      user.settleStreak();
+      if (user.isModified()) {
+        await user.save();
+      }
+
+      res.json({
+        success: true,
+        data: user.getStreakStatus(),
+        message: 'Streak retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'get_user_streak',
+        userId: req.user._id
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve streak'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/users/streak/freezes
+// @desc    Buy a streak freeze with bonus balance
+// @access  Private
+router.post('/streak/freezes',
+  authenticate,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id);
+      user.settleStreak();
+
+      const { user: updatedUser, transaction, ...failure } = await streakService.purchaseFreeze(user);
+      if (!transaction) {
+        return res.status(failure.status).json({
+          success: false,
+          error: {
+            code: failure.code,
+            message: failure.message
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...updatedUser.getStreakStatus(),
+          bonusBalance: updatedUser.bonusBalance,
+          transactionId: transaction._id
+        },
+        message: 'Streak freeze purchased successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'purchase_streak_freeze',
+        userId: req.user._id
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to purchase streak freeze'
+        }
+      });
+    }
+  }
+);
+
+// @route   GET /api/users/daily-bonus
+// @desc    Get today's daily bonus and whether it was claimed
+// @access  Private
+router.get('/daily-bonus',
+  authenticate,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id);
+      user.settleStreak();
+
+      res.json({
+        success: true,
+        data: dailyBonusService.getStatus(user),
+        message: 'Daily bonus retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'get_daily_bonus',
+        userId: req.user._id
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to retrieve daily bonus'
+        }
+      });
+    }
+  }
+);
+
+// @route   POST /api/users/daily-bonus/claim
+// @desc    Claim today's daily bonus (once per day in the user's timezone)
+// @access  Private
+router.post('/daily-bonus/claim',
+  authenticate,
+  async (req, res) => {
+    try {
+      const { user, reward, transaction, ...failure } = await dailyBonusService.claim(req.user._id);
+      if (!user) {
+        return res.status(failure.status).json({
+          success: false,
+          error: {
+            code: failure.code,
+            message: failure.message,
+            nextClaimDate: failure.nextClaimDate
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          reward,
+          streak: user.streak,
+          bonusBalance: user.bonusBalance,
+          balance: user.balance,
+          transactionId: transaction._id
+        },
+        message: 'Daily bonus claimed successfully'
+      });
+
+    } catch (error) {
+      logger.errorWithContext(error, { 
+        operation: 'claim_daily_bonus',
+        userId: req.user._id
+      });
+
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'INTERNAL_ERROR',
+          message: 'Failed to claim daily bonus'
+        }
+      });
+    }
+  }
+);
+
 // @route   GET /api/users/:id
 // @desc    Get user by ID
 // @access  Private
@@ -180,18 +422,14 @@ router.put('/:id',
   authenticate,
   [
     param('id').isMongoId().withMessage('Invalid user ID'),
-    body('username').optional().isString().trim().isLength({ min: 3, max: 30 }),
-    body('fullName').optional().isString().trim().isLength({ max: 100 }),
-    body('email').optional().isEmail().normalizeEmail(),
-    body('phone').optional().isString().trim(),
-    body('settings').optional().isObject()
+    ...profileValidators()
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
       const { id } = req.params;
       const currentUserId = req.user._id;
-      const updateData = req.body;
+      const updateData = pickProfileUpdates(req.body);
 
       // Users can only update their own profile unless they're admin
       if (id !== currentUserId.toString() && req.user.role !== 'admin') {
@@ -204,14 +442,16 @@ router.put('/:id',
         });
       }
 
-      // Remove sensitive fields that shouldn't be updated via this endpoint
-      delete updateData.password;
-      delete updateData.role;
-      delete updateData.isBlocked;
-      // Allow balance updates for daily bonus and game activities
-      // delete updateData.balance;
-      // delete updateData.playableBalance;
-      // delete updateData.bonusBalance;
+      const timezoneError = await checkTimezoneChange(id, updateData);
+      if (timezoneError) {
+        return res.status(timezoneError.status).json({
+          success: false,
+          error: {
+            code: timezoneError.code,
+            message: timezoneError.message
+          }
+        });
+      }
 
       const user = await User.findByIdAndUpdate(
         id,
@@ -373,38 +613,32 @@ router.get('/profile',
   }
 );
 
-// @route   PUT /api/users/balance
-// @desc    Update user balance (for daily bonus, quiz rewards, etc.)
+// @route   PUT /api/users/profile
+// @desc    Update current user profile
 // @access  Private
-router.put('/balance',
+router.put('/profile',
   authenticate,
-  [
-    body('balance').optional().isNumeric().withMessage('Balance must be a number'),
-    body('playableBalance').optional().isNumeric().withMessage('Playable balance must be a number'),
-    body('bonusBalance').optional().isNumeric().withMessage('Bonus balance must be a number'),
-    body('totalEarned').optional().isNumeric().withMessage('Total earned must be a number'),
-    body('streak').optional().isInt().withMessage('Streak must be an integer'),
-    body('lastBonusClaim').optional().isISO8601().withMessage('Last bonus claim must be a valid date')
-  ],
+  profileValidators(),
   handleValidationErrors,
   async (req, res) => {
     try {
       const userId = req.user._id;
-      const updateData = req.body;
+      const updateData = pickProfileUpdates(req.body);
 
-      // Only allow balance-related fields
-      const allowedFields = ['balance', 'playableBalance', 'bonusBalance', 'totalEarned', 'streak', 'lastBonusClaim'];
-      const filteredData = {};
-      
-      for (const field of allowedFields) {
-        if (updateData[field] !== undefined) {
-          filteredData[field] = updateData[field];
-        }
+      const timezoneError = await checkTimezoneChange(userId, updateData);
+      if (timezoneError) {
+        return res.status(timezoneError.status).json({
+          success: false,
+          error: {
+            code: timezoneError.code,
+            message: timezoneError.message
+          }
+        });
       }
 
       const user = await User.findByIdAndUpdate(
         userId,
-        { ...filteredData, lastActivity: new Date() },
+        { ...updateData, lastActivity: new Date() },
         { new: true, runValidators: true }
       ).select('-password');
 
@@ -421,57 +655,42 @@ router.put('/balance',
       res.json({
         success: true,
         data: user,
-        message: 'Balance updated successfully'
+        message: 'Profile updated successfully'
       });
 
     } catch (error) {
       logger.errorWithContext(error, { 
-        operation: 'update_user_balance',
+        operation: 'update_current_user_profile',
         userId: req.user._id,
-        updateData: req.body
+        body: req.body
       });
 
       res.status(500).json({
         success: false,
         error: {
           code: 'INTERNAL_ERROR',
-          message: 'Failed to update balance'
+          message: 'Failed to update profile'
         }
       });
     }
   }
 );
 
-// @route   PUT /api/users/profile
-// @desc    Update current user profile
+// @route   GET /api/users/:id/profile
+// @desc    Get user profile (public info)
 // @access  Private
-router.put('/profile',
+router.get('/:id/profile',
   authenticate,
   [
-    body('avatar').optional().isString().trim(),
-    body('settings.privacy').optional().isObject(),
-    body('settings.preferences').optional().isObject()
+    param('id').isMongoId().withMessage('Invalid user ID')
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const userId = req.user._id;
-      const updateData = req.body;
-
-      // Remove sensitive fields that shouldn't be updated via this endpoint
-      delete updateData.password;
-      delete updateData.role;
-      delete updateData.isBlocked;
-      // Allow balance updates for daily bonus and game activities
-      // delete updateData.balance;
-      // delete updateData.playableBalance;
-      // delete updateData.bonusBalance;
+      const { id } = req.params;
 
-      const user = await User.findByIdAndUpdate(
-        userId,
-        { ...updateData, lastActivity: new Date() },
-        { new: true, runValidators: true }
-      ).select('-password');
+      const user = await User.findById(id)
+        .select('username fullName avatar level rank totalXP totalEarned tournamentsWon winRate streak createdAt settings.privacy');
 
       if (!user) {
         return res.status(404).json({
@@ -483,34 +702,53 @@ router.put('/profile',
         });
       }
 
+      // Check privacy settings
+      const profile = {
+        username: user.username,
+        fullName: user.fullName,
+        avatar: user.avatar,
+        level: user.level,
+        rank: user.rank,
+        totalXP: user.totalXP,
+        createdAt: user.createdAt
+      };
+
+      if (user.settings?.privacy?.showStats) {
+        profile.totalEarned = user.totalEarned;
+        profile.tournamentsWon = user.tournamentsWon;
+        profile.winRate = user.winRate;
+        profile.streak = user.streak;
+      }
+
       res.json({
         success: true,
-        data: user,
-        message: 'Profile updated successfully'
+        data: profile,
+        message: 'User profile retrieved successfully'
       });
 
     } catch (error) {
       logger.errorWithContext(error, { 
-        operation: 'update_current_user_profile',
+        operation: 'get_user_profile',
         userId: req.user._id,
-        body: req.body
+        params: req.params
       });
 
       res.status(500).json({
         success: false,
         error: {
           code: 'INTERNAL_ERROR',
-          message: 'Failed to update profile'
+          message: 'Failed to retrieve user profile'
         }
       });
     }
   }
 );
 
-// @route   GET /api/users/:id/profile
-// @desc    Get user profile (public info)
-// @access  Private
-router.get('/:id/profile',
+// @route   GET /api/users/:id/mastery
+// @desc    Get a user's mastery per category and subcategory, with strengths,
+//          weaknesses and recommended categories
+// @access  Private (other users only when they share their stats)
+router.get('/:id/mastery',
   authenticate,
   [
     param('id').isMongoId().withMessage('Invalid user ID')
@@ -520,9 +758,7 @@ router.get('/:id/profile',
     try {
       const { id } = req.params;
 
-      const user = await User.findById(id)
-        .select('username fullName avatar level rank totalXP totalEarned tournamentsWon winRate streak createdAt settings.privacy');
-
+      const user = await User.findById(id).select('username skillRating settings.privacy');
       if (!user) {
         return res.status(404).json({
           success: false,
@@ -533,33 +769,46 @@ router.get('/:id/profile',
         });
       }
 
-      // Check privacy settings
-      const profile = {
-        username: user.username,
-        fullName: user.fullName,
-        avatar: user.avatar,
-        level: user.level,
-        rank: user.rank,
-        totalXP: user.totalXP,
-        createdAt: user.createdAt
-      };
-
-      if (user.settings?.privacy?.showStats) {
-        profile.totalEarned = user.totalEarned;
-        profile.tournamentsWon = user.tournamentsWon;
-        profile.winRate = user.winRate;
-        profile.streak = user.streak;
+      const isOwnerOrAdmin = id === req.user._id.toString() || req.user.role === 'admin';
+      if (!isOwnerOrAdmin && !user.settings?.privacy?.showStats) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'STATS_PRIVATE',
+            message: 'This user does not share their statistics'
+          }
+        });
       }
 
+      const [mastery, categories] = await Promise.all([
+        CategoryMastery.getProfile(user._id),
+        Category.getActiveCategories()
+      ]);
+
+      // Weak categories first, then active categories the user hasn't played yet
+      const played = new Set(mastery.categories.map(entry => entry.category));
+      const recommended = [
+        ...mastery.weaknesses.map(category => ({ category, reason: 'weakness' })),
+        ...categories
+          .filter(category => !category.parent && !played.has(category.slug))
+          .map(category => ({ category: category.slug, reason: 'not_played' }))
+      ].slice(0, 3);
+
       res.json({
         success: true,
-        data: profile,
-        message: 'User profile retrieved successfully'
+        data: {
+          userId: user._id,
+          username: user.username,
+          skillRating: Math.round(user.skillRating),
+          ...mastery,
+          recommended
+        },
+        message: 'User mastery retrieved successfully'
       });
 
     } catch (error) {
       logger.errorWithContext(error, { 
-        operation: 'get_user_profile',
+        operation: 'get_user_mastery',
         userId: req.user._id,
         params: req.params
       });
@@ -568,7 +817,7 @@ router.get('/:id/profile',
         success: false,
         error: {
           code: 'INTERNAL_ERROR',
-          message: 'Failed to retrieve user profile'
+          message: 'Failed to retrieve user mastery'
         }
       });
     }
@@ -591,8 +840,6 @@ router.put('/:id/profile',
     try {
       const { id } = req.params;
       const currentUserId = req.user._id;
-      const { avatar, settings } = req.body;
-
       // Users can only update their own profile
       if (id !== currentUserId.toString()) {
         return res.status(403).json({
@@ -604,9 +851,18 @@ router.put('/:id/profile',
         });
       }
 
-      const updateData = {};
-      if (avatar) updateData.avatar = avatar;
-      if (settings) updateData.settings = settings;
+      const updateData = pickProfileUpdates(req.body, ['avatar']);
+
+      const timezoneError = await checkTimezoneChange(id, updateData);
+      if (timezoneError) {
+        return res.status(timezoneError.status).json({
+          success: false,
+          error: {
+            code: timezoneError.code,
+            message: timezoneError.message
+          }
+        });
+      }
 
       const user = await User.findByIdAndUpdate(
         id,
@@ -2,6 +2,8 @@
 // This service handles AI-generated questions using OpenAI API
 
 const OpenAI = require('openai');
+const Category = require('../models/Category');
+const { validateAnswerKey } = require('../utils/questionTypes');
 
 class AIQuestionService {
   constructor() {
@@ -37,7 +39,9 @@ class AIQuestionService {
         return this.getMockQuestion(difficulty, category);
       }
 
-      const prompt = this.buildPrompt(difficulty, category);
+      // Category descriptions tell the model what the category covers
+      const categoryDoc = await Category.findOne({ slug: category, isActive: true });
+      const prompt = this.buildPrompt(difficulty, category, categoryDoc && categoryDoc.description);
       
       const response = await this.openai.chat.completions.create({
         model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
@@ -64,26 +68,17 @@ class AIQuestionService {
   }
 
   // Build prompt for AI
-  buildPrompt(difficulty, category) {
+  buildPrompt(difficulty, category, categoryGuidance) {
     const difficultyInstructions = {
       easy: 'Create a basic question suitable for beginners. Use simple language and focus on fundamental concepts.',
       medium: 'Create an intermediate question that requires some knowledge. Include technical terms but explain them.',
       hard: 'Create an advanced question for experts. Use complex technical concepts and require deep understanding.'
     };
 
-    const categoryInstructions = {
-      general: 'Focus on general cryptocurrency and blockchain concepts',
-      bitcoin: 'Focus specifically on Bitcoin-related topics',
-      ethereum: 'Focus specifically on Ethereum and smart contracts',
-      trading: 'Focus on trading, markets, and financial aspects',
-      technology: 'Focus on technical implementation and blockchain technology',
-      security: 'Focus on security, wallets, and best practices'
-    };
-
     return `Generate a ${difficulty} difficulty quiz question about ${category} cryptocurrency topics.
 
 ${difficultyInstructions[difficulty] || difficultyInstructions.medium}
-${categoryInstructions[category] || categoryInstructions.general}
+${categoryGuidance || 'Focus on general cryptocurrency and blockchain concepts'}
 
 Please format your response as JSON with the following structure:
 {
@@ -204,13 +199,17 @@ Make sure the question is accurate, educational, and the correct answer is clear
       errors.push('Question text is too short');
     }
     
-    if (!question.options || question.options.length !== 4) {
-      errors.push('Question must have exactly 4 options');
-    }
-    
-    if (typeof question.correct !== 'number' || question.correct < 0 || question.correct > 3) {
-      errors.push('Correct answer must be a number between 0 and 3');
-    }
+    // `correct` holds the answer key in the shape its question type expects
+    const type = question.type || 'single_choice';
+    errors.push(...validateAnswerKey({
+      type,
+      options: question.options || [],
+      correctAnswer: question.correct,
+      correctOptions: question.correct,
+      numericAnswer: question.correct,
+      tolerance: question.tolerance,
+      correctOrder: question.correct
+    }));
     
     if (!question.explanation || question.explanation.length < 20) {
       errors.push('Explanation is too short');
@@ -222,6 +221,32 @@ Make sure the question is accurate, educational, and the correct answer is clear
     };
   }
 
+  // Map a generated question to Quiz fields; `correct` becomes the answer key its type expects
+  toQuizData(question) {
+    const type = question.type || 'single_choice';
+    const answerKeyField = {
+      multi_select: 'correctOptions',
+      numeric: 'numericAnswer',
+      ordering: 'correctOrder'
+    }[type] || 'correctAnswer';
+
+    return {
+      question: question.question,
+      type,
+      options: question.options || [],
+      [answerKeyField]: question.correct,
+      tolerance: question.tolerance,
+      unit: question.unit,
+      explanation: question.explanation,
+      tags: question.tags || []
+    };
+  }
+
+  // Model recorded on generated questions
+  getModelName() {
+    return this.isInitialized ? (process.env.OPENAI_MODEL || 'gpt-3.5-turbo') : 'mock';
+  }
+
   // Get service status
   getStatus() {
     return {
@@ -0,0 +1,279 @@
+// Calibration Service
+// Nightly recalibration of question difficulty from stored answers: empirical difficulty
+// (p-value), discrimination (point-biserial correlation with player skill) and how well
+// each wrong option works as a distractor
+
+const cron = require('node-cron');
+const Quiz = require('../models/Quiz');
+const QuizSession = require('../models/QuizSession');
+const User = require('../models/User');
+const { CHOICE_TYPES, normalizeResponse, mapResponse } = require('../utils/questionTypes');
+const logger = require('../utils/logger');
+
+// Every night at 03:00 UTC
+const CALIBRATION_SCHEDULE = '0 3 * * *';
+
+// Only answers from this window count, so old content and old player pools fade out
+const LOOKBACK_DAYS = 180;
+
+// Fewer answers than this say too little about a question
+const MIN_RESPONSES = 30;
+const MIN_DEACTIVATION_RESPONSES = 50;
+
+// Discrimination below this takes a question out of rotation. Values between it and
+// zero are within sampling noise for a sound question, so those are only logged.
+const DEACTIVATION_DISCRIMINATION = -0.1;
+
+// p-value ranges per difficulty, and how far outside its range a question has to
+// drift before it is moved to another bucket
+const DIFFICULTY_BUCKETS = [
+  { difficulty: 'easy', min: 0.7, max: 1 },
+  { difficulty: 'medium', min: 0.4, max: 0.7 },
+  { difficulty: 'hard', min: 0, max: 0.4 }
+];
+const BUCKET_MARGIN = 0.05;
+
+// A wrong option is an effective distractor when enough players pick it and they
+// tend to be the weaker ones
+const MIN_DISTRACTOR_RATE = 0.05;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Point-biserial correlation between a yes/no outcome and a continuous score;
+// null when either side has no variance
+const pointBiserial = (outcomes, scores) => {
+  const n = outcomes.length;
+  const positives = scores.filter((_, i) => outcomes[i]);
+  const negatives = scores.filter((_, i) => !outcomes[i]);
+  if (positives.length === 0 || negatives.length === 0) return null;
+
+  const average = mean(scores);
+  const deviation = Math.sqrt(scores.reduce((sum, score) => sum + (score - average) ** 2, 0) / n);
+  if (deviation === 0) return null;
+
+  const p = positives.length / n;
+  return ((mean(positives) - mean(negatives)) / deviation) * Math.sqrt(p * (1 - p));
+};
+
+const round = (value, digits = 3) => {
+  return value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+};
+
+// 1 (everyone gets it right) to 5 (nobody does)
+const toDifficultyRating = (pValue) => round(1 + (1 - pValue) * 4, 1);
+
+// New difficulty bucket, or the current one while the p-value stays near its range
+const rebucketDifficulty = (current, pValue) => {
+  const bucket = DIFFICULTY_BUCKETS.find(entry => entry.difficulty === current);
+  if (bucket && pValue >= bucket.min - BUCKET_MARGIN && pValue <= bucket.max + BUCKET_MARGIN) {
+    return current;
+  }
+
+  return DIFFICULTY_BUCKETS.find(entry => pValue >= entry.min).difficulty;
+};
+
+class CalibrationService {
+  constructor() {
+    this.isRunning = false;
+    this.task = null;
+  }
+
+  schedule() {
+    if (this.task) return;
+
+    this.task = cron.schedule(CALIBRATION_SCHEDULE, () => {
+      this.run().catch(error => logger.error('Question calibration failed:', error));
+    }, { timezone: 'UTC' });
+  }
+
+  async run() {
+    if (this.isRunning) {
+      return null;
+    }
+
+    this.isRunning = true;
+    const startedAt = Date.now();
+    const summary = { checked: 0, calibrated: 0, rebucketed: 0, deactivated: 0, nearMisses: 0, failed: 0 };
+
+    try {
+      const since = new Date(startedAt - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+      const skills = new Map();
+
+      const cursor = Quiz.find({ isActive: true, timesUsed: { $gte: MIN_RESPONSES } }).cursor();
+      for await (const question of cursor) {
+        summary.checked++;
+
+        try {
+          const result = await this.calibrateQuestion(question, since, skills);
+          if (!result) continue;
+
+          summary.calibrated++;
+          if (result.rebucketed) summary.rebucketed++;
+          if (result.deactivated) summary.deactivated++;
+          if (result.nearMiss) summary.nearMisses++;
+        } catch (error) {
+          summary.failed++;
+          logger.errorWithContext(error, {
+            operation: 'calibrate_question',
+            questionId: question._id
+          });
+        }
+      }
+
+      summary.durationMs = Date.now() - startedAt;
+      logger.business('questions_calibrated', summary);
+
+      return summary;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  async calibrateQuestion(question, since, skills) {
+    const responses = await this.getResponses(question, since);
+    if (responses.length < MIN_RESPONSES) return null;
+
+    await this.loadSkills(responses.map(response => response.userId), skills);
+    const scored = responses.filter(response => skills.has(response.userId.toString()));
+    if (scored.length < MIN_RESPONSES) return null;
+
+    const outcomes = scored.map(response => response.isCorrect);
+    const scores = scored.map(response => skills.get(response.userId.toString()));
+
+    const pValue = outcomes.filter(Boolean).length / scored.length;
+    const discrimination = pointBiserial(outcomes, scores);
+    const difficulty = rebucketDifficulty(question.difficulty, pValue);
+
+    const update = {
+      difficultyRating: toDifficultyRating(pValue),
+      difficulty,
+      calibration: {
+        responses: scored.length,
+        pValue: round(pValue),
+        discrimination: round(discrimination),
+        options: CHOICE_TYPES.includes(question.type) ? this.analyzeOptions(question, scored, scores) : [],
+        calibratedAt: new Date()
+      }
+    };
+
+    // Strong players missing it more often than weak ones points at a wrong key or a trick question
+    const isNegative = discrimination !== null && discrimination < 0;
+    const deactivated = isNegative && discrimination < DEACTIVATION_DISCRIMINATION &&
+      scored.length >= MIN_DEACTIVATION_RESPONSES;
+    const nearMiss = isNegative && !deactivated;
+    if (deactivated) {
+      update.isActive = false;
+      update.deactivatedReason = `Negative discrimination (${round(discrimination)}) over ${scored.length} answers`;
+    }
+
+    await Quiz.updateOne({ _id: question._id }, { $set: update });
+
+    if (difficulty !== question.difficulty) {
+      logger.business('question_difficulty_rebucketed', {
+        questionId: question._id,
+        from: question.difficulty,
+        to: difficulty,
+        pValue: update.calibration.pValue
+      });
+    }
+    if (deactivated) {
+      logger.business('question_auto_deactivated', {
+        questionId: question._id,
+        discrimination: update.calibration.discrimination,
+        responses: scored.length
+      });
+    }
+    if (nearMiss) {
+      logger.business('question_negative_discrimination', {
+        questionId: question._id,
+        discrimination: update.calibration.discrimination,
+        responses: scored.length
+      });
+    }
+
+    return { rebucketed: difficulty !== question.difficulty, deactivated, nearMiss };
+  }
+
+  // Graded, on-time answers to the question, with the picked options as stored
+  // option indices. Answers given while the options were different are left out.
+  async getResponses(question, since) {
+    const entries = await QuizSession.aggregate([
+      { $match: { status: 'submitted', submittedAt: { $gte: since }, 'questions.questionId': question._id } },
+      { $unwind: '$questions' },
+      {
+        $match: {
+          'questions.questionId': question._id,
+          'questions.answeredAt': { $ne: null },
+          'questions.timedOut': { $ne: true },
+          'questions.selectedAnswer': { $ne: null }
+        }
+      },
+      { $project: { userId: 1, question: '$questions' } }
+    ]);
+
+    const currentOptions = JSON.stringify(question.options);
+    const sameOptions = new Map();
+    const matchesCurrentOptions = (version = 1) => {
+      if (!sameOptions.has(version)) {
+        const snapshot = question.getVersionSnapshot(version);
+        sameOptions.set(version, Boolean(snapshot) && JSON.stringify(snapshot.options) === currentOptions);
+      }
+      return sameOptions.get(version);
+    };
+
+    return entries
+      .filter(({ question: entry }) => matchesCurrentOptions(entry.questionVersion))
+      .map(({ userId, question: entry }) => {
+        const { type, optionOrder, selectedAnswer } = entry;
+        const response = mapResponse(
+          type,
+          normalizeResponse(type, selectedAnswer, optionOrder.length),
+          displayedIndex => optionOrder[displayedIndex]
+        );
+
+        return {
+          userId,
+          response,
+          isCorrect: typeof entry.isCorrect === 'boolean' ? entry.isCorrect : question.gradeResponse(response)
+        };
+      })
+      .filter(response => response.response !== null);
+  }
+
+  async loadSkills(userIds, skills) {
+    const missing = [...new Set(userIds.map(id => id.toString()))].filter(id => !skills.has(id));
+    if (missing.length === 0) return;
+
+    const users = await User.find({ _id: { $in: missing } }).select('skillRating');
+    users.forEach(user => skills.set(user._id.toString(), user.skillRating));
+  }
+
+  // Selection rate and skill correlation per option
+  analyzeOptions(question, responses, scores) {
+    const answerKey = [].concat(question.getAnswerKey());
+
+    return question.options.map((_, optionIndex) => {
+      const picked = responses.map(({ response }) => [].concat(response).includes(optionIndex));
+      const selections = picked.filter(Boolean).length;
+      const selectionRate = selections / responses.length;
+      const discrimination = pointBiserial(picked, scores);
+      const isKey = answerKey.includes(optionIndex);
+
+      return {
+        optionIndex,
+        isKey,
+        selections,
+        selectionRate: round(selectionRate),
+        discrimination: round(discrimination),
+        isEffective: isKey
+          ? null
+          : selectionRate >= MIN_DISTRACTOR_RATE && discrimination !== null && discrimination < 0
+      };
+    });
+  }
+}
+
+// Create singleton instance
+const calibrationService = new CalibrationService();
+
+module.exports = calibrationService;
@@ -0,0 +1,116 @@
+// Daily Bonus Service
+// Pays the once-per-day bonus from a reward table indexed by the player's streak
+
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const { getDateKey, getUserTimezone, addDays } = require('../utils/dates');
+const logger = require('../utils/logger');
+
+// Bonus balance paid on streak day 1, 2, 3, ...; the last entry repeats for longer streaks.
+// Override with DAILY_BONUS_REWARDS, e.g. "10,15,20,25,30,40,50".
+const DEFAULT_REWARDS = [10, 15, 20, 25, 30, 40, 50];
+
+class DailyBonusService {
+  getRewardTable() {
+    const configured = (process.env.DAILY_BONUS_REWARDS || '')
+      .split(',')
+      .filter(value => value.trim() !== '')
+      .map(value => Number(value))
+      .filter(value => Number.isFinite(value) && value >= 0);
+
+    return configured.length > 0 ? configured : DEFAULT_REWARDS;
+  }
+
+  getReward(streak) {
+    const table = this.getRewardTable();
+    return table[Math.min(Math.max(streak, 1), table.length) - 1];
+  }
+
+  // First day the bonus can be claimed again. Day keys only move forward, so a
+  // timezone change can't bring back a day that was already claimed.
+  getNextClaimDate(user, today) {
+    const last = user.lastBonusClaimDate;
+    return last && last >= today ? addDays(last, 1) : today;
+  }
+
+  getStatus(user, now = new Date()) {
+    const today = getDateKey(now, getUserTimezone(user));
+    const nextClaimDate = this.getNextClaimDate(user, today);
+
+    return {
+      claimedToday: nextClaimDate > today,
+      streak: user.streak,
+      reward: this.getReward(user.streak),
+      nextClaimDate,
+      rewards: this.getRewardTable()
+    };
+  }
+
+  // Credit today's bonus. Resolves to { user, reward, transaction }, or to
+  // { status, code, message } if it was already claimed on the player's current day.
+  async claim(userId, now = new Date()) {
+    const user = await User.findById(userId);
+    if (!user) {
+      return { status: 404, code: 'USER_NOT_FOUND', message: 'User not found' };
+    }
+
+    // The reward follows the streak as of today, after any missed days are settled
+    user.settleStreak(now);
+    if (user.isModified()) {
+      await user.save();
+    }
+
+    const today = getDateKey(now, getUserTimezone(user));
+    const reward = this.getReward(user.streak);
+
+    // Only a day after the last claimed one can be claimed, so a second claim on the
+    // same day (or on an earlier day after moving west) is a no-op
+    const updated = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        $or: [{ lastBonusClaimDate: null }, { lastBonusClaimDate: { $lt: today } }]
+      },
+      {
+        $inc: { bonusBalance: reward, balance: reward, totalEarned: reward },
+        $set: { lastBonusClaimDate: today, lastBonusClaimAt: now }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return {
+        status: 409,
+        code: 'DAILY_BONUS_CLAIMED',
+        message: 'Daily bonus has already been claimed today',
+        nextClaimDate: this.getNextClaimDate(await User.findById(user._id).select('lastBonusClaimDate'), today)
+      };
+    }
+
+    const transaction = new Transaction({
+      userId: updated._id,
+      type: 'daily_bonus',
+      category: 'income',
+      amount: reward,
+      balanceBefore: updated.bonusBalance - reward,
+      balanceAfter: updated.bonusBalance,
+      paymentMethod: 'bonus',
+      description: `Daily bonus (streak day ${Math.max(updated.streak, 1)})`,
+      status: 'completed'
+    });
+    await transaction.save();
+
+    logger.business('daily_bonus_claimed', {
+      userId: updated._id,
+      reward,
+      streak: updated.streak,
+      date: today,
+      transactionId: transaction._id
+    });
+
+    return { user: updated, reward, transaction };
+  }
+}
+
+// Create singleton instance
+const dailyBonusService = new DailyBonusService();
+
+module.exports = dailyBonusService;
@@ -0,0 +1,178 @@
+// Duplicate Detection Service
+// Groups near-duplicate questions into clusters and merges them
+
+const Quiz = require('../models/Quiz');
+const { DUPLICATE_THRESHOLD, computeSignature, computeBands, estimateSimilarity } = require('../utils/similarity');
+
+const CLUSTER_FIELDS = 'question options type category difficulty qualityScore timesUsed isActive isVerified source createdAt similarity duplicateOf';
+
+class DuplicateDetectionService {
+  // Find clusters of near-duplicate questions. Questions saved before similarity
+  // signatures existed get theirs computed (and stored) on the way.
+  async findClusters(options = {}) {
+    const { threshold = DUPLICATE_THRESHOLD, category, includeInactive = false } = options;
+
+    const filter = {};
+    if (category) filter.category = category;
+    if (!includeInactive) filter.isActive = true;
+
+    const questions = await Quiz.find(filter).select(CLUSTER_FIELDS).lean();
+    await this.backfillSignatures(questions);
+
+    // Candidate pairs share at least one LSH band
+    const buckets = new Map();
+    questions.forEach((question, index) => {
+      question.similarity.bands.forEach(band => {
+        if (!buckets.has(band)) buckets.set(band, []);
+        buckets.get(band).push(index);
+      });
+    });
+
+    const parent = questions.map((_, index) => index);
+    const find = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+
+    const checked = new Set();
+    buckets.forEach(members => {
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const key = `${members[i]}:${members[j]}`;
+          if (checked.has(key)) continue;
+          checked.add(key);
+
+          const similarity = estimateSimilarity(
+            questions[members[i]].similarity.signature,
+            questions[members[j]].similarity.signature
+          );
+          if (similarity >= threshold) {
+            parent[find(members[i])] = find(members[j]);
+          }
+        }
+      }
+    });
+
+    const groups = new Map();
+    questions.forEach((question, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(question);
+    });
+
+    return [...groups.values()]
+      .filter(group => group.length > 1)
+      .map(group => this.buildCluster(group))
+      .sort((a, b) => b.size - a.size || b.maxSimilarity - a.maxSimilarity);
+  }
+
+  // The suggested keeper comes first; similarities are measured against it
+  buildCluster(group) {
+    const [keep, ...rest] = [...group].sort(this.compareForKeeping);
+
+    const members = rest.map(question => ({
+      ...this.toClusterEntry(question),
+      similarity: estimateSimilarity(keep.similarity.signature, question.similarity.signature)
+    }));
+
+    return {
+      size: group.length,
+      maxSimilarity: Math.max(...members.map(member => member.similarity)),
+      keep: this.toClusterEntry(keep),
+      duplicates: members
+    };
+  }
+
+  toClusterEntry(question) {
+    return {
+      _id: question._id,
+      question: question.question,
+      options: question.options,
+      type: question.type || 'single_choice',
+      category: question.category,
+      difficulty: question.difficulty,
+      qualityScore: question.qualityScore,
+      timesUsed: question.timesUsed,
+      isActive: question.isActive,
+      isVerified: question.isVerified,
+      source: question.source,
+      createdAt: question.createdAt
+    };
+  }
+
+  // Higher quality wins, then more usage, then the older question
+  compareForKeeping(a, b) {
+    return (b.qualityScore - a.qualityScore) ||
+      (b.timesUsed - a.timesUsed) ||
+      (new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  async backfillSignatures(questions) {
+    const updates = [];
+
+    questions.forEach(question => {
+      if (question.similarity && question.similarity.signature && question.similarity.signature.length > 0) return;
+
+      const signature = computeSignature(question);
+      question.similarity = { signature, bands: computeBands(signature) };
+      updates.push({
+        updateOne: {
+          filter: { _id: question._id },
+          update: { $set: { similarity: question.similarity } }
+        }
+      });
+    });
+
+    if (updates.length > 0) {
+      await Quiz.bulkWrite(updates, { ordered: false });
+    }
+
+    return updates.length;
+  }
+
+  // Merge a cluster into the question with the highest qualityScore: the others are
+  // deactivated and point at the kept question, whose usage statistics absorb theirs.
+  // Questions are never deleted because sessions and attempts still reference them.
+  async mergeQuestions(questionIds) {
+    const questions = await Quiz.find({ _id: { $in: questionIds } });
+    if (questions.length !== questionIds.length) {
+      return null;
+    }
+
+    const [keep, ...duplicates] = [...questions].sort(this.compareForKeeping);
+    keep.updateSimilarity();
+
+    const totalTime = duplicates.reduce(
+      (sum, question) => sum + question.averageTime * question.timesUsed,
+      keep.averageTime * keep.timesUsed
+    );
+
+    for (const duplicate of duplicates) {
+      keep.timesUsed += duplicate.timesUsed;
+      keep.correctAnswers += duplicate.correctAnswers;
+      keep.incorrectAnswers += duplicate.incorrectAnswers;
+      keep.tags = [...new Set([...keep.tags, ...duplicate.tags])];
+
+      duplicate.isActive = false;
+      duplicate.duplicateOf = keep._id;
+      duplicate.duplicateSimilarity = estimateSimilarity(keep.similarity.signature, computeSignature(duplicate));
+    }
+
+    keep.averageTime = keep.timesUsed > 0 ? totalTime / keep.timesUsed : 0;
+    keep.duplicateOf = undefined;
+    keep.duplicateSimilarity = undefined;
+
+    await keep.save();
+    await Promise.all(duplicates.map(duplicate => duplicate.save()));
+
+    return { kept: keep, merged: duplicates };
+  }
+}
+
+// Create singleton instance
+const duplicateDetectionService = new DuplicateDetectionService();
+
+module.exports = duplicateDetectionService;
@@ -0,0 +1,259 @@
+// Lifeline Service
+// Applies in-quiz lifelines (50/50, skip, extra time) to a player's session and
+// charges them to the player's inventory or bonus balance
+
+const Quiz = require('../models/Quiz');
+const QuizSession = require('../models/QuizSession');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const { LIFELINES, LIFELINE_TYPES, LIFELINE_MODES } = require('../utils/lifelines');
+const logger = require('../utils/logger');
+
+const shuffle = (values) => QuizSession.shuffleOptionOrder(values.length).map(index => values[index]);
+
+class LifelineService {
+  getCatalog() {
+    return LIFELINE_TYPES.map(type => ({
+      type,
+      name: LIFELINES[type].name,
+      price: LIFELINES[type].price,
+      ...(LIFELINES[type].extraSeconds ? { extraSeconds: LIFELINES[type].extraSeconds } : {})
+    }));
+  }
+
+  getInventory(user) {
+    return Object.fromEntries(LIFELINE_TYPES.map(type => [type, (user.lifelines && user.lifelines[type]) || 0]));
+  }
+
+  // Buy lifelines into the inventory with bonus balance. Resolves to the updated
+  // user, inventory and transaction, or to { status, code, message }.
+  async purchase(user, type, quantity = 1) {
+    const cost = LIFELINES[type].price * quantity;
+    const charge = await this.chargeBonus(
+      user,
+      cost,
+      `Purchase of ${quantity} x ${LIFELINES[type].name} lifeline`,
+      undefined,
+      { [`lifelines.${type}`]: quantity }
+    );
+    if (!charge) {
+      return { status: 400, code: 'INSUFFICIENT_BALANCE', message: 'Insufficient bonus balance' };
+    }
+
+    const { user: updatedUser, transaction } = charge;
+    await transaction.save();
+
+    logger.business('lifelines_purchased', {
+      userId: user._id,
+      type,
+      quantity,
+      cost,
+      transactionId: transaction._id
+    });
+
+    return { user: updatedUser, inventory: this.getInventory(updatedUser), transaction };
+  }
+
+  // Use a lifeline on the session's current question. Resolves to the updated session,
+  // user and the recorded lifeline, or to { status, code, message } when it can't be used.
+  async use(session, user, type, payWith) {
+    if (!LIFELINE_MODES.includes(session.mode)) {
+      return { status: 400, code: 'LIFELINES_NOT_ALLOWED', message: 'Lifelines cannot be used in this quiz mode' };
+    }
+
+    if (session.hasUsedLifeline(type)) {
+      return { status: 409, code: 'LIFELINE_ALREADY_USED', message: 'This lifeline has already been used in this quiz' };
+    }
+
+    const questionIndex = session.getCurrentQuestionIndex();
+    const sessionQuestion = session.questions[questionIndex];
+    if (!sessionQuestion) {
+      return { status: 400, code: 'NO_CURRENT_QUESTION', message: 'There is no question to use the lifeline on' };
+    }
+
+    const question = await Quiz.findById(sessionQuestion.questionId);
+    const result = await this.buildChanges(session, questionIndex, question, type);
+    if (result.code) return result;
+
+    // Take the lifeline from the inventory unless the player chose to pay
+    const inventoryPath = `lifelines.${type}`;
+    let updatedUser = null;
+    let transaction = null;
+    if (payWith !== 'bonus') {
+      updatedUser = await User.findOneAndUpdate(
+        { _id: user._id, [inventoryPath]: { $gte: 1 } },
+        { $inc: { [inventoryPath]: -1 } },
+        { new: true }
+      );
+    }
+    const fromInventory = Boolean(updatedUser);
+
+    if (!fromInventory) {
+      if (payWith === 'inventory') {
+        return { status: 400, code: 'LIFELINE_NOT_IN_INVENTORY', message: 'You have no lifelines of this type' };
+      }
+
+      const charge = await this.chargeBonus(user, LIFELINES[type].price, `${LIFELINES[type].name} lifeline`, question._id);
+      if (!charge) {
+        return { status: 400, code: 'INSUFFICIENT_BALANCE', message: 'Insufficient bonus balance' };
+      }
+      ({ user: updatedUser, transaction } = charge);
+    }
+
+    const lifeline = {
+      type,
+      questionIndex,
+      questionId: result.questionId,
+      replacedQuestionId: result.replacedQuestionId,
+      paidWith: fromInventory ? 'inventory' : 'bonus',
+      cost: fromInventory ? 0 : LIFELINES[type].price,
+      transactionId: transaction ? transaction._id : undefined,
+      usedAt: new Date()
+    };
+
+    // The charge is given back if the session change doesn't go through
+    const updatedSession = await session.applyLifeline(questionIndex, lifeline, result.changes);
+    if (!updatedSession) {
+      if (fromInventory) {
+        await User.updateOne({ _id: user._id }, { $inc: { [inventoryPath]: 1 } });
+      } else {
+        await User.refundBonus(user._id, lifeline.cost);
+      }
+      return { status: 409, code: 'LIFELINE_NOT_APPLIED', message: 'The question was answered before the lifeline could be used' };
+    }
+
+    if (transaction) {
+      await transaction.save();
+    }
+
+    logger.business('lifeline_used', {
+      userId: user._id,
+      sessionId: session._id,
+      type,
+      questionId: lifeline.questionId,
+      replacedQuestionId: lifeline.replacedQuestionId,
+      paidWith: lifeline.paidWith,
+      cost: lifeline.cost
+    });
+
+    return {
+      session: updatedSession,
+      user: updatedUser,
+      lifeline: updatedSession.lifelines[updatedSession.lifelines.length - 1],
+      questionIndex,
+      question: result.question || question
+    };
+  }
+
+  // Session paths the lifeline changes, or { status, code, message } if it doesn't apply
+  async buildChanges(session, questionIndex, question, type) {
+    const sessionQuestion = session.questions[questionIndex];
+    const path = `questions.${questionIndex}`;
+    const lifelines = [...sessionQuestion.lifelines, type];
+    const { questionTypes, pointsMultiplier } = LIFELINES[type];
+
+    if (questionTypes && !questionTypes.includes(sessionQuestion.type)) {
+      return { status: 400, code: 'LIFELINE_NOT_APPLICABLE', message: 'This lifeline cannot be used on this question' };
+    }
+
+    switch (type) {
+      case 'fifty_fifty': {
+        const answerKey = [].concat(question.getAnswerKey());
+        const wrongOptions = question.options
+          .map((_, index) => index)
+          .filter(index => !answerKey.includes(index));
+
+        // At least one wrong option has to stay
+        if (wrongOptions.length < 3) {
+          return { status: 400, code: 'LIFELINE_NOT_APPLICABLE', message: 'This question has too few options for 50/50' };
+        }
+
+        return {
+          questionId: question._id,
+          changes: {
+            [`${path}.removedOptions`]: shuffle(wrongOptions).slice(0, 2),
+            [`${path}.points`]: Math.floor(sessionQuestion.points * pointsMultiplier),
+            [`${path}.lifelines`]: lifelines
+          }
+        };
+      }
+
+      case 'skip': {
+        const replacement = await Quiz.getReplacementQuestion(
+          session.questions.map(q => q.questionId),
+          session.category,
+          session.difficulty
+        );
+        if (!replacement) {
+          return { status: 404, code: 'NO_REPLACEMENT_QUESTION', message: 'No other question is available' };
+        }
+
+        // The new question gets its full time limit from now on
+        const now = new Date();
+        const extensionMs = Math.max(0,
+          now.getTime() - sessionQuestion.deliveredAt.getTime() +
+          (replacement.timeLimit - sessionQuestion.timeLimit) * 1000
+        );
+
+        return {
+          questionId: replacement._id,
+          replacedQuestionId: question._id,
+          question: replacement,
+          changes: {
+            [path]: {
+              ...QuizSession.toSessionQuestion(replacement, session.playerRating),
+              deliveredAt: now,
+              lifelines: ['skip']
+            },
+            expiresAt: new Date(session.expiresAt.getTime() + extensionMs)
+          }
+        };
+      }
+
+      case 'extra_time': {
+        const { extraSeconds } = LIFELINES[type];
+
+        return {
+          questionId: question._id,
+          changes: {
+            [`${path}.extraTime`]: (sessionQuestion.extraTime || 0) + extraSeconds,
+            [`${path}.lifelines`]: lifelines,
+            expiresAt: new Date(session.expiresAt.getTime() + extraSeconds * 1000)
+          }
+        };
+      }
+
+      default:
+        return { status: 400, code: 'INVALID_LIFELINE', message: 'Unknown lifeline' };
+    }
+  }
+
+  // Deduct bonus balance (and apply any further increments) atomically; resolves to
+  // the updated user and the unsaved transaction, or null if the balance is too low
+  async chargeBonus(user, amount, description, quizId, inc = {}) {
+    const updatedUser = await User.spendBonus(user._id, amount, { inc });
+    if (!updatedUser) {
+      return null;
+    }
+
+    const transaction = new Transaction({
+      userId: user._id,
+      type: 'lifeline',
+      category: 'expense',
+      amount,
+      balanceBefore: updatedUser.bonusBalance + amount,
+      balanceAfter: updatedUser.bonusBalance,
+      paymentMethod: 'bonus',
+      description,
+      quizId,
+      status: 'completed'
+    });
+
+    return { user: updatedUser, transaction };
+  }
+}
+
+// Create singleton instance
+const lifelineService = new LifelineService();
+
+module.exports = lifelineService;
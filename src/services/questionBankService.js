@@ -0,0 +1,648 @@
+// Question Bank Service
+// Parses and serializes the question bank as CSV, JSON and Moodle GIFT for bulk import/export
+
+const Quiz = require('../models/Quiz');
+const Category = require('../models/Category');
+const { QUESTION_TYPES, validateAnswerKey } = require('../utils/questionTypes');
+const { DUPLICATE_THRESHOLD, estimateSimilarity } = require('../utils/similarity');
+
+const FORMATS = ['csv', 'json', 'gift'];
+const MAX_IMPORT_ROWS = 1000;
+const MAX_CSV_OPTIONS = 6;
+
+const CSV_COLUMNS = [
+  'question', 'type',
+  ...Array.from({ length: MAX_CSV_OPTIONS }, (_, index) => `option${index + 1}`),
+  'correct', 'tolerance', 'unit', 'explanation',
+  'difficulty', 'category', 'subcategory', 'tags', 'points', 'timeLimit'
+];
+
+// Fields accepted from JSON imports (and written by JSON exports)
+const JSON_FIELDS = [
+  'question', 'type', 'options', 'correctAnswer', 'correctOptions', 'numericAnswer',
+  'tolerance', 'unit', 'correctOrder', 'explanation', 'difficulty', 'category',
+  'subcategory', 'tags', 'points', 'timeLimit'
+];
+
+// Characters with a special meaning in GIFT text
+const GIFT_SPECIAL = /([~=#{}:])/g;
+
+class QuestionBankService {
+  // Guess the format from a file name
+  detectFormat(filename = '') {
+    const ext = filename.split('.').pop().toLowerCase();
+    if (ext === 'txt') return 'gift';
+    return FORMATS.includes(ext) ? ext : null;
+  }
+
+  // Parse file content into rows of { row, data, errors }
+  parse(format, content) {
+    switch (format) {
+      case 'csv':
+        return this.parseCsvQuestions(content);
+      case 'json':
+        return this.parseJsonQuestions(content);
+      case 'gift':
+        return this.parseGiftQuestions(content);
+      default:
+        throw new Error(`Unsupported format: ${format}`);
+    }
+  }
+
+  // Validate parsed rows against the Quiz schema, answer keys, categories and
+  // existing questions. Rows come back with status 'valid', 'invalid' or 'duplicate'
+  // and a Quiz document ready to save for valid rows; likely paraphrases of existing
+  // questions or earlier rows are reported in similarTo.
+  async validateRows(rows, options = {}) {
+    const { defaultCategory, defaultDifficulty = 'medium', createdBy } = options;
+    const categoryChecks = new Map();
+    const seenTexts = new Map();
+
+    const checked = [];
+    for (const row of rows) {
+      const errors = [...row.errors];
+      const data = {
+        ...row.data,
+        category: row.data.category || defaultCategory,
+        difficulty: row.data.difficulty || defaultDifficulty
+      };
+
+      const question = new Quiz({
+        ...data,
+        source: 'imported',
+        isVerified: false,
+        createdBy
+      });
+
+      if (errors.length === 0) {
+        const validationError = question.validateSync();
+        if (validationError) {
+          errors.push(...Object.values(validationError.errors).map(error => error.message));
+        }
+        errors.push(...validateAnswerKey(question));
+
+        if (question.category) {
+          const key = `${question.category}/${question.subcategory || ''}`;
+          if (!categoryChecks.has(key)) {
+            categoryChecks.set(key, await Category.validateAssignment(question.category, question.subcategory));
+          }
+          if (categoryChecks.get(key)) errors.push(categoryChecks.get(key));
+        }
+      }
+
+      const text = this.normalizeText(data.question);
+      let duplicateOf = null;
+      if (errors.length === 0 && seenTexts.has(text)) {
+        duplicateOf = { row: seenTexts.get(text) };
+      } else if (errors.length === 0) {
+        seenTexts.set(text, row.row);
+      }
+
+      checked.push({ row: row.row, question, errors, duplicateOf });
+    }
+
+    // Exact matches against the existing bank (case-insensitive)
+    const candidates = checked.filter(entry => entry.errors.length === 0 && !entry.duplicateOf);
+    const existing = await Quiz.find({ question: { $in: candidates.map(entry => entry.question.question) } })
+      .collation({ locale: 'en', strength: 2 })
+      .select('question');
+
+    candidates.forEach(entry => {
+      const match = existing.find(q => this.normalizeText(q.question) === this.normalizeText(entry.question.question));
+      if (match) entry.duplicateOf = { questionId: match._id };
+    });
+
+    // Near duplicates are only flagged; they are still imported
+    const accepted = [];
+    for (const entry of candidates.filter(candidate => !candidate.duplicateOf)) {
+      entry.question.updateSimilarity();
+
+      const [closest] = await entry.question.findNearDuplicates();
+      const inFile = accepted
+        .map(other => ({
+          row: other.row,
+          similarity: estimateSimilarity(entry.question.similarity.signature, other.question.similarity.signature)
+        }))
+        .filter(match => match.similarity >= DUPLICATE_THRESHOLD)
+        .sort((a, b) => b.similarity - a.similarity)[0];
+
+      if (closest && (!inFile || closest.similarity >= inFile.similarity)) {
+        entry.similarTo = { questionId: closest.question._id, similarity: closest.similarity };
+      } else if (inFile) {
+        entry.similarTo = inFile;
+      }
+      accepted.push(entry);
+    }
+
+    return checked.map(entry => ({
+      ...entry,
+      status: entry.errors.length > 0 ? 'invalid' : entry.duplicateOf ? 'duplicate' : 'valid'
+    }));
+  }
+
+  // Per-row report for the API response
+  buildReport(format, checkedRows) {
+    const count = status => checkedRows.filter(entry => entry.status === status).length;
+
+    return {
+      format,
+      totalRows: checkedRows.length,
+      validRows: count('valid'),
+      invalidRows: count('invalid'),
+      duplicateRows: count('duplicate'),
+      nearDuplicateRows: checkedRows.filter(entry => entry.status === 'valid' && entry.similarTo).length,
+      rows: checkedRows.map(entry => ({
+        row: entry.row,
+        status: entry.status,
+        question: entry.question.question ? entry.question.question.slice(0, 100) : null,
+        type: entry.question.type,
+        category: entry.question.category,
+        errors: entry.errors,
+        duplicateOf: entry.duplicateOf,
+        similarTo: entry.similarTo || null
+      }))
+    };
+  }
+
+  normalizeText(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  // ---------------------------------------------------------------------------
+  // CSV
+
+  // RFC 4180 style parsing: quoted fields may contain commas, quotes ("") and newlines
+  parseCsv(content) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (inQuotes) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+
+    return records.filter(r => r.some(value => value.trim() !== ''));
+  }
+
+  parseCsvQuestions(content) {
+    const [header, ...records] = this.parseCsv(content.replace(/^﻿/, ''));
+    if (!header) return [];
+
+    const columns = header.map(column => column.trim());
+    if (!columns.includes('question')) {
+      throw new Error('CSV header must include a "question" column');
+    }
+
+    return records.map((record, index) => {
+      const values = {};
+      columns.forEach((column, columnIndex) => {
+        values[column] = (record[columnIndex] || '').trim();
+      });
+
+      return this.toRow(index + 2, () => this.fromCsvValues(values)); // +2: header is row 1
+    });
+  }
+
+  fromCsvValues(values) {
+    const type = values.type || 'single_choice';
+    if (!QUESTION_TYPES.includes(type)) {
+      throw new Error(`Unknown question type: ${type}`);
+    }
+
+    const options = [];
+    for (let i = 1; i <= MAX_CSV_OPTIONS; i++) {
+      if (values[`option${i}`]) options.push(values[`option${i}`]);
+    }
+
+    const data = {
+      question: values.question,
+      type,
+      options,
+      explanation: values.explanation || undefined,
+      difficulty: values.difficulty || undefined,
+      category: values.category || undefined,
+      subcategory: values.subcategory || undefined,
+      tags: values.tags ? values.tags.split('|').map(tag => tag.trim()).filter(Boolean) : [],
+      unit: values.unit || undefined
+    };
+
+    if (values.points) data.points = this.toNumber(values.points, 'points');
+    if (values.timeLimit) data.timeLimit = this.toNumber(values.timeLimit, 'timeLimit');
+    if (values.tolerance) data.tolerance = this.toNumber(values.tolerance, 'tolerance');
+
+    // "correct" holds indices separated by "|" (or the value for numeric questions)
+    const correct = values.correct || '';
+    const indices = () => correct.split('|').filter(Boolean).map(value => this.toNumber(value, 'correct'));
+
+    switch (type) {
+      case 'multi_select':
+        data.correctOptions = indices();
+        break;
+      case 'numeric':
+        data.numericAnswer = this.toNumber(correct, 'correct');
+        break;
+      case 'ordering':
+        data.correctOrder = indices();
+        break;
+      default:
+        data.correctAnswer = this.toNumber(correct, 'correct');
+    }
+
+    return data;
+  }
+
+  escapeCsv(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  toCsvRecord(question) {
+    const type = question.type || 'single_choice';
+    const correct = {
+      multi_select: () => question.correctOptions.join('|'),
+      numeric: () => question.numericAnswer,
+      ordering: () => question.correctOrder.join('|')
+    }[type];
+
+    const values = {
+      question: question.question,
+      type,
+      correct: correct ? correct() : question.correctAnswer,
+      tolerance: type === 'numeric' ? question.tolerance : '',
+      unit: question.unit,
+      explanation: question.explanation,
+      difficulty: question.difficulty,
+      category: question.category,
+      subcategory: question.subcategory,
+      tags: (question.tags || []).join('|'),
+      points: question.points,
+      timeLimit: question.timeLimit
+    };
+    question.options.forEach((option, index) => {
+      values[`option${index + 1}`] = option;
+    });
+
+    return CSV_COLUMNS.map(column => this.escapeCsv(values[column])).join(',') + '\r\n';
+  }
+
+  // ---------------------------------------------------------------------------
+  // JSON
+
+  parseJsonQuestions(content) {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const items = Array.isArray(parsed) ? parsed : parsed && parsed.questions;
+    if (!Array.isArray(items)) {
+      throw new Error('JSON must be an array of questions or an object with a "questions" array');
+    }
+
+    return items.map((item, index) => this.toRow(index + 1, () => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        throw new Error('Each question must be an object');
+      }
+
+      const data = {};
+      JSON_FIELDS.forEach(field => {
+        if (item[field] !== undefined) data[field] = item[field];
+      });
+      return data;
+    }));
+  }
+
+  toJsonRecord(question) {
+    const record = {};
+    JSON_FIELDS.forEach(field => {
+      const value = question[field];
+      const isEmptyArray = Array.isArray(value) && value.length === 0;
+      if (value !== undefined && value !== null && !isEmptyArray) record[field] = value;
+    });
+    return record;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Moodle GIFT
+
+  parseGiftQuestions(content) {
+    const rows = [];
+    let category;
+    let block = [];
+    let blockStart = 1;
+
+    const flush = () => {
+      const text = block.join('\n').trim();
+      if (text) {
+        const categoryForBlock = category;
+        rows.push(this.toRow(blockStart, () => this.fromGiftBlock(text, categoryForBlock)));
+      }
+      block = [];
+    };
+
+    content.replace(/^﻿/, '').split(/\r?\n/).forEach((line, index) => {
+      const trimmed = line.trim();
+
+      if (trimmed.startsWith('//')) return;
+
+      if (trimmed.startsWith('$CATEGORY:')) {
+        flush();
+        // "$CATEGORY: $course$/top/Bitcoin" -> "bitcoin"
+        const path = trimmed.slice('$CATEGORY:'.length).trim().split('/');
+        category = this.slugify(path[path.length - 1]);
+        return;
+      }
+
+      if (trimmed === '') {
+        flush();
+        return;
+      }
+
+      if (block.length === 0) blockStart = index + 1;
+      block.push(line);
+    });
+    flush();
+
+    return rows;
+  }
+
+  fromGiftBlock(text, category) {
+    // Optional "::title::" prefix and "[format]" marker
+    const body = text.replace(/^::(?:\\.|[^:])*::/, '').trim().replace(/^\[(?:html|moodle|plain|markdown)\]/, '');
+
+    const open = this.findUnescaped(body, '{');
+    const close = open === -1 ? -1 : this.findUnescaped(body, '}', open);
+    if (open === -1 || close === -1) {
+      throw new Error('GIFT question is missing its {answer} block');
+    }
+
+    const stem = `${body.slice(0, open)} ${body.slice(close + 1)}`.trim();
+    let answerBlock = body.slice(open + 1, close).trim();
+
+    // "####" starts the general feedback, used as the explanation
+    let explanation;
+    const feedbackIndex = answerBlock.indexOf('####');
+    if (feedbackIndex !== -1) {
+      explanation = this.unescapeGift(answerBlock.slice(feedbackIndex + 4).trim());
+      answerBlock = answerBlock.slice(0, feedbackIndex).trim();
+    }
+
+    const data = {
+      question: this.unescapeGift(stem.replace(/\s+/g, ' ')),
+      explanation,
+      category
+    };
+
+    // True/false: {T} {TRUE} {F} {FALSE}
+    const trueFalse = answerBlock.match(/^(T|TRUE|F|FALSE)\b/i);
+    if (trueFalse && this.findUnescaped(answerBlock, '=') === -1 && this.findUnescaped(answerBlock, '~') === -1) {
+      return {
+        ...data,
+        type: 'true_false',
+        options: ['True', 'False'],
+        correctAnswer: trueFalse[1].toUpperCase().startsWith('T') ? 0 : 1
+      };
+    }
+
+    // Numeric: {#value:tolerance} {#min..max} or {#=value:tolerance ~...}
+    if (answerBlock.startsWith('#')) {
+      const first = this.splitGiftAnswers(answerBlock.slice(1))[0];
+      const value = this.stripGiftFeedback(first ? first.text : answerBlock.slice(1));
+      const range = value.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+      if (range) {
+        const min = this.toNumber(range[1], 'numeric answer');
+        const max = this.toNumber(range[2], 'numeric answer');
+        return { ...data, type: 'numeric', options: [], numericAnswer: (min + max) / 2, tolerance: Math.abs(max - min) / 2 };
+      }
+
+      const [answer, tolerance] = value.split(':');
+      return {
+        ...data,
+        type: 'numeric',
+        options: [],
+        numericAnswer: this.toNumber(answer, 'numeric answer'),
+        tolerance: tolerance ? this.toNumber(tolerance, 'tolerance') : 0
+      };
+    }
+
+    const answers = this.splitGiftAnswers(answerBlock);
+    if (answers.length === 0) {
+      throw new Error('GIFT question has no answers');
+    }
+    if (answers.some(answer => this.findUnescaped(answer.text, '->') !== -1)) {
+      throw new Error('GIFT matching questions are not supported');
+    }
+    if (answers.every(answer => answer.marker === '=')) {
+      throw new Error('GIFT short-answer questions are not supported');
+    }
+
+    const options = [];
+    const weights = [];
+    answers.forEach(answer => {
+      let optionText = this.stripGiftFeedback(answer.text);
+      let weight = answer.marker === '=' ? 100 : 0;
+
+      const weightMatch = optionText.match(/^%(-?[\d.]+)%/);
+      if (weightMatch) {
+        weight = parseFloat(weightMatch[1]);
+        optionText = optionText.slice(weightMatch[0].length);
+      }
+
+      options.push(this.unescapeGift(optionText.trim()));
+      weights.push(weight);
+    });
+
+    const correct = weights.map((weight, index) => (weight > 0 ? index : -1)).filter(index => index !== -1);
+
+    // Partial-credit weights mark a question with several right answers
+    if (answers.some((answer, index) => answer.marker === '~' && weights[index] > 0)) {
+      return { ...data, type: 'multi_select', options, correctOptions: correct };
+    }
+
+    return { ...data, type: 'single_choice', options, correctAnswer: correct.length === 1 ? correct[0] : -1 };
+  }
+
+  // Split "=a ~b ~c" into [{ marker, text }] honouring backslash escapes
+  splitGiftAnswers(block) {
+    const answers = [];
+    let current = null;
+
+    for (let i = 0; i < block.length; i++) {
+      const char = block[i];
+
+      if (char === '\\' && i + 1 < block.length) {
+        if (current) current.text += char + block[i + 1];
+        i++;
+      } else if (char === '=' || char === '~') {
+        current = { marker: char, text: '' };
+        answers.push(current);
+      } else if (current) {
+        current.text += char;
+      }
+    }
+
+    return answers.map(answer => ({ ...answer, text: answer.text.trim() }));
+  }
+
+  stripGiftFeedback(text) {
+    const index = this.findUnescaped(text, '#');
+    return (index === -1 ? text : text.slice(0, index)).trim();
+  }
+
+  findUnescaped(text, token, from = 0) {
+    for (let i = from; i < text.length; i++) {
+      if (text[i] === '\\') {
+        i++;
+      } else if (text.startsWith(token, i)) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  unescapeGift(text) {
+    return text.replace(/\\([~=#{}:\\])/g, '$1').replace(/\\n/g, '\n');
+  }
+
+  escapeGift(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(GIFT_SPECIAL, '\\$1').replace(/\n/g, '\\n');
+  }
+
+  // GIFT has no ordering questions and no difficulty; those are skipped or dropped on export
+  toGiftRecord(question) {
+    const type = question.type || 'single_choice';
+    const title = `::Q${question._id}::`;
+    const explanation = question.explanation ? ` ####${this.escapeGift(question.explanation)}` : '';
+    let answers;
+
+    switch (type) {
+      case 'true_false':
+        answers = question.correctAnswer === 0 ? 'T' : 'F';
+        break;
+      case 'multi_select': {
+        const weight = Number((100 / question.correctOptions.length).toFixed(5));
+        answers = question.options.map((option, index) => {
+          return `~%${question.correctOptions.includes(index) ? weight : -100}%${this.escapeGift(option)}`;
+        }).join(' ');
+        break;
+      }
+      case 'numeric':
+        answers = `#${question.numericAnswer}:${question.tolerance || 0}`;
+        break;
+      case 'ordering':
+        return `// Skipped ${question._id}: ordering questions have no GIFT equivalent\r\n\r\n`;
+      default:
+        answers = question.options.map((option, index) => {
+          return `${index === question.correctAnswer ? '=' : '~'}${this.escapeGift(option)}`;
+        }).join(' ');
+    }
+
+    return `${title}${this.escapeGift(question.question)} {${answers}${explanation}}\r\n\r\n`;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Export framing
+
+  getExportHeader(format) {
+    switch (format) {
+      case 'csv':
+        return CSV_COLUMNS.join(',') + '\r\n';
+      case 'json':
+        return '[\n';
+      default:
+        return '';
+    }
+  }
+
+  serializeQuestion(format, question, index) {
+    switch (format) {
+      case 'csv':
+        return this.toCsvRecord(question);
+      case 'json':
+        return (index > 0 ? ',\n' : '') + JSON.stringify(this.toJsonRecord(question));
+      default:
+        return this.toGiftRecord(question);
+    }
+  }
+
+  // GIFT exports group questions under $CATEGORY headers
+  serializeCategoryChange(format, category) {
+    return format === 'gift' ? `$CATEGORY: ${category}\r\n\r\n` : '';
+  }
+
+  getExportFooter(format) {
+    return format === 'json' ? '\n]\n' : '';
+  }
+
+  getContentType(format) {
+    return {
+      csv: 'text/csv; charset=utf-8',
+      json: 'application/json; charset=utf-8',
+      gift: 'text/plain; charset=utf-8'
+    }[format];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+
+  toRow(row, build) {
+    try {
+      return { row, data: build(), errors: [] };
+    } catch (error) {
+      return { row, data: {}, errors: [error.message] };
+    }
+  }
+
+  toNumber(value, field) {
+    const number = Number(value);
+    if (value === '' || value === undefined || Number.isNaN(number)) {
+      throw new Error(`${field} must be a number`);
+    }
+    return number;
+  }
+
+  slugify(text) {
+    return String(text).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  }
+}
+
+// Create singleton instance
+const questionBankService = new QuestionBankService();
+
+questionBankService.FORMATS = FORMATS;
+questionBankService.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
+
+module.exports = questionBankService;
@@ -0,0 +1,92 @@
+// Quiz Pack Service
+// Access rules for curated quiz packs (unlock level and entry cost) and the
+// player-facing pack listing with each player's progress
+
+const QuizPack = require('../models/QuizPack');
+const QuizPackProgress = require('../models/QuizPackProgress');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const logger = require('../utils/logger');
+
+class QuizPackService {
+  // Published packs with the player's access and progress
+  async listPacks(user, category) {
+    const packs = await QuizPack.getPublishedPacks(category);
+    const progress = await QuizPackProgress.getForPacks(user._id, packs.map(pack => pack._id));
+
+    return packs.map(pack => {
+      const entry = progress.get(pack._id.toString());
+
+      return {
+        ...pack.toPublicObject(),
+        levelLocked: user.level < pack.unlockLevel,
+        unlocked: pack.entryCost === 0 || Boolean(entry && entry.unlockedAt),
+        progress: entry ? entry.toSummary() : null
+      };
+    });
+  }
+
+  // Why the player can't play the pack yet as { status, code, message }, or null
+  checkAccess(user, pack, progress) {
+    if (user.level < pack.unlockLevel) {
+      return { status: 403, code: 'PACK_LEVEL_LOCKED', message: `This pack unlocks at level ${pack.unlockLevel}` };
+    }
+
+    if (pack.entryCost > 0 && !(progress && progress.unlockedAt)) {
+      return { status: 403, code: 'PACK_NOT_UNLOCKED', message: 'Unlock this pack before playing it' };
+    }
+
+    return null;
+  }
+
+  // Pay the entry cost with bonus balance. Resolves to { progress, user, transaction },
+  // or to { status, code, message } if the pack can't be unlocked.
+  async unlock(user, pack) {
+    if (user.level < pack.unlockLevel) {
+      return { status: 403, code: 'PACK_LEVEL_LOCKED', message: `This pack unlocks at level ${pack.unlockLevel}` };
+    }
+
+    if (pack.entryCost === 0) {
+      return { status: 400, code: 'PACK_FREE', message: 'This pack is free to play' };
+    }
+
+    const updatedUser = await User.spendBonus(user._id, pack.entryCost);
+    if (!updatedUser) {
+      return { status: 400, code: 'INSUFFICIENT_BALANCE', message: 'Insufficient bonus balance' };
+    }
+
+    // The player only stays charged if this request is the one that unlocked the pack
+    const progress = await QuizPackProgress.unlock(user._id, pack._id, pack.entryCost);
+    if (!progress) {
+      await User.refundBonus(user._id, pack.entryCost);
+      return { status: 409, code: 'PACK_ALREADY_UNLOCKED', message: 'This pack is already unlocked' };
+    }
+
+    const transaction = new Transaction({
+      userId: user._id,
+      type: 'quiz_pack',
+      category: 'expense',
+      amount: pack.entryCost,
+      balanceBefore: updatedUser.bonusBalance + pack.entryCost,
+      balanceAfter: updatedUser.bonusBalance,
+      paymentMethod: 'bonus',
+      description: `Unlock of quiz pack "${pack.title}"`,
+      status: 'completed'
+    });
+    await transaction.save();
+
+    logger.business('quiz_pack_unlocked', {
+      userId: user._id,
+      packId: pack._id,
+      entryCost: pack.entryCost,
+      transactionId: transaction._id
+    });
+
+    return { progress, user: updatedUser, transaction };
+  }
+}
+
+// Create singleton instance
+const quizPackService = new QuizPackService();
+
+module.exports = quizPackService;
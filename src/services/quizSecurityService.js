@@ -1,6 +1,8 @@
 // Quiz Security Service
 // Backend service for quiz security and fraud detection
 
+const QuizAttempt = require('../models/QuizAttempt');
+const QuizSession = require('../models/QuizSession');
 const logger = require('../utils/logger');
 
 class QuizSecurityService {
@@ -14,34 +16,35 @@ class QuizSecurityService {
       timePerQuestionMin: 5000, // 5 seconds minimum
       timePerQuestionMax: 300000, // 5 minutes maximum
       enableFraudDetection: true,
+      maxAnswersPerQuiz: 20,
+      maxLateAnswers: 2, // answers arriving after the server-side deadline
       enableRateLimiting: true
     };
-    
-    this.userAttempts = new Map(); // In-memory cache for user attempts
-    this.suspiciousUsers = new Set(); // Track suspicious users
   }
 
   // Check if user can take quiz
   async canTakeQuiz(userId, difficulty = 'easy') {
     try {
       const now = Date.now();
-      const userKey = `${userId}_${difficulty}`;
-      
-      if (!this.userAttempts.has(userKey)) {
-        this.userAttempts.set(userKey, {
-          daily: [],
-          hourly: [],
-          lastAttempt: 0,
-          consecutiveHighScores: 0
-        });
+
+      // Check if user is flagged as suspicious
+      if (await QuizAttempt.hasUnreviewedFlags(userId)) {
+        return {
+          allowed: false,
+          reason: 'SUSPICIOUS_ACTIVITY',
+          message: 'Your account is under review for suspicious activity',
+          resetTime: null
+        };
       }
 
-      const userData = this.userAttempts.get(userKey);
-      
+      // Sessions that were started but not submitted yet count as attempts, so
+      // opening many sessions before submitting any can't get around the limits
+      const openSessions = await QuizSession.countOpenSessions(userId, new Date(now));
+
       // Check daily limit
       const todayStart = new Date().setHours(0, 0, 0, 0);
-      const todayAttempts = userData.daily.filter(time => time >= todayStart);
-      if (todayAttempts.length >= this.securityRules.maxDailyQuizzes) {
+      const todayAttempts = await QuizAttempt.countAttemptsSince(userId, new Date(todayStart));
+      if (todayAttempts + openSessions >= this.securityRules.maxDailyQuizzes) {
         return {
           allowed: false,
           reason: 'DAILY_LIMIT_EXCEEDED',
@@ -52,8 +55,8 @@ class QuizSecurityService {
 
       // Check hourly limit
       const hourStart = now - (60 * 60 * 1000);
-      const hourAttempts = userData.hourly.filter(time => time >= hourStart);
-      if (hourAttempts.length >= this.securityRules.maxHourlyQuizzes) {
+      const hourAttempts = await QuizAttempt.countAttemptsSince(userId, new Date(hourStart));
+      if (hourAttempts + openSessions >= this.securityRules.maxHourlyQuizzes) {
         return {
           allowed: false,
           reason: 'HOURLY_LIMIT_EXCEEDED',
@@ -62,9 +65,17 @@ class QuizSecurityService {
         };
       }
 
-      // Check minimum time between quizzes
-      if (userData.lastAttempt && (now - userData.lastAttempt) < this.securityRules.minTimeBetweenQuizzes) {
-        const remainingTime = this.securityRules.minTimeBetweenQuizzes - (now - userData.lastAttempt);
+      // Check minimum time between quizzes (since the last one finished or started)
+      const [lastAttempt, lastStart] = await Promise.all([
+        QuizAttempt.getLastAttempt(userId),
+        QuizSession.getLastStart(userId)
+      ]);
+      const lastAttemptTime = Math.max(
+        lastAttempt ? lastAttempt.completedAt.getTime() : 0,
+        lastStart ? lastStart.issuedAt.getTime() : 0
+      );
+      if (lastAttemptTime && (now - lastAttemptTime) < this.securityRules.minTimeBetweenQuizzes) {
+        const remainingTime = this.securityRules.minTimeBetweenQuizzes - (now - lastAttemptTime);
         return {
           allowed: false,
           reason: 'COOLDOWN_ACTIVE',
@@ -73,16 +84,6 @@ class QuizSecurityService {
         };
       }
 
-      // Check if user is flagged as suspicious
-      if (this.suspiciousUsers.has(userId)) {
-        return {
-          allowed: false,
-          reason: 'SUSPICIOUS_ACTIVITY',
-          message: 'Your account is under review for suspicious activity',
-          resetTime: null
-        };
-      }
-
       return {
         allowed: true,
         reason: null,
@@ -101,54 +102,124 @@ class QuizSecurityService {
     }
   }
 
-  // Record quiz attempt
-  async recordQuizAttempt(userId, difficulty, score, timeSpent, answers) {
-    try {
-      const now = Date.now();
-      const userKey = `${userId}_${difficulty}`;
-      
-      if (!this.userAttempts.has(userKey)) {
-        this.userAttempts.set(userKey, {
-          daily: [],
-          hourly: [],
-          lastAttempt: 0,
-          consecutiveHighScores: 0
-        });
+  // Validate that a user may start a new quiz (used by GET /api/quiz/questions).
+  // Practice quizzes pay nothing, so only accounts under review are held back.
+  async validateQuizStart(userId, difficulty = 'easy', mode = 'standard') {
+    if (mode === 'practice') {
+      if (await QuizAttempt.hasUnreviewedFlags(userId)) {
+        return {
+          allowed: false,
+          code: 'SUSPICIOUS_ACTIVITY',
+          message: 'Your account is under review for suspicious activity',
+          resetTime: null
+        };
       }
+      return { allowed: true, code: null, message: 'Quiz allowed', resetTime: null };
+    }
 
-      const userData = this.userAttempts.get(userKey);
-      
-      // Update attempt records
-      userData.daily.push(now);
-      userData.hourly.push(now);
-      userData.lastAttempt = now;
-      
-      // Clean old records
-      const todayStart = new Date().setHours(0, 0, 0, 0);
-      const hourStart = now - (60 * 60 * 1000);
-      userData.daily = userData.daily.filter(time => time >= todayStart);
-      userData.hourly = userData.hourly.filter(time => time >= hourStart);
+    if (!this.securityRules.enableRateLimiting) {
+      return { allowed: true, code: null, message: 'Quiz allowed', resetTime: null };
+    }
 
-      // Check for suspicious patterns
-      const isSuspicious = await this.detectSuspiciousActivity(userId, difficulty, score, timeSpent, answers);
-      
-      if (isSuspicious) {
-        this.suspiciousUsers.add(userId);
-        logger.warn(`Suspicious activity detected for user ${userId}:`, {
-          score,
-          timeSpent,
-          difficulty
-        });
+    const eligibility = await this.canTakeQuiz(userId, difficulty);
+
+    return {
+      allowed: eligibility.allowed,
+      code: eligibility.reason,
+      message: eligibility.message,
+      resetTime: eligibility.resetTime
+    };
+  }
+
+  // Validate a submission before it is graded (used by POST /api/quiz/submit)
+  async validateQuizSubmission(userId, answers = []) {
+    try {
+      if (await QuizAttempt.hasUnreviewedFlags(userId)) {
+        return {
+          allowed: false,
+          code: 'SUSPICIOUS_ACTIVITY',
+          message: 'Your account is under review for suspicious activity'
+        };
+      }
+
+      if (answers.length > this.securityRules.maxAnswersPerQuiz) {
+        return {
+          allowed: false,
+          code: 'INVALID_SUBMISSION',
+          message: `A quiz can contain at most ${this.securityRules.maxAnswersPerQuiz} answers`
+        };
       }
 
+      return {
+        allowed: true,
+        code: null,
+        message: 'Submission allowed'
+      };
+
+    } catch (error) {
+      logger.error('Error validating quiz submission:', error);
+      return {
+        allowed: false,
+        code: 'SYSTEM_ERROR',
+        message: 'System error occurred'
+      };
+    }
+  }
+
+  // Record a graded quiz session and run fraud detection on it
+  async recordQuizSession(userId, sessionData = {}) {
+    try {
+      const {
+        sessionId,
+        mode = 'standard',
+        answers = [],
+        score = 0,
+        totalPoints = 0,
+        totalTimeSpent = 0,
+        difficulty,
+        category
+      } = sessionData;
+      const isPractice = mode === 'practice';
+
+      // Check for suspicious patterns (practice earns nothing worth cheating for)
+      const detection = this.securityRules.enableFraudDetection && !isPractice
+        ? await this.detectSuspiciousActivity(userId, difficulty, score, totalTimeSpent, answers)
+        : { isSuspicious: false, reasons: [] };
+
+      const attempt = await QuizAttempt.create({
+        userId,
+        sessionId,
+        mode,
+        difficulty,
+        category,
+        score,
+        totalPoints,
+        totalTimeSpent,
+        questionCount: answers.length,
+        correctCount: answers.filter(answer => answer.isCorrect).length,
+        answers: answers.map(answer => ({
+          questionId: answer.questionId,
+          questionVersion: answer.questionVersion,
+          selectedAnswer: answer.selectedAnswer,
+          isCorrect: answer.isCorrect,
+          timeSpent: answer.timeSpent,
+          timedOut: answer.timedOut,
+          lifelines: answer.lifelines || []
+        })),
+        suspicious: detection.isSuspicious,
+        suspiciousReasons: detection.reasons,
+        countsTowardLimits: !isPractice
+      });
+
       return {
         success: true,
-        suspicious: isSuspicious,
-        message: isSuspicious ? 'Quiz flagged for review' : 'Quiz attempt recorded'
+        attemptId: attempt._id,
+        suspicious: detection.isSuspicious,
+        message: detection.isSuspicious ? 'Quiz flagged for review' : 'Quiz attempt recorded'
       };
 
     } catch (error) {
-      logger.error('Error recording quiz attempt:', error);
+      logger.error('Error recording quiz session:', error);
       return {
         success: false,
         suspicious: false,
@@ -157,30 +228,45 @@ class QuizSecurityService {
     }
   }
 
+  // Record quiz attempt
+  async recordQuizAttempt(userId, difficulty, score, timeSpent, answers) {
+    return this.recordQuizSession(userId, {
+      answers,
+      score,
+      totalTimeSpent: timeSpent,
+      difficulty
+    });
+  }
+
+  // Get paginated quiz history for a user
+  async getUserQuizHistory(userId, options = {}) {
+    const [quizzes, total] = await QuizAttempt.getUserHistory(userId, options);
+    return { quizzes, total };
+  }
+
   // Detect suspicious activity
   async detectSuspiciousActivity(userId, difficulty, score, timeSpent, answers) {
     try {
-      const userKey = `${userId}_${difficulty}`;
-      const userData = this.userAttempts.get(userKey) || {
-        consecutiveHighScores: 0
-      };
-
       let suspiciousFlags = 0;
       let reasons = [];
 
       // Check for unrealistic scores
       if (score >= this.securityRules.suspiciousScoreThreshold) {
-        userData.consecutiveHighScores++;
-        if (userData.consecutiveHighScores >= this.securityRules.maxConsecutiveHighScores) {
+        const consecutiveHighScores = 1 + await this.countConsecutiveHighScores(userId);
+        if (consecutiveHighScores >= this.securityRules.maxConsecutiveHighScores) {
           suspiciousFlags++;
           reasons.push('Too many consecutive high scores');
         }
-      } else {
-        userData.consecutiveHighScores = 0;
       }
 
-      // Check for unrealistic timing
-      const avgTimePerQuestion = timeSpent / (answers?.length || 1);
+      // Check for unrealistic timing (times are measured by the server, in ms,
+      // from question delivery to answer arrival). Answers given with extra time
+      // are left out of the timing checks.
+      const answered = (answers || []).filter(answer => answer.selectedAnswer !== null && answer.selectedAnswer !== undefined);
+      const timed = answered.filter(answer => !(answer.lifelines || []).includes('extra_time'));
+      const avgTimePerQuestion = timed.length > 0
+        ? timed.reduce((total, answer) => total + (answer.timeSpent || 0), 0) / timed.length
+        : timeSpent / (answered.length || 1);
       if (avgTimePerQuestion < this.securityRules.timePerQuestionMin) {
         suspiciousFlags++;
         reasons.push('Unrealistically fast answers');
@@ -191,10 +277,19 @@ class QuizSecurityService {
         reasons.push('Unrealistically slow answers');
       }
 
-      // Check for pattern in answers (all correct too quickly)
-      if (answers && answers.length > 0) {
-        const correctAnswers = answers.filter(answer => answer.isCorrect).length;
-        const correctPercentage = (correctAnswers / answers.length) * 100;
+      // Repeated answers after the deadline suggest a tampered client timer
+      const lateAnswers = answered.filter(answer => answer.timedOut).length;
+      if (lateAnswers > this.securityRules.maxLateAnswers) {
+        suspiciousFlags++;
+        reasons.push('Answers submitted after the time limit');
+      }
+
+      // Check for pattern in answers (all correct too quickly). Answers helped by
+      // 50/50 say less about the player, so only unassisted answers count.
+      const unassisted = (answers || []).filter(answer => !(answer.lifelines || []).includes('fifty_fifty'));
+      if (unassisted.length > 0) {
+        const correctAnswers = unassisted.filter(answer => answer.isCorrect).length;
+        const correctPercentage = (correctAnswers / unassisted.length) * 100;
         
         if (correctPercentage === 100 && avgTimePerQuestion < 10000) { // 10 seconds per question
           suspiciousFlags++;
@@ -203,8 +298,8 @@ class QuizSecurityService {
       }
 
       // Check for bot-like behavior (consistent timing)
-      if (answers && answers.length > 3) {
-        const times = answers.map(answer => answer.timeSpent || 0);
+      if (timed.length > 3) {
+        const times = timed.map(answer => answer.timeSpent || 0);
         const variance = this.calculateVariance(times);
         if (variance < 1000) { // Very low variance indicates bot behavior
           suspiciousFlags++;
@@ -212,9 +307,6 @@ class QuizSecurityService {
         }
       }
 
-      // Update user data
-      this.userAttempts.set(userKey, userData);
-
       const isSuspicious = suspiciousFlags >= 2; // Flag if 2 or more suspicious patterns
 
       if (isSuspicious) {
@@ -227,12 +319,24 @@ class QuizSecurityService {
         });
       }
 
-      return isSuspicious;
+      return { isSuspicious, reasons };
 
     } catch (error) {
       logger.error('Error detecting suspicious activity:', error);
-      return false;
+      return { isSuspicious: false, reasons: [] };
+    }
+  }
+
+  // Count the user's most recent stored attempts that all hit the high-score threshold
+  async countConsecutiveHighScores(userId) {
+    const recentAttempts = await QuizAttempt.getRecentScores(userId, this.securityRules.maxConsecutiveHighScores);
+
+    let count = 0;
+    for (const attempt of recentAttempts) {
+      if (attempt.score < this.securityRules.suspiciousScoreThreshold) break;
+      count++;
     }
+    return count;
   }
 
   // Calculate variance for timing analysis
@@ -247,31 +351,26 @@ class QuizSecurityService {
   // Get user's quiz statistics
   async getUserQuizStats(userId, difficulty = 'easy') {
     try {
-      const userKey = `${userId}_${difficulty}`;
-      const userData = this.userAttempts.get(userKey);
-      
-      if (!userData) {
-        return {
-          dailyAttempts: 0,
-          hourlyAttempts: 0,
-          lastAttempt: null,
-          consecutiveHighScores: 0,
-          isSuspicious: this.suspiciousUsers.has(userId)
-        };
-      }
-
       const now = Date.now();
       const todayStart = new Date().setHours(0, 0, 0, 0);
       const hourStart = now - (60 * 60 * 1000);
+
+      const [dailyAttempts, hourlyAttempts, lastAttempt, consecutiveHighScores, isSuspicious] = await Promise.all([
+        QuizAttempt.countAttemptsSince(userId, new Date(todayStart)),
+        QuizAttempt.countAttemptsSince(userId, new Date(hourStart)),
+        QuizAttempt.getLastAttempt(userId),
+        this.countConsecutiveHighScores(userId),
+        QuizAttempt.hasUnreviewedFlags(userId)
+      ]);
       
       return {
-        dailyAttempts: userData.daily.filter(time => time >= todayStart).length,
-        hourlyAttempts: userData.hourly.filter(time => time >= hourStart).length,
-        lastAttempt: userData.lastAttempt ? new Date(userData.lastAttempt) : null,
-        consecutiveHighScores: userData.consecutiveHighScores,
-        isSuspicious: this.suspiciousUsers.has(userId),
-        remainingDaily: Math.max(0, this.securityRules.maxDailyQuizzes - userData.daily.filter(time => time >= todayStart).length),
-        remainingHourly: Math.max(0, this.securityRules.maxHourlyQuizzes - userData.hourly.filter(time => time >= hourStart).length)
+        dailyAttempts,
+        hourlyAttempts,
+        lastAttempt: lastAttempt ? lastAttempt.completedAt : null,
+        consecutiveHighScores,
+        isSuspicious,
+        remainingDaily: Math.max(0, this.securityRules.maxDailyQuizzes - dailyAttempts),
+        remainingHourly: Math.max(0, this.securityRules.maxHourlyQuizzes - hourlyAttempts)
       };
 
     } catch (error) {
@@ -287,9 +386,12 @@ class QuizSecurityService {
   }
 
   // Clear suspicious flag for user
-  async clearSuspiciousFlag(userId) {
+  async clearSuspiciousFlag(userId, reviewedBy) {
     try {
-      this.suspiciousUsers.delete(userId);
+      await QuizAttempt.updateMany(
+        { userId, suspicious: true, reviewedAt: { $exists: false } },
+        { reviewedAt: new Date(), reviewedBy }
+      );
       logger.info(`Suspicious flag cleared for user ${userId}`);
       return { success: true, message: 'Suspicious flag cleared' };
     } catch (error) {
@@ -316,10 +418,13 @@ class QuizSecurityService {
   }
 
   // Reset user attempts (admin function)
+  // Attempts are kept for history; they just stop counting toward the limits
   async resetUserAttempts(userId, difficulty = 'easy') {
     try {
-      const userKey = `${userId}_${difficulty}`;
-      this.userAttempts.delete(userKey);
+      await QuizAttempt.updateMany(
+        { userId, countsTowardLimits: true },
+        { countsTowardLimits: false }
+      );
       logger.info(`Quiz attempts reset for user ${userId}, difficulty ${difficulty}`);
       return { success: true, message: 'User attempts reset' };
     } catch (error) {
@@ -331,8 +436,14 @@ class QuizSecurityService {
   // Get system statistics
   async getSystemStats() {
     try {
-      const totalUsers = this.userAttempts.size;
-      const suspiciousUsers = this.suspiciousUsers.size;
+      const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      const [activeUserIds, suspiciousUserIds] = await Promise.all([
+        QuizAttempt.distinct('userId', { completedAt: { $gte: dayAgo } }),
+        QuizAttempt.distinct('userId', { suspicious: true, reviewedAt: { $exists: false } })
+      ]);
+
+      const totalUsers = activeUserIds.length;
+      const suspiciousUsers = suspiciousUserIds.length;
       
       return {
         totalActiveUsers: totalUsers,
@@ -352,23 +463,24 @@ class QuizSecurityService {
   }
 
   // Cleanup old data (should be called periodically)
-  cleanup() {
+  async cleanup() {
     try {
-      const now = Date.now();
-      const weekAgo = now - (7 * 24 * 60 * 60 * 1000);
-      
-      // Clean up old attempt records
-      for (const [userKey, userData] of this.userAttempts.entries()) {
-        userData.daily = userData.daily.filter(time => time >= weekAgo);
-        userData.hourly = userData.hourly.filter(time => time >= weekAgo);
-        
-        // Remove empty entries
-        if (userData.daily.length === 0 && userData.hourly.length === 0) {
-          this.userAttempts.delete(userKey);
-        }
-      }
+      // Close sessions whose time ran out without a submission, and paused
+      // sessions that weren't resumed in time
+      const now = new Date();
+      const result = await QuizSession.updateMany(
+        {
+          $or: [
+            { status: 'active', expiresAt: { $lte: now } },
+            { status: 'paused', resumeBy: { $lte: now } }
+          ]
+        },
+        { status: 'expired' }
+      );
       
-      logger.info('Security service cleanup completed');
+      logger.info('Security service cleanup completed', {
+        expiredSessions: result.modifiedCount
+      });
     } catch (error) {
       logger.error('Error during security service cleanup:', error);
     }
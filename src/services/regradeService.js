@@ -0,0 +1,436 @@
+// Regrade Service
+// Re-scores stored quiz sessions and tournament answers after a question's answer key
+// was corrected, and settles the difference with the affected players
+
+const Quiz = require('../models/Quiz');
+const QuizSession = require('../models/QuizSession');
+const QuizAttempt = require('../models/QuizAttempt');
+const QuizPackProgress = require('../models/QuizPackProgress');
+const Tournament = require('../models/Tournament');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const RegradeJob = require('../models/RegradeJob');
+const { gradeResponse } = require('../utils/questionTypes');
+const logger = require('../utils/logger');
+
+// Modes whose points are also paid out as balance (review sessions only earn XP,
+// and quiz packs only pay on the first attempt)
+const PAID_MODES = ['standard', 'adaptive', 'daily'];
+
+class RegradeService {
+  // Create a job for the question's current answer key and run it in the background
+  async startJob(question, requestedBy, dryRun = false) {
+    const job = await RegradeJob.create({
+      questionId: question._id,
+      questionVersion: question.version,
+      requestedBy,
+      dryRun
+    });
+
+    setImmediate(() => {
+      this.runJob(job._id).catch(error => {
+        logger.errorWithContext(error, {
+          operation: 'run_regrade_job',
+          jobId: job._id,
+          questionId: job.questionId
+        });
+      });
+    });
+
+    return job;
+  }
+
+  async runJob(jobId) {
+    let job = null;
+
+    try {
+      job = await RegradeJob.findByIdAndUpdate(
+        jobId,
+        { status: 'running', startedAt: new Date() },
+        { new: true }
+      );
+      if (!job) {
+        throw new Error('Regrade job not found');
+      }
+
+      job.report = await this.regradeQuestion(job.questionId, {
+        dryRun: job.dryRun,
+        adminId: job.requestedBy
+      });
+      job.status = 'completed';
+      job.completedAt = new Date();
+      await job.save();
+
+      logger.business('question_regraded', {
+        jobId: job._id,
+        questionId: job.questionId,
+        questionVersion: job.questionVersion,
+        dryRun: job.dryRun,
+        ...job.report.summary
+      });
+    } catch (error) {
+      logger.errorWithContext(error, {
+        operation: 'regrade_question',
+        jobId,
+        questionId: job && job.questionId
+      });
+
+      // Everything regraded before the failure is already settled, so a new job
+      // for the question only picks up the rest
+      await RegradeJob.updateOne(
+        { _id: jobId },
+        { status: 'failed', error: error.message, completedAt: new Date() }
+      );
+    }
+  }
+
+  async regradeQuestion(questionId, options = {}) {
+    const { dryRun = false, adminId } = options;
+
+    const question = await Quiz.findById(questionId);
+    if (!question) {
+      throw new Error('Question not found');
+    }
+
+    const changes = new Map();
+    const getUserChange = (userId) => {
+      const key = userId.toString();
+      if (!changes.has(key)) {
+        changes.set(key, {
+          userId,
+          correctDelta: 0,
+          xpDelta: 0,
+          practiceXpDelta: 0,
+          balanceDelta: 0,
+          balanceApplied: 0,
+          uncollected: 0,
+          transactionIds: [],
+          sessions: [],
+          tournaments: []
+        });
+      }
+      return changes.get(key);
+    };
+
+    // Every regraded session and tournament is settled with its players right away,
+    // so a job that fails halfway leaves nothing regraded but unpaid
+    const settle = dryRun
+      ? null
+      : (change, delta) => this.settleUser(question, change, delta, adminId);
+
+    const sessions = await this.regradeSessions(question, getUserChange, settle);
+    const tournaments = await this.regradeTournaments(question, getUserChange, settle);
+
+    const users = [...changes.values()];
+
+    return {
+      questionId: question._id,
+      questionVersion: question.version,
+      dryRun,
+      summary: {
+        sessionsChecked: sessions.checked,
+        sessionsChanged: sessions.changed,
+        sessionsSkipped: sessions.skipped,
+        tournamentsChecked: tournaments.checked,
+        tournamentsChanged: tournaments.changed,
+        tournamentAnswersSkipped: tournaments.skipped,
+        usersAffected: users.length,
+        xpDelta: users.reduce((sum, user) => sum + user.xpDelta, 0),
+        balanceDelta: users.reduce((sum, user) => sum + user.balanceDelta, 0)
+      },
+      users
+    };
+  }
+
+  // The answer was given to a version with different options: the stored indices
+  // may point at other options now, so it cannot be regraded safely
+  optionsChanged(question, version) {
+    const snapshot = version ? question.getVersionSnapshot(version) : null;
+    return Boolean(snapshot && JSON.stringify(snapshot.options) !== JSON.stringify(question.options));
+  }
+
+  async regradeSessions(question, getUserChange, settle) {
+    const result = { checked: 0, changed: 0, skipped: 0, becameCorrect: 0, becameIncorrect: 0 };
+    const now = new Date();
+
+    const cursor = QuizSession.find({
+      status: 'submitted',
+      'questions.questionId': question._id
+    }).cursor();
+
+    for await (const session of cursor) {
+      result.checked++;
+
+      const sessionQuestion = session.getSessionQuestion(question._id);
+      const isAnswered = sessionQuestion.answeredAt && !sessionQuestion.timedOut &&
+        sessionQuestion.selectedAnswer !== null && sessionQuestion.selectedAnswer !== undefined;
+      if (!isAnswered) continue;
+
+      if (this.optionsChanged(question, sessionQuestion.questionVersion)) {
+        result.skipped++;
+        continue;
+      }
+
+      const response = session.resolveResponse(question._id, sessionQuestion.selectedAnswer);
+      const isCorrect = question.gradeResponse(response);
+
+      // Sessions graded before results were stored per question are graded
+      // against the version the player saw
+      let wasCorrect = sessionQuestion.isCorrect;
+      if (wasCorrect === undefined || wasCorrect === null) {
+        const snapshot = question.getVersionSnapshot(sessionQuestion.questionVersion || 1);
+        if (!snapshot) {
+          result.skipped++;
+          continue;
+        }
+        wasCorrect = gradeResponse(snapshot, response);
+      }
+
+      if (wasCorrect === isCorrect) continue;
+
+      result.changed++;
+      if (isCorrect) result.becameCorrect++; else result.becameIncorrect++;
+
+      const sign = isCorrect ? 1 : -1;
+      const pointsDelta = sign * sessionQuestion.points;
+      const isPractice = session.mode === 'practice';
+      const isPaid = PAID_MODES.includes(session.mode) || (session.mode === 'pack' && session.packAttempt === 1);
+      // Practice answers give reduced XP and stay out of the answer statistics
+      const xpDelta = isPractice
+        ? sign * Math.floor(sessionQuestion.points * QuizSession.PRACTICE_XP_MULTIPLIER)
+        : pointsDelta;
+      const delta = {
+        correctDelta: isPractice ? 0 : sign,
+        xpDelta,
+        practiceXpDelta: isPractice ? xpDelta : 0,
+        quizBalanceDelta: isPaid ? pointsDelta : 0,
+        // Practice scores aren't part of the player's average score
+        scoreDelta: isPractice ? 0 : (sign / session.questions.length) * 100,
+        tournament: null
+      };
+
+      const change = getUserChange(session.userId);
+      change.correctDelta += delta.correctDelta;
+      change.xpDelta += delta.xpDelta;
+      change.practiceXpDelta += delta.practiceXpDelta;
+      change.balanceDelta += delta.quizBalanceDelta;
+      change.sessions.push({
+        sessionId: session._id,
+        mode: session.mode,
+        isCorrect,
+        pointsDelta
+      });
+
+      if (!settle) continue;
+
+      sessionQuestion.isCorrect = isCorrect;
+      session.correctCount += sign;
+      session.totalPoints = Math.max(0, session.totalPoints + pointsDelta);
+      session.score = (session.correctCount / session.questions.length) * 100;
+      session.regradedAt = now;
+      await session.save();
+
+      await QuizAttempt.updateOne(
+        { sessionId: session._id },
+        {
+          $set: {
+            'answers.$[answer].isCorrect': isCorrect,
+            correctCount: session.correctCount,
+            totalPoints: session.totalPoints,
+            score: session.score
+          }
+        },
+        { arrayFilters: [{ 'answer.questionId': question._id }] }
+      );
+
+      // Pack bests are the best submitted session, which may be this one
+      if (session.mode === 'pack') {
+        await this.refreshPackBest(session.userId, session.packId);
+      }
+
+      // Keep the question's own accuracy statistics in line with the regraded sessions
+      if (!isPractice) {
+        await Quiz.updateOne(
+          { _id: question._id },
+          { $inc: { correctAnswers: sign, incorrectAnswers: -sign } }
+        );
+      }
+
+      await settle(change, delta);
+    }
+
+    return result;
+  }
+
+  async regradeTournaments(question, getUserChange, settle) {
+    const result = { checked: 0, changed: 0, skipped: 0 };
+
+    const tournaments = await Tournament.find({ 'participants.answers.questionId': question._id });
+
+    for (const tournament of tournaments) {
+      result.checked++;
+      const entries = new Map();
+
+      for (const participant of tournament.participants) {
+        const answer = participant.answers.find(a => a.questionId && a.questionId.equals(question._id));
+        if (!answer) continue;
+
+        if (this.optionsChanged(question, answer.questionVersion)) {
+          result.skipped++;
+          continue;
+        }
+
+        const isCorrect = gradeResponse(question, answer.selectedAnswer);
+        if (isCorrect === Boolean(answer.isCorrect)) continue;
+
+        const scoreDelta = (isCorrect ? 1 : -1) * question.points;
+        answer.isCorrect = isCorrect;
+        participant.score = Math.max(0, participant.score + scoreDelta);
+
+        entries.set(participant.user.toString(), {
+          tournamentId: tournament._id,
+          isCorrect,
+          scoreDelta,
+          rankBefore: participant.rank,
+          rankAfter: participant.rank,
+          prizeDelta: 0
+        });
+      }
+
+      if (entries.size === 0) continue;
+      result.changed++;
+
+      // Finished tournaments are re-ranked; prize changes are settled with the players
+      if (tournament.status === 'completed') {
+        const before = new Map(tournament.participants.map(p => [p.user.toString(), { rank: p.rank, prize: p.prize }]));
+
+        tournament.calculateRankings();
+        tournament.distributePrizes();
+
+        tournament.participants.forEach(participant => {
+          const key = participant.user.toString();
+          const previous = before.get(key);
+          const prizeDelta = participant.prize - previous.prize;
+
+          if (!entries.has(key) && previous.rank === participant.rank && prizeDelta === 0) return;
+
+          const entry = entries.get(key) || {
+            tournamentId: tournament._id,
+            isCorrect: null,
+            scoreDelta: 0,
+            prizeDelta: 0
+          };
+          entry.rankBefore = previous.rank;
+          entry.rankAfter = participant.rank;
+          entry.prizeDelta = prizeDelta;
+          entries.set(key, entry);
+        });
+      }
+
+      const changed = [...entries.entries()].map(([userId, entry]) => {
+        const change = getUserChange(userId);
+        change.balanceDelta += entry.prizeDelta;
+        change.tournaments.push(entry);
+        return [change, entry];
+      });
+
+      if (!settle) continue;
+
+      await tournament.save();
+
+      for (const [change, entry] of changed) {
+        await settle(change, {
+          correctDelta: 0,
+          xpDelta: 0,
+          practiceXpDelta: 0,
+          quizBalanceDelta: 0,
+          scoreDelta: 0,
+          tournament: entry
+        });
+      }
+    }
+
+    return result;
+  }
+
+  // Recalculate the player's best score and points for a pack from their submitted sessions
+  async refreshPackBest(userId, packId) {
+    const [best] = await QuizSession.aggregate([
+      { $match: { userId, packId, status: 'submitted' } },
+      { $group: { _id: null, bestScore: { $max: '$score' }, bestPoints: { $max: '$totalPoints' } } }
+    ]);
+    if (!best) return;
+
+    await QuizPackProgress.updateOne(
+      { userId, packId },
+      { $set: { bestScore: best.bestScore, bestPoints: best.bestPoints } }
+    );
+  }
+
+  // Apply the XP, correct answer count, average score and balance changes of one
+  // regraded session or tournament to the player in one atomic update, with a
+  // compensating transaction for the balance, and add what was applied to the
+  // player's report entry
+  async settleUser(question, change, delta, adminId) {
+    const balanceDelta = delta.tournament ? delta.tournament.prizeDelta : delta.quizBalanceDelta;
+
+    const before = await User.applyProgress(change.userId, {
+      xp: delta.xpDelta - delta.practiceXpDelta,
+      practiceXp: delta.practiceXpDelta,
+      correctAnswers: delta.correctDelta,
+      scoreChange: delta.scoreDelta,
+      playable: balanceDelta
+    }, { new: false });
+    if (!before) return;
+
+    change.username = before.username;
+
+    // Clawbacks cannot take the balance below zero
+    const applied = Math.max(balanceDelta, -before.playableBalance);
+    if (applied !== 0) {
+      const entry = delta.tournament;
+      const transaction = this.buildTransaction(before, applied, entry
+        ? {
+          type: 'tournament',
+          tournamentId: entry.tournamentId,
+          quizId: question._id,
+          description: `Tournament prize adjusted after regrade (rank ${entry.rankBefore} to ${entry.rankAfter})`,
+          processedBy: adminId
+        }
+        : {
+          type: 'quiz',
+          quizId: question._id,
+          description: `Regrade of question ${question._id} (version ${question.version})`,
+          processedBy: adminId
+        });
+      await transaction.save();
+      change.transactionIds.push(transaction._id);
+    }
+
+    change.balanceApplied += applied;
+    change.uncollected = change.balanceApplied - change.balanceDelta;
+  }
+
+  // Transaction for a balance change applied to the player (user as it was before)
+  buildTransaction(user, applied, details) {
+    return new Transaction({
+      userId: user._id,
+      type: details.type,
+      category: applied > 0 ? 'income' : 'expense',
+      amount: Math.abs(applied),
+      balanceBefore: user.playableBalance,
+      balanceAfter: user.playableBalance + applied,
+      paymentMethod: 'internal',
+      description: details.description,
+      quizId: details.quizId,
+      tournamentId: details.tournamentId,
+      status: 'completed',
+      processedBy: details.processedBy
+    });
+  }
+}
+
+// Create singleton instance
+const regradeService = new RegradeService();
+
+module.exports = regradeService;
@@ -0,0 +1,110 @@
+// Streak Service
+// Breaks lapsed daily streaks (or covers the missed day with a streak freeze)
+// and sells streak freezes for bonus balance
+
+const cron = require('node-cron');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const { getDateKey } = require('../utils/dates');
+const logger = require('../utils/logger');
+
+// Hourly, so every timezone is settled shortly after its local midnight
+const STREAK_SCHEDULE = '5 * * * *';
+
+class StreakService {
+  constructor() {
+    this.task = null;
+  }
+
+  schedule() {
+    if (this.task) return;
+
+    this.task = cron.schedule(STREAK_SCHEDULE, () => {
+      this.settleLapsedStreaks().catch(error => logger.error('Streak settlement failed:', error));
+    }, { timezone: 'UTC' });
+  }
+
+  async settleLapsedStreaks(now = new Date()) {
+    const summary = { checked: 0, broken: 0, freezesUsed: 0 };
+
+    // No timezone is a full day ahead of UTC, so only streaks last extended
+    // before today's UTC date can have lapsed
+    const cutoff = getDateKey(now, 'UTC');
+    const cursor = User.find({
+      streak: { $gt: 0 },
+      $or: [
+        { lastStreakDate: { $lt: cutoff } },
+        { lastStreakDate: { $exists: false } }
+      ]
+    })
+      .select('streak lastStreakDate streakFreezes lastActivity settings.preferences.timezone')
+      .cursor();
+
+    for await (const user of cursor) {
+      summary.checked++;
+
+      const { freezesUsed, broken } = user.settleStreak(now);
+      if (!user.isModified()) continue;
+
+      await user.save();
+      summary.freezesUsed += freezesUsed;
+      if (broken) summary.broken++;
+    }
+
+    logger.business('streaks_settled', summary);
+    return summary;
+  }
+
+  // Buy one streak freeze with bonus balance; resolves to the updated user and the
+  // transaction, or to { status, code, message } when it can't be bought
+  async purchaseFreeze(user) {
+    const limitReached = { status: 400, code: 'STREAK_FREEZE_LIMIT', message: `You can hold at most ${User.MAX_STREAK_FREEZES} streak freezes` };
+    if (user.streakFreezes >= User.MAX_STREAK_FREEZES) {
+      return limitReached;
+    }
+
+    // Store a settled streak first, so the purchase sees the freezes it used up
+    if (user.isModified()) {
+      await user.save();
+    }
+
+    const price = User.STREAK_FREEZE_PRICE;
+    const updatedUser = await User.spendBonus(user._id, price, {
+      conditions: { streakFreezes: { $lt: User.MAX_STREAK_FREEZES } },
+      inc: { streakFreezes: 1 }
+    });
+    if (!updatedUser) {
+      const current = await User.findById(user._id).select('streakFreezes');
+      return current && current.streakFreezes >= User.MAX_STREAK_FREEZES
+        ? limitReached
+        : { status: 400, code: 'INSUFFICIENT_BALANCE', message: 'Insufficient bonus balance' };
+    }
+
+    const transaction = new Transaction({
+      userId: user._id,
+      type: 'streak_freeze',
+      category: 'expense',
+      amount: price,
+      balanceBefore: updatedUser.bonusBalance + price,
+      balanceAfter: updatedUser.bonusBalance,
+      paymentMethod: 'bonus',
+      description: 'Streak freeze purchase',
+      status: 'completed'
+    });
+    await transaction.save();
+
+    logger.business('streak_freeze_purchased', {
+      userId: user._id,
+      price,
+      streakFreezes: updatedUser.streakFreezes,
+      transactionId: transaction._id
+    });
+
+    return { user: updatedUser, transaction };
+  }
+}
+
+// Create singleton instance
+const streakService = new StreakService();
+
+module.exports = streakService;
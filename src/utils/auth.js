@@ -133,8 +133,8 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-// Admin authentication middleware
-const authenticateAdmin = async (req, res, next) => {
+// Role-based authentication middleware factory
+const authenticateRole = (roles, message) => async (req, res, next) => {
   try {
     const token = extractTokenFromHeader(req);
     
@@ -162,7 +162,7 @@ const authenticateAdmin = async (req, res, next) => {
 
     const decoded = verifyToken(token);
     
-    // Check if user exists and is admin
+    // Check if user exists and has one of the roles
     const user = await User.findById(decoded.id).select('-password');
     
     if (!user) {
@@ -175,12 +175,12 @@ const authenticateAdmin = async (req, res, next) => {
       });
     }
 
-    if (user.role !== 'admin') {
+    if (!roles.includes(user.role)) {
       return res.status(403).json({
         success: false,
         error: {
           code: 'INSUFFICIENT_PERMISSIONS',
-          message: 'Admin access required'
+          message
         }
       });
     }
@@ -189,7 +189,8 @@ const authenticateAdmin = async (req, res, next) => {
     next();
   } catch (error) {
     logger.errorWithContext(error, { 
-      operation: 'admin_authentication',
+      operation: 'role_authentication',
+      roles,
       ip: req.ip,
       userAgent: req.get('User-Agent')
     });
@@ -204,6 +205,12 @@ const authenticateAdmin = async (req, res, next) => {
   }
 };
 
+// Admin authentication middleware
+const authenticateAdmin = authenticateRole(['admin'], 'Admin access required');
+
+// Moderator authentication middleware (admins can moderate too)
+const authenticateModerator = authenticateRole(['admin', 'moderator'], 'Moderator access required');
+
 // Optional authentication middleware (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -268,6 +275,7 @@ module.exports = {
   extractTokenFromHeader,
   authenticate,
   authenticateAdmin,
+  authenticateModerator,
   optionalAuth,
   rateLimitByUser
 };
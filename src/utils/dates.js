@@ -0,0 +1,80 @@
+// Calendar helpers for features that reset per day in the player's timezone.
+// Day keys are 'YYYY-MM-DD' strings so they sort and compare as plain text.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidTimezone = (timeZone) => {
+  if (!timeZone) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Calendar day of `date` in the given IANA timezone (UTC if unknown)
+const getDateKey = (date = new Date(), timeZone = 'UTC') => {
+  const formatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: isValidTimezone(timeZone) ? timeZone : 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  });
+
+  return formatter.format(date);
+};
+
+const getUserTimezone = (user) => {
+  return user?.settings?.preferences?.timezone || 'UTC';
+};
+
+const isValidDateKey = (dateKey) => {
+  return DATE_KEY_PATTERN.test(dateKey) && !Number.isNaN(Date.parse(`${dateKey}T00:00:00Z`));
+};
+
+// Day key `days` days after dateKey (negative to go back)
+const addDays = (dateKey, days) => {
+  const date = new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS);
+  return date.toISOString().slice(0, 10);
+};
+
+// How far the timezone's wall clock is ahead of UTC at `date`, in ms
+const getTimezoneOffsetMs = (date, timeZone) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimezone(timeZone) ? timeZone : 'UTC',
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(({ type, value }) => [type, Number(value)]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Last millisecond of the calendar day `date` falls on in the given timezone
+const getDayEnd = (date = new Date(), timeZone = 'UTC') => {
+  const nextMidnight = Date.parse(`${addDays(getDateKey(date, timeZone), 1)}T00:00:00Z`);
+  // The offset is taken at the day boundary itself, so DST changes that day are covered
+  const guess = nextMidnight - getTimezoneOffsetMs(new Date(nextMidnight), timeZone);
+  const start = nextMidnight - getTimezoneOffsetMs(new Date(guess), timeZone);
+
+  return new Date(start - 1);
+};
+
+module.exports = {
+  DAY_MS,
+  isValidTimezone,
+  getDateKey,
+  getUserTimezone,
+  isValidDateKey,
+  addDays,
+  getDayEnd
+};
@@ -0,0 +1,33 @@
+// Language code helpers for localized content.
+// Codes are lowercase BCP 47 style tags such as 'en', 'ru' or 'pt-br'.
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/;
+const DEFAULT_LANGUAGE = 'en';
+
+// Lowercase a code and use '-' as separator; null if it isn't a language tag
+const normalizeLanguage = (language) => {
+  if (typeof language !== 'string') return null;
+
+  const normalized = language.trim().toLowerCase().replace(/_/g, '-');
+  return LANGUAGE_PATTERN.test(normalized) ? normalized : null;
+};
+
+// 'pt-br' -> 'pt'
+const getPrimaryLanguage = (language) => {
+  const normalized = normalizeLanguage(language);
+  return normalized ? normalized.split('-')[0] : null;
+};
+
+// The player's chosen language, else the one reported by Telegram
+const getUserLanguage = (user) => {
+  return normalizeLanguage(user?.settings?.preferences?.language) ||
+    normalizeLanguage(user?.telegramLanguageCode) ||
+    DEFAULT_LANGUAGE;
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  getPrimaryLanguage,
+  getUserLanguage
+};
@@ -0,0 +1,36 @@
+// In-quiz lifelines. Each one can be used once per session, taken from the player's
+// inventory or paid for with bonus balance.
+
+const LIFELINES = {
+  // Removes two wrong options; the question is then worth half its points
+  fifty_fifty: {
+    name: '50/50',
+    price: 5,
+    pointsMultiplier: 0.5,
+    questionTypes: ['single_choice', 'multi_select']
+  },
+  // Replaces the current question with a new one
+  skip: {
+    name: 'Skip',
+    price: 10,
+    pointsMultiplier: 1
+  },
+  // Adds seconds to the current question's time limit
+  extra_time: {
+    name: 'Extra time',
+    price: 5,
+    pointsMultiplier: 1,
+    extraSeconds: 15
+  }
+};
+
+const LIFELINE_TYPES = Object.keys(LIFELINES);
+
+// Daily challenges stay the same for everyone and review sessions replay known questions
+const LIFELINE_MODES = ['standard', 'adaptive'];
+
+module.exports = {
+  LIFELINES,
+  LIFELINE_TYPES,
+  LIFELINE_MODES
+};
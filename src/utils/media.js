@@ -0,0 +1,82 @@
+// Helpers for media attached to quiz questions and options.
+// Uploaded images are stored as paths relative to UPLOAD_PATH and only turned
+// into URLs when a question is sent to a client.
+
+const MEDIA_KINDS = ['image', 'chart', 'code'];
+const IMAGE_KINDS = ['image', 'chart'];
+
+// Longest edge (px) of each stored image variant
+const IMAGE_VARIANTS = {
+  thumbnail: 320,
+  medium: 800,
+  large: 1200
+};
+
+const resolveMediaUrl = (mediaPath) => {
+  if (!mediaPath) return null;
+  if (/^https?:\/\//.test(mediaPath)) return mediaPath;
+
+  const baseUrl = (process.env.MEDIA_BASE_URL || '').replace(/\/$/, '');
+  return `${baseUrl}/uploads/${mediaPath.replace(/^\/+/, '')}`;
+};
+
+// Check a media entry; returns a list of error messages
+const validateMedia = (media) => {
+  const errors = [];
+
+  if (!MEDIA_KINDS.includes(media.kind)) {
+    return [`Unknown media kind: ${media.kind}`];
+  }
+
+  if (IMAGE_KINDS.includes(media.kind)) {
+    if (!media.variants || !media.variants.large) {
+      errors.push('Image media must reference an uploaded image');
+    }
+    if (!media.alt) {
+      errors.push('Image media requires alt text');
+    }
+  } else if (!media.code) {
+    errors.push('Code media requires a code snippet');
+  }
+
+  return errors;
+};
+
+// Client-facing shape of a media entry with resolved URLs
+const toPublicMedia = (media) => {
+  if (!media) return media;
+
+  if (!IMAGE_KINDS.includes(media.kind)) {
+    return {
+      kind: media.kind,
+      code: media.code,
+      language: media.language,
+      alt: media.alt
+    };
+  }
+
+  const variants = {};
+  Object.keys(IMAGE_VARIANTS).forEach(variant => {
+    if (media.variants && media.variants[variant]) {
+      variants[variant] = resolveMediaUrl(media.variants[variant]);
+    }
+  });
+
+  return {
+    kind: media.kind,
+    url: variants.large,
+    variants,
+    alt: media.alt,
+    width: media.width,
+    height: media.height
+  };
+};
+
+module.exports = {
+  MEDIA_KINDS,
+  IMAGE_KINDS,
+  IMAGE_VARIANTS,
+  resolveMediaUrl,
+  validateMedia,
+  toPublicMedia
+};
@@ -0,0 +1,157 @@
+// Question type rules shared by the Quiz model, quiz sessions, tournaments and AI validation.
+// Responses are arrays/numbers expressed in stored option indices unless noted otherwise.
+
+const QUESTION_TYPES = ['single_choice', 'true_false', 'multi_select', 'numeric', 'ordering'];
+
+// Allowed number of options per type
+const OPTION_LIMITS = {
+  single_choice: { min: 2, max: 4 },
+  true_false: { min: 2, max: 2 },
+  multi_select: { min: 2, max: 6 },
+  numeric: { min: 0, max: 0 },
+  ordering: { min: 2, max: 6 }
+};
+
+// Types whose options are shown in a shuffled order
+const SHUFFLED_TYPES = ['single_choice', 'multi_select', 'ordering'];
+
+// Types where a response picks options (as opposed to ordering them or giving a number)
+const CHOICE_TYPES = ['single_choice', 'true_false', 'multi_select'];
+
+const isIndex = (value, optionCount) => Number.isInteger(value) && value >= 0 && value < optionCount;
+
+const isPermutation = (values, optionCount) => {
+  return Array.isArray(values) &&
+    values.length === optionCount &&
+    new Set(values).size === optionCount &&
+    values.every(value => isIndex(value, optionCount));
+};
+
+const sameSet = (a, b) => {
+  if (a.length !== b.length) return false;
+  const set = new Set(a);
+  return b.every(value => set.has(value));
+};
+
+// Check the answer key of a question document (or plain object); returns a list of error messages
+const validateAnswerKey = (question) => {
+  const errors = [];
+  const type = question.type || 'single_choice';
+  const options = question.options || [];
+  const limits = OPTION_LIMITS[type];
+
+  if (!limits) {
+    return [`Unknown question type: ${type}`];
+  }
+
+  if (options.length < limits.min || options.length > limits.max) {
+    errors.push(limits.min === limits.max
+      ? `${type} questions must have exactly ${limits.min} options`
+      : `${type} questions must have between ${limits.min} and ${limits.max} options`);
+  }
+
+  switch (type) {
+    case 'single_choice':
+    case 'true_false':
+      if (!isIndex(question.correctAnswer, options.length)) {
+        errors.push('Correct answer index is invalid');
+      }
+      break;
+    case 'multi_select': {
+      const correctOptions = question.correctOptions || [];
+      if (correctOptions.length === 0 ||
+          new Set(correctOptions).size !== correctOptions.length ||
+          !correctOptions.every(index => isIndex(index, options.length))) {
+        errors.push('Correct options must be a non-empty set of valid option indices');
+      }
+      break;
+    }
+    case 'numeric':
+      if (typeof question.numericAnswer !== 'number' || !Number.isFinite(question.numericAnswer)) {
+        errors.push('Numeric answer is required');
+      }
+      if (question.tolerance !== undefined && !(question.tolerance >= 0)) {
+        errors.push('Tolerance must be zero or positive');
+      }
+      break;
+    case 'ordering':
+      if (!isPermutation(question.correctOrder, options.length)) {
+        errors.push('Correct order must list every option index exactly once');
+      }
+      break;
+  }
+
+  return errors;
+};
+
+// Validate the shape of a player's response against the number of options shown.
+// Returns the normalized response, or null when it is malformed.
+const normalizeResponse = (type, selected, optionCount) => {
+  switch (type) {
+    case 'single_choice':
+    case 'true_false':
+      return isIndex(selected, optionCount) ? selected : null;
+    case 'multi_select':
+      if (!Array.isArray(selected) || selected.length === 0) return null;
+      if (new Set(selected).size !== selected.length) return null;
+      return selected.every(index => isIndex(index, optionCount)) ? [...selected] : null;
+    case 'numeric': {
+      const value = typeof selected === 'string' && selected.trim() !== '' ? Number(selected) : selected;
+      return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+    case 'ordering':
+      return isPermutation(selected, optionCount) ? [...selected] : null;
+    default:
+      return null;
+  }
+};
+
+// Translate option indices in a response (or answer key) with mapIndex; numeric values pass through
+const mapResponse = (type, response, mapIndex) => {
+  if (response === null || response === undefined || type === 'numeric') return response;
+  return Array.isArray(response) ? response.map(mapIndex) : mapIndex(response);
+};
+
+// The answer key in stored option indices
+const getAnswerKey = (question) => {
+  switch (question.type || 'single_choice') {
+    case 'multi_select':
+      return [...question.correctOptions];
+    case 'numeric':
+      return question.numericAnswer;
+    case 'ordering':
+      return [...question.correctOrder];
+    default:
+      return question.correctAnswer;
+  }
+};
+
+// Grade a normalized response expressed in stored option indices
+const gradeResponse = (question, response) => {
+  if (response === null || response === undefined) return false;
+
+  switch (question.type || 'single_choice') {
+    case 'multi_select':
+      return Array.isArray(response) && sameSet(response, question.correctOptions);
+    case 'numeric':
+      return Math.abs(response - question.numericAnswer) <= (question.tolerance || 0);
+    case 'ordering':
+      return Array.isArray(response) &&
+        response.length === question.correctOrder.length &&
+        response.every((index, position) => index === question.correctOrder[position]);
+    default:
+      return response === question.correctAnswer;
+  }
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  OPTION_LIMITS,
+  SHUFFLED_TYPES,
+  CHOICE_TYPES,
+  validateAnswerKey,
+  normalizeResponse,
+  mapResponse,
+  getAnswerKey,
+  gradeResponse
+};
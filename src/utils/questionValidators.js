@@ -0,0 +1,61 @@
+// express-validator chains for question edits, shared by the admin and review routes.
+// Chains are created per call because express-validator chains are mutable.
+
+const { body } = require('express-validator');
+const Category = require('../models/Category');
+const { QUESTION_TYPES } = require('./questionTypes');
+const { MEDIA_KINDS } = require('./media');
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Chains for a media entry at the given body path, checked when condition holds.
+// Code snippets are written inline; image and chart entries come from
+// POST /api/upload/question-media.
+const mediaValidators = (path, condition = () => true) => [
+  body(`${path}.kind`).if(condition).isIn(MEDIA_KINDS).withMessage('Invalid media kind'),
+  body(`${path}.code`).if(condition).optional().isString().isLength({ max: 5000 }).withMessage('Code must be at most 5000 characters'),
+  body(`${path}.language`).if(condition).optional().isString().trim().isLength({ max: 30 }),
+  body(`${path}.alt`).if(condition).optional().isString().trim().isLength({ max: 250 }),
+  body(`${path}.variants`).if(condition).optional().isObject().withMessage('Variants must be an object'),
+  body(`${path}.width`).if(condition).optional().isInt({ min: 1 }).toInt(),
+  body(`${path}.height`).if(condition).optional().isInt({ min: 1 }).toInt()
+];
+
+const questionEditValidators = () => [
+  body('question').optional().isString().trim().isLength({ min: 1, max: 500 }).withMessage('Question must be 1-500 characters'),
+  body('type').optional().isIn(QUESTION_TYPES).withMessage('Invalid question type'),
+  body('options').optional().isArray({ max: 6 }).withMessage('Options must be an array of at most 6 items'),
+  body('options.*').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Options must be 1-200 characters'),
+  body('correctAnswer').optional().isInt({ min: 0 }).withMessage('Correct answer must be an option index').toInt(),
+  body('correctOptions').optional().isArray().withMessage('Correct options must be an array'),
+  body('correctOptions.*').isInt({ min: 0 }).withMessage('Correct options must be option indices').toInt(),
+  body('numericAnswer').optional().isFloat().withMessage('Numeric answer must be a number').toFloat(),
+  body('tolerance').optional().isFloat({ min: 0 }).withMessage('Tolerance must be zero or positive').toFloat(),
+  body('unit').optional().isString().trim().isLength({ max: 20 }),
+  body('correctOrder').optional().isArray().withMessage('Correct order must be an array'),
+  body('correctOrder.*').isInt({ min: 0 }).withMessage('Correct order must list option indices').toInt(),
+  body('explanation').optional().isString().trim().isLength({ max: 1000 }),
+  body('difficulty').optional().isIn(['easy', 'medium', 'hard']).withMessage('Invalid difficulty'),
+  body('category').optional().isString().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid category')
+    .bail().custom(slug => Category.assertActiveSlug(slug)),
+  // Without a category in the body the subcategory is checked against the stored one on save
+  body('subcategory').optional().isString().trim().isLength({ max: 50 })
+    .if(body('category').exists())
+    .bail().custom((subcategory, { req }) => Category.assertActiveSlug(req.body.category, subcategory)),
+  body('tags').optional().isArray({ max: 20 }).withMessage('Tags must be an array'),
+  body('tags.*').isString().trim().isLength({ min: 1, max: 30 }),
+  body('points').optional().isInt({ min: 1, max: 100 }).withMessage('Points must be between 1 and 100').toInt(),
+  body('timeLimit').optional().isInt({ min: 10, max: 300 }).withMessage('Time limit must be between 10 and 300 seconds').toInt(),
+  // null removes the question's media
+  body('media').optional({ values: 'undefined' }).custom(media => media === null || isObject(media))
+    .withMessage('Media must be an object or null'),
+  ...mediaValidators('media', (_, { req }) => isObject(req.body.media)),
+  body('optionMedia').optional().isArray({ max: 6 }).withMessage('Option media must be an array of at most 6 items'),
+  body('optionMedia.*.optionIndex').isInt({ min: 0 }).withMessage('Option media must reference an option index').toInt(),
+  body('optionMedia.*.media').isObject().withMessage('Option media needs a media entry'),
+  ...mediaValidators('optionMedia.*.media')
+];
+
+module.exports = {
+  questionEditValidators
+};
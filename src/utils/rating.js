@@ -0,0 +1,55 @@
+// Elo-style rating helpers shared by players and questions.
+// A correct answer is a "win" for the player against the question.
+
+const DEFAULT_RATING = 1500;
+
+// Starting ratings for questions that have not been calibrated yet
+const DIFFICULTY_RATINGS = {
+  easy: 1300,
+  medium: 1500,
+  hard: 1700
+};
+
+// Ratings move faster while there is little data to go on
+const PROVISIONAL_ANSWERS = 30;
+const PLAYER_K = { provisional: 40, established: 20 };
+const QUESTION_K = { provisional: 24, established: 8 };
+
+const initialRatingForDifficulty = (difficulty) => {
+  return DIFFICULTY_RATINGS[difficulty] || DEFAULT_RATING;
+};
+
+// Probability that a player with playerRating answers a question with questionRating correctly
+const expectedScore = (playerRating, questionRating) => {
+  return 1 / (1 + Math.pow(10, (questionRating - playerRating) / 400));
+};
+
+const kFactor = (table, sampleSize) => {
+  return sampleSize < PROVISIONAL_ANSWERS ? table.provisional : table.established;
+};
+
+// Points a question pays a player: full points up to an even match, and less the
+// likelier the player is to get it right, so strong players can't farm easy questions
+const scalePointsForRating = (points, playerRating, questionRating) => {
+  const share = Math.min(1, 2 * (1 - expectedScore(playerRating, questionRating)));
+  return Math.max(1, Math.round(points * share));
+};
+
+// Returns the rating deltas for one graded answer
+const calculateRatingChange = ({ playerRating, questionRating, isCorrect, playerAnswers = 0, questionAnswers = 0 }) => {
+  const surprise = (isCorrect ? 1 : 0) - expectedScore(playerRating, questionRating);
+
+  return {
+    playerDelta: kFactor(PLAYER_K, playerAnswers) * surprise,
+    questionDelta: -kFactor(QUESTION_K, questionAnswers) * surprise
+  };
+};
+
+module.exports = {
+  DEFAULT_RATING,
+  DIFFICULTY_RATINGS,
+  initialRatingForDifficulty,
+  expectedScore,
+  scalePointsForRating,
+  calculateRatingChange
+};
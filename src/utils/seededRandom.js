@@ -0,0 +1,46 @@
+// Reproducible pseudo-random numbers for features where every player must see
+// the same "random" choice (e.g. the daily challenge question set).
+
+// 32-bit FNV-1a hash of a string seed
+const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+};
+
+// mulberry32 generator: returns a function yielding floats in [0, 1)
+const createSeededRandom = (seed) => {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fisher-Yates shuffle of a copy of items, driven by the seed
+const seededShuffle = (items, seed) => {
+  const random = createSeededRandom(seed);
+  const shuffled = [...items];
+
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return shuffled;
+};
+
+module.exports = {
+  hashSeed,
+  createSeededRandom,
+  seededShuffle
+};
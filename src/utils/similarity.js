@@ -0,0 +1,103 @@
+// Near-duplicate detection for questions: MinHash signatures over character shingles
+// of the normalized question text plus one shingle per option, bucketed with locality-sensitive hashing.
+
+const { hashSeed } = require('./seededRandom');
+
+const SHINGLE_SIZE = 4;
+const SIGNATURE_SIZE = 96;
+// 32 bands x 3 rows: pairs at the duplicate threshold share a band with >99.9% probability
+const BAND_COUNT = 32;
+const ROWS_PER_BAND = SIGNATURE_SIZE / BAND_COUNT;
+
+// Estimated similarity at which two questions are reported as duplicates
+const DUPLICATE_THRESHOLD = 0.6;
+
+// One seed per hash function of the signature
+const HASH_SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, index) => hashSeed(`minhash:${index}`));
+
+// murmur3 finalizer: cheap, well-mixed 32-bit hash of a number
+const mix32 = (value) => {
+  let h = value >>> 0;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+// Lowercase, strip punctuation and collapse whitespace so formatting changes do not matter
+const normalizeText = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+};
+
+const getShingles = (question) => {
+  const text = normalizeText(question.question);
+  const shingles = new Set();
+
+  if (text.length <= SHINGLE_SIZE) {
+    if (text) shingles.add(hashSeed(text));
+  } else {
+    for (let i = 0; i <= text.length - SHINGLE_SIZE; i++) {
+      shingles.add(hashSeed(text.slice(i, i + SHINGLE_SIZE)));
+    }
+  }
+
+  // Each option is a single shingle: options count, but cannot outweigh the question
+  // text, and their order does not matter
+  (question.options || []).forEach(option => {
+    shingles.add(hashSeed(`option:${normalizeText(option)}`));
+  });
+
+  return shingles;
+};
+
+const computeSignature = (question) => {
+  const shingles = getShingles(question);
+  const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+
+  shingles.forEach(shingle => {
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+      const value = mix32(shingle ^ HASH_SEEDS[i]);
+      if (value < signature[i]) signature[i] = value;
+    }
+  });
+
+  return signature;
+};
+
+// LSH bucket keys ("band:hash"); questions sharing any key are duplicate candidates
+const computeBands = (signature) => {
+  const bands = [];
+
+  for (let band = 0; band < BAND_COUNT; band++) {
+    const rows = signature.slice(band * ROWS_PER_BAND, (band + 1) * ROWS_PER_BAND);
+    bands.push(`${band}:${hashSeed(rows.join(',')).toString(36)}`);
+  }
+
+  return bands;
+};
+
+// Share of matching signature positions, an estimate of the shingle Jaccard similarity
+const estimateSimilarity = (a, b) => {
+  if (!a || !b || a.length !== SIGNATURE_SIZE || b.length !== SIGNATURE_SIZE) return 0;
+
+  let matches = 0;
+  for (let i = 0; i < SIGNATURE_SIZE; i++) {
+    if (a[i] === b[i]) matches++;
+  }
+  return matches / SIGNATURE_SIZE;
+};
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  normalizeText,
+  computeSignature,
+  computeBands,
+  estimateSimilarity
+};
@@ -0,0 +1,206 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  business: jest.fn(),
+  errorWithContext: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Quiz = require('../src/models/Quiz');
+const QuizSession = require('../src/models/QuizSession');
+const QuizPackProgress = require('../src/models/QuizPackProgress');
+const User = require('../src/models/User');
+const Transaction = require('../src/models/Transaction');
+const lifelineService = require('../src/services/lifelineService');
+const quizPackService = require('../src/services/quizPackService');
+const { LIFELINES } = require('../src/utils/lifelines');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const buildSession = () => {
+  const issuedAt = new Date();
+
+  return new QuizSession({
+    userId: objectId(),
+    mode: 'standard',
+    issuedAt,
+    expiresAt: new Date(issuedAt.getTime() + 10 * 60 * 1000),
+    questions: [
+      { questionId: objectId(), type: 'single_choice', optionOrder: [0, 1, 2, 3], points: 10, timeLimit: 30, deliveredAt: issuedAt },
+      { questionId: objectId(), type: 'single_choice', optionOrder: [0, 1, 2, 3], points: 10, timeLimit: 30 }
+    ]
+  });
+};
+
+const buildUser = (fields = {}) => User.hydrate({ _id: objectId(), bonusBalance: 50, lifelines: {}, ...fields });
+
+describe('lifelineService', () => {
+  let save;
+
+  beforeEach(() => {
+    save = jest.spyOn(Transaction.prototype, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('purchase', () => {
+    it('charges the bonus balance and adds the lifelines in one update', async () => {
+      const user = buildUser();
+      const updated = buildUser({ _id: user._id, bonusBalance: 40, lifelines: { extra_time: 2 } });
+      const spendBonus = jest.spyOn(User, 'spendBonus').mockResolvedValue(updated);
+
+      const result = await lifelineService.purchase(user, 'extra_time', 2);
+
+      expect(spendBonus).toHaveBeenCalledWith(user._id, LIFELINES.extra_time.price * 2, { inc: { 'lifelines.extra_time': 2 } });
+      expect(result.inventory.extra_time).toBe(2);
+      expect(result.transaction.balanceBefore).toBe(50);
+      expect(result.transaction.balanceAfter).toBe(40);
+      expect(save).toHaveBeenCalledTimes(1);
+    });
+
+    it('fails without a transaction when the balance is too low', async () => {
+      jest.spyOn(User, 'spendBonus').mockResolvedValue(null);
+
+      const result = await lifelineService.purchase(buildUser({ bonusBalance: 0 }), 'skip');
+
+      expect(result).toMatchObject({ status: 400, code: 'INSUFFICIENT_BALANCE' });
+      expect(save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('use', () => {
+    beforeEach(() => {
+      jest.spyOn(Quiz, 'findById').mockImplementation(async id => ({ _id: id }));
+    });
+
+    it('takes the lifeline from the inventory first', async () => {
+      const session = buildSession();
+      const user = buildUser({ lifelines: { extra_time: 1 } });
+      const findOneAndUpdate = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(user);
+      const spendBonus = jest.spyOn(User, 'spendBonus');
+      jest.spyOn(session, 'applyLifeline').mockImplementation(async (index, lifeline) => {
+        session.lifelines.push(lifeline);
+        return session;
+      });
+
+      const result = await lifelineService.use(session, user, 'extra_time');
+
+      expect(findOneAndUpdate.mock.calls[0][1]).toEqual({ $inc: { 'lifelines.extra_time': -1 } });
+      expect(spendBonus).not.toHaveBeenCalled();
+      expect(result.lifeline).toMatchObject({ type: 'extra_time', paidWith: 'inventory', cost: 0 });
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('pays with bonus balance when the inventory is empty', async () => {
+      const session = buildSession();
+      const user = buildUser();
+      jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(User, 'spendBonus').mockResolvedValue(buildUser({ _id: user._id, bonusBalance: 45 }));
+      jest.spyOn(session, 'applyLifeline').mockImplementation(async (index, lifeline) => {
+        session.lifelines.push(lifeline);
+        return session;
+      });
+
+      const result = await lifelineService.use(session, user, 'extra_time');
+
+      expect(result.lifeline).toMatchObject({ paidWith: 'bonus', cost: LIFELINES.extra_time.price });
+      expect(save).toHaveBeenCalledTimes(1);
+    });
+
+    it('gives the inventory lifeline back when the question was answered meanwhile', async () => {
+      const session = buildSession();
+      const user = buildUser({ lifelines: { extra_time: 1 } });
+      jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(user);
+      const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(session, 'applyLifeline').mockResolvedValue(null);
+
+      const result = await lifelineService.use(session, user, 'extra_time');
+
+      expect(result).toMatchObject({ status: 409, code: 'LIFELINE_NOT_APPLIED' });
+      expect(updateOne).toHaveBeenCalledWith({ _id: user._id }, { $inc: { 'lifelines.extra_time': 1 } });
+    });
+
+    it('refunds the bonus balance when the question was answered meanwhile', async () => {
+      const session = buildSession();
+      const user = buildUser();
+      jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(User, 'spendBonus').mockResolvedValue(buildUser({ _id: user._id, bonusBalance: 45 }));
+      const refundBonus = jest.spyOn(User, 'refundBonus').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(session, 'applyLifeline').mockResolvedValue(null);
+
+      const result = await lifelineService.use(session, user, 'extra_time');
+
+      expect(result).toMatchObject({ status: 409, code: 'LIFELINE_NOT_APPLIED' });
+      expect(refundBonus).toHaveBeenCalledWith(user._id, LIFELINES.extra_time.price);
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('does not fall back to bonus balance when the inventory was asked for', async () => {
+      const session = buildSession();
+      jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(null);
+      const spendBonus = jest.spyOn(User, 'spendBonus');
+
+      const result = await lifelineService.use(session, buildUser(), 'extra_time', 'inventory');
+
+      expect(result).toMatchObject({ status: 400, code: 'LIFELINE_NOT_IN_INVENTORY' });
+      expect(spendBonus).not.toHaveBeenCalled();
+    });
+
+    it('refuses a lifeline already used in the session', async () => {
+      const session = buildSession();
+      session.lifelines.push({ type: 'extra_time', questionIndex: 0 });
+
+      const result = await lifelineService.use(session, buildUser(), 'extra_time');
+
+      expect(result).toMatchObject({ status: 409, code: 'LIFELINE_ALREADY_USED' });
+    });
+  });
+});
+
+describe('quizPackService.unlock', () => {
+  const pack = { _id: objectId(), title: 'Pack', unlockLevel: 1, entryCost: 25 };
+
+  beforeEach(() => {
+    jest.spyOn(Transaction.prototype, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('charges the entry cost once the pack is unlocked', async () => {
+    const user = buildUser({ level: 1 });
+    jest.spyOn(User, 'spendBonus').mockResolvedValue(buildUser({ _id: user._id, bonusBalance: 25 }));
+    jest.spyOn(QuizPackProgress, 'unlock').mockResolvedValue({ unlockedAt: new Date() });
+    const refundBonus = jest.spyOn(User, 'refundBonus');
+
+    const result = await quizPackService.unlock(user, pack);
+
+    expect(result.transaction).toMatchObject({ amount: 25, balanceBefore: 50, balanceAfter: 25 });
+    expect(refundBonus).not.toHaveBeenCalled();
+  });
+
+  it('refunds the entry cost when another request unlocked the pack first', async () => {
+    const user = buildUser({ level: 1 });
+    jest.spyOn(User, 'spendBonus').mockResolvedValue(buildUser({ _id: user._id, bonusBalance: 25 }));
+    jest.spyOn(QuizPackProgress, 'unlock').mockResolvedValue(null);
+    const refundBonus = jest.spyOn(User, 'refundBonus').mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await quizPackService.unlock(user, pack);
+
+    expect(result).toMatchObject({ status: 409, code: 'PACK_ALREADY_UNLOCKED' });
+    expect(refundBonus).toHaveBeenCalledWith(user._id, 25);
+  });
+
+  it('does not charge players below the unlock level', async () => {
+    const spendBonus = jest.spyOn(User, 'spendBonus');
+
+    const result = await quizPackService.unlock(buildUser({ level: 1 }), { ...pack, unlockLevel: 5 });
+
+    expect(result).toMatchObject({ status: 403, code: 'PACK_LEVEL_LOCKED' });
+    expect(spendBonus).not.toHaveBeenCalled();
+  });
+});
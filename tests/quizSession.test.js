@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const QuizSession = require('../src/models/QuizSession');
+const { gradeResponse } = require('../src/utils/questionTypes');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const buildSession = (overrides = {}) => {
+  const issuedAt = new Date('2026-01-01T12:00:00Z');
+
+  return new QuizSession({
+    userId: objectId(),
+    mode: 'standard',
+    issuedAt,
+    expiresAt: new Date(issuedAt.getTime() + 10 * 60 * 1000),
+    questions: [
+      { questionId: objectId(), type: 'single_choice', optionOrder: [2, 0, 3, 1], points: 10, timeLimit: 30, deliveredAt: issuedAt },
+      { questionId: objectId(), type: 'multi_select', optionOrder: [1, 3, 0, 2], points: 10, timeLimit: 30 },
+      { questionId: objectId(), type: 'ordering', optionOrder: [2, 1, 0], points: 10, timeLimit: 30 }
+    ],
+    ...overrides
+  });
+};
+
+describe('QuizSession grading', () => {
+  it('maps a displayed option back through the shuffle', () => {
+    const session = buildSession();
+    const [question] = session.questions;
+
+    // The player saw stored option 2 first
+    expect(session.resolveResponse(question.questionId, 0)).toBe(2);
+    expect(session.resolveResponse(question.questionId, 3)).toBe(1);
+  });
+
+  it('grades the shuffled response against the stored answer key', () => {
+    const session = buildSession();
+    const [, multiSelect, ordering] = session.questions;
+
+    const multiResponse = session.resolveResponse(multiSelect.questionId, [0, 2]);
+    expect(multiResponse).toEqual([1, 0]);
+    expect(gradeResponse({ type: 'multi_select', correctOptions: [0, 1] }, multiResponse)).toBe(true);
+
+    const orderResponse = session.resolveResponse(ordering.questionId, [2, 1, 0]);
+    expect(orderResponse).toEqual([0, 1, 2]);
+    expect(gradeResponse({ type: 'ordering', correctOrder: [0, 1, 2] }, orderResponse)).toBe(true);
+  });
+
+  it('rejects malformed responses and unknown questions', () => {
+    const session = buildSession();
+    const [question, multiSelect] = session.questions;
+
+    expect(session.resolveResponse(question.questionId, 4)).toBeNull();
+    expect(session.resolveResponse(question.questionId, '1')).toBeNull();
+    expect(session.resolveResponse(multiSelect.questionId, [1, 1])).toBeNull();
+    expect(session.resolveResponse(objectId(), 0)).toBeNull();
+  });
+
+  it('translates the answer key to what the player saw', () => {
+    const session = buildSession();
+    const [question] = session.questions;
+
+    expect(session.toDisplayedResponse(question.questionId, 2)).toBe(0);
+  });
+});
+
+describe('QuizSession deadlines', () => {
+  it('accepts answers until the time limit plus the grace period', () => {
+    const session = buildSession();
+    const [question] = session.questions;
+
+    const deadline = session.getAnswerDeadline(question);
+    expect(deadline.getTime() - question.deliveredAt.getTime())
+      .toBe(30 * 1000 + QuizSession.ANSWER_GRACE_PERIOD_MS);
+  });
+
+  it('adds extra time from the lifeline to the deadline', () => {
+    const session = buildSession();
+    const [question] = session.questions;
+    question.extraTime = 15;
+
+    const deadline = session.getAnswerDeadline(question);
+    expect(deadline.getTime() - question.deliveredAt.getTime())
+      .toBe(45 * 1000 + QuizSession.ANSWER_GRACE_PERIOD_MS);
+  });
+
+  it('counts expiry from the paused deadline while paused', () => {
+    const session = buildSession({
+      status: 'paused',
+      expiresAt: new Date(Date.now() - 1000),
+      resumeBy: new Date(Date.now() + 60 * 1000)
+    });
+
+    expect(session.isExpired).toBe(false);
+  });
+});
+
+describe('QuizSession updates', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only claims active, unexpired sessions for submission', async () => {
+    const findOneAndUpdate = jest.spyOn(QuizSession, 'findOneAndUpdate').mockResolvedValue(null);
+    const sessionId = objectId();
+    const userId = objectId();
+
+    await QuizSession.claimForSubmission(sessionId, userId);
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ _id: sessionId, userId, status: 'active' });
+    expect(filter.expiresAt.$gt).toBeInstanceOf(Date);
+    expect(update.status).toBe('submitted');
+  });
+
+  it('records an unanswered question once and delivers the next one', async () => {
+    const session = buildSession();
+    const findOneAndUpdate = jest.spyOn(QuizSession, 'findOneAndUpdate').mockResolvedValue(session);
+    const answeredAt = new Date('2026-01-01T12:00:10Z');
+
+    await session.recordAnswer(0, { selectedAnswer: 1, answeredAt, elapsedMs: 10000, timedOut: false });
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ status: 'active', 'questions.0.answeredAt': null });
+    expect(update.$set).toMatchObject({
+      'questions.0.selectedAnswer': 1,
+      'questions.1.deliveredAt': answeredAt
+    });
+  });
+
+  it('forfeits the question on screen when pausing', async () => {
+    const session = buildSession();
+    const findOneAndUpdate = jest.spyOn(QuizSession, 'findOneAndUpdate').mockResolvedValue(session);
+    const now = new Date('2026-01-01T12:00:20Z');
+
+    await session.pause(now);
+
+    const [, update] = findOneAndUpdate.mock.calls[0];
+    expect(update.$set).toMatchObject({
+      status: 'paused',
+      'questions.0.selectedAnswer': null,
+      'questions.0.answeredAt': now,
+      'questions.0.elapsedMs': 20000,
+      'questions.0.pausedOn': true
+    });
+    expect(update.$push.pauses).toEqual({ pausedAt: now, questionIndex: 0 });
+  });
+
+  it('delivers the next question on resume and moves the expiry by the pause', async () => {
+    const pausedAt = new Date('2026-01-01T12:00:20Z');
+    const session = buildSession({ status: 'paused', pausedAt, pauses: [{ pausedAt, questionIndex: 0 }] });
+    const findOneAndUpdate = jest.spyOn(QuizSession, 'findOneAndUpdate').mockResolvedValue(session);
+    const now = new Date('2026-01-01T12:05:20Z');
+
+    await session.resume(now);
+
+    const [, update] = findOneAndUpdate.mock.calls[0];
+    expect(update.$set['questions.1.deliveredAt']).toEqual(now);
+    expect(update.$set['questions.0.deliveredAt']).toBeUndefined();
+    expect(update.$set.expiresAt.getTime() - session.expiresAt.getTime()).toBe(5 * 60 * 1000);
+    expect(update.$inc).toEqual({ pausedMs: 5 * 60 * 1000 });
+  });
+});
@@ -0,0 +1,164 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  business: jest.fn(),
+  errorWithContext: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const Transaction = require('../src/models/Transaction');
+const regradeService = require('../src/services/regradeService');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const question = { _id: objectId(), version: 2 };
+const adminId = objectId();
+
+const buildChange = (userId) => ({
+  userId,
+  balanceDelta: 0,
+  balanceApplied: 0,
+  uncollected: 0,
+  transactionIds: []
+});
+
+const sessionDelta = (fields = {}) => ({
+  correctDelta: 1,
+  xpDelta: 10,
+  practiceXpDelta: 0,
+  quizBalanceDelta: 10,
+  scoreDelta: 20,
+  tournament: null,
+  ...fields
+});
+
+describe('regradeService.settleUser', () => {
+  let save;
+
+  beforeEach(() => {
+    save = jest.spyOn(Transaction.prototype, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('applies the session changes to the player in one update', async () => {
+    const userId = objectId();
+    const change = { ...buildChange(userId), balanceDelta: 10 };
+    const applyProgress = jest.spyOn(User, 'applyProgress')
+      .mockResolvedValue({ _id: userId, username: 'player', playableBalance: 5 });
+
+    await regradeService.settleUser(question, change, sessionDelta(), adminId);
+
+    expect(applyProgress).toHaveBeenCalledWith(userId, {
+      xp: 10,
+      practiceXp: 0,
+      correctAnswers: 1,
+      scoreChange: 20,
+      playable: 10
+    }, { new: false });
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(change).toMatchObject({ username: 'player', balanceApplied: 10, uncollected: 0 });
+    expect(change.transactionIds).toHaveLength(1);
+  });
+
+  it('records the balance before and after the change', async () => {
+    const userId = objectId();
+    jest.spyOn(User, 'applyProgress').mockResolvedValue({ _id: userId, playableBalance: 5 });
+    let transaction = null;
+    save.mockImplementation(function() {
+      transaction = this;
+      return Promise.resolve();
+    });
+
+    await regradeService.settleUser(question, buildChange(userId), sessionDelta(), adminId);
+
+    expect(transaction).toMatchObject({
+      type: 'quiz',
+      category: 'income',
+      amount: 10,
+      balanceBefore: 5,
+      balanceAfter: 15,
+      processedBy: adminId
+    });
+  });
+
+  it('claws back no more than the playable balance', async () => {
+    const userId = objectId();
+    const change = { ...buildChange(userId), balanceDelta: -10 };
+    jest.spyOn(User, 'applyProgress').mockResolvedValue({ _id: userId, playableBalance: 4 });
+    let transaction = null;
+    save.mockImplementation(function() {
+      transaction = this;
+      return Promise.resolve();
+    });
+
+    await regradeService.settleUser(question, change, sessionDelta({
+      correctDelta: -1,
+      xpDelta: -10,
+      quizBalanceDelta: -10,
+      scoreDelta: -20
+    }), adminId);
+
+    expect(transaction).toMatchObject({ category: 'expense', amount: 4, balanceBefore: 4, balanceAfter: 0 });
+    expect(change).toMatchObject({ balanceApplied: -4, uncollected: 6 });
+  });
+
+  it('keeps practice XP out of levels and pays no balance for it', async () => {
+    const userId = objectId();
+    const applyProgress = jest.spyOn(User, 'applyProgress').mockResolvedValue({ _id: userId, playableBalance: 0 });
+
+    await regradeService.settleUser(question, buildChange(userId), sessionDelta({
+      correctDelta: 0,
+      xpDelta: 2,
+      practiceXpDelta: 2,
+      quizBalanceDelta: 0,
+      scoreDelta: 0
+    }), adminId);
+
+    expect(applyProgress.mock.calls[0][1]).toEqual({
+      xp: 0,
+      practiceXp: 2,
+      correctAnswers: 0,
+      scoreChange: 0,
+      playable: 0
+    });
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('settles tournament prize changes as a tournament transaction', async () => {
+    const userId = objectId();
+    const tournamentId = objectId();
+    const change = { ...buildChange(userId), balanceDelta: 30 };
+    const applyProgress = jest.spyOn(User, 'applyProgress').mockResolvedValue({ _id: userId, playableBalance: 0 });
+    let transaction = null;
+    save.mockImplementation(function() {
+      transaction = this;
+      return Promise.resolve();
+    });
+
+    await regradeService.settleUser(question, change, sessionDelta({
+      correctDelta: 0,
+      xpDelta: 0,
+      quizBalanceDelta: 0,
+      scoreDelta: 0,
+      tournament: { tournamentId, rankBefore: 2, rankAfter: 1, prizeDelta: 30 }
+    }), adminId);
+
+    expect(applyProgress.mock.calls[0][1].playable).toBe(30);
+    expect(transaction).toMatchObject({ type: 'tournament', tournamentId, amount: 30 });
+  });
+
+  it('skips players that no longer exist', async () => {
+    const change = buildChange(objectId());
+    jest.spyOn(User, 'applyProgress').mockResolvedValue(null);
+
+    await regradeService.settleUser(question, change, sessionDelta(), adminId);
+
+    expect(save).not.toHaveBeenCalled();
+    expect(change.balanceApplied).toBe(0);
+  });
+});
@@ -0,0 +1,219 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  business: jest.fn(),
+  errorWithContext: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const Transaction = require('../src/models/Transaction');
+const streakService = require('../src/services/streakService');
+const dailyBonusService = require('../src/services/dailyBonusService');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+const buildUser = (fields = {}) => User.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  streak: 0,
+  longestStreak: 0,
+  streakFreezes: 0,
+  bonusBalance: 0,
+  ...fields
+});
+
+// Resolves a query chain like User.findById(id).select(fields)
+const query = (result) => ({ select: () => Promise.resolve(result) });
+
+describe('User streaks', () => {
+  it('extends the streak on the first activity of the next day', () => {
+    const user = buildUser({ streak: 3, longestStreak: 3, lastStreakDate: '2026-03-09' });
+
+    expect(user.recordStreakActivity(NOW)).toEqual({ extended: true, freezeEarned: false });
+    expect(user.streak).toBe(4);
+    expect(user.longestStreak).toBe(4);
+    expect(user.lastStreakDate).toBe('2026-03-10');
+  });
+
+  it('counts only the first activity of a day', () => {
+    const user = buildUser({ streak: 4, longestStreak: 4, lastStreakDate: '2026-03-10' });
+
+    expect(user.recordStreakActivity(NOW)).toEqual({ extended: false, freezeEarned: false });
+    expect(user.streak).toBe(4);
+  });
+
+  it('earns a freeze every seventh day', () => {
+    const user = buildUser({ streak: 6, longestStreak: 6, lastStreakDate: '2026-03-09' });
+
+    expect(user.recordStreakActivity(NOW)).toEqual({ extended: true, freezeEarned: true });
+    expect(user.streakFreezes).toBe(1);
+  });
+
+  it('covers missed days with freezes', () => {
+    const user = buildUser({ streak: 5, lastStreakDate: '2026-03-07', streakFreezes: 2 });
+
+    expect(user.settleStreak(NOW)).toEqual({ freezesUsed: 2, broken: false });
+    expect(user.streak).toBe(5);
+    expect(user.lastStreakDate).toBe('2026-03-09');
+  });
+
+  it('breaks the streak once the freezes run out', () => {
+    const user = buildUser({ streak: 5, lastStreakDate: '2026-03-06', streakFreezes: 2 });
+
+    expect(user.settleStreak(NOW)).toEqual({ freezesUsed: 2, broken: true });
+    expect(user.streak).toBe(0);
+    expect(user.streakFreezes).toBe(0);
+  });
+
+  it('settles against the player\'s own calendar day', () => {
+    // Still March 9 in Los Angeles
+    const user = buildUser({
+      streak: 2,
+      lastStreakDate: '2026-03-08',
+      settings: { preferences: { timezone: 'America/Los_Angeles' } }
+    });
+
+    expect(user.settleStreak(new Date('2026-03-10T05:00:00Z'))).toEqual({ freezesUsed: 0, broken: false });
+    expect(user.streak).toBe(2);
+  });
+});
+
+describe('User.recordStreak', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('writes the streak only if it is unchanged since it was read', async () => {
+    const user = buildUser({ streak: 1, longestStreak: 1, lastStreakDate: '2026-03-09' });
+    jest.spyOn(User, 'findById').mockReturnValue(query(user));
+    const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await User.recordStreak(user._id, NOW);
+
+    const [filter, update] = updateOne.mock.calls[0];
+    expect(filter).toMatchObject({ _id: user._id, streak: 1, lastStreakDate: '2026-03-09', streakFreezes: 0 });
+    expect(update.$set).toMatchObject({ streak: 2, lastStreakDate: '2026-03-10' });
+    expect(result.extended).toBe(true);
+    expect(result.status.streak).toBe(2);
+  });
+
+  it('starts over when another request changed the streak', async () => {
+    const id = new mongoose.Types.ObjectId();
+    jest.spyOn(User, 'findById')
+      .mockReturnValueOnce(query(buildUser({ _id: id, streak: 1, lastStreakDate: '2026-03-09' })))
+      .mockReturnValueOnce(query(buildUser({ _id: id, streak: 2, longestStreak: 2, lastStreakDate: '2026-03-10' })));
+    const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+    const result = await User.recordStreak(id, NOW);
+
+    // The second read already counts today, so nothing more is written
+    expect(updateOne).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ extended: false, status: { streak: 2 } });
+  });
+
+  it('gives up after repeated conflicts', async () => {
+    jest.spyOn(User, 'findById').mockImplementation(() => query(buildUser({ streak: 1, lastStreakDate: '2026-03-09' })));
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(User.recordStreak(new mongoose.Types.ObjectId(), NOW, 2)).rejects.toThrow('Streak changed concurrently');
+  });
+});
+
+describe('streakService.purchaseFreeze', () => {
+  beforeEach(() => {
+    jest.spyOn(Transaction.prototype, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('charges the freeze price while the player is below the limit', async () => {
+    const user = buildUser({ bonusBalance: 50 });
+    const spendBonus = jest.spyOn(User, 'spendBonus')
+      .mockResolvedValue(buildUser({ _id: user._id, bonusBalance: 50 - User.STREAK_FREEZE_PRICE, streakFreezes: 1 }));
+
+    const result = await streakService.purchaseFreeze(user);
+
+    expect(spendBonus).toHaveBeenCalledWith(user._id, User.STREAK_FREEZE_PRICE, {
+      conditions: { streakFreezes: { $lt: User.MAX_STREAK_FREEZES } },
+      inc: { streakFreezes: 1 }
+    });
+    expect(result.transaction).toMatchObject({ amount: User.STREAK_FREEZE_PRICE, balanceBefore: 50 });
+  });
+
+  it('refuses when the player already holds the most freezes', async () => {
+    const spendBonus = jest.spyOn(User, 'spendBonus');
+
+    const result = await streakService.purchaseFreeze(buildUser({ streakFreezes: User.MAX_STREAK_FREEZES }));
+
+    expect(result).toMatchObject({ status: 400, code: 'STREAK_FREEZE_LIMIT' });
+    expect(spendBonus).not.toHaveBeenCalled();
+  });
+
+  it('tells a low balance apart from a limit reached meanwhile', async () => {
+    const user = buildUser();
+    jest.spyOn(User, 'spendBonus').mockResolvedValue(null);
+    jest.spyOn(User, 'findById')
+      .mockReturnValueOnce(query(buildUser({ _id: user._id, streakFreezes: 0 })))
+      .mockReturnValueOnce(query(buildUser({ _id: user._id, streakFreezes: User.MAX_STREAK_FREEZES })));
+
+    expect(await streakService.purchaseFreeze(user)).toMatchObject({ code: 'INSUFFICIENT_BALANCE' });
+    expect(await streakService.purchaseFreeze(user)).toMatchObject({ code: 'STREAK_FREEZE_LIMIT' });
+  });
+});
+
+describe('dailyBonusService.claim', () => {
+  beforeEach(() => {
+    jest.spyOn(Transaction.prototype, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('pays the reward for the current streak once per day', async () => {
+    const user = buildUser({ streak: 3, lastStreakDate: '2026-03-10', lastBonusClaimDate: '2026-03-09' });
+    const reward = dailyBonusService.getReward(3);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const findOneAndUpdate = jest.spyOn(User, 'findOneAndUpdate')
+      .mockResolvedValue(buildUser({ _id: user._id, streak: 3, bonusBalance: reward }));
+
+    const result = await dailyBonusService.claim(user._id, NOW);
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter.$or).toEqual([{ lastBonusClaimDate: null }, { lastBonusClaimDate: { $lt: '2026-03-10' } }]);
+    expect(update.$inc).toEqual({ bonusBalance: reward, balance: reward, totalEarned: reward });
+    expect(update.$set.lastBonusClaimDate).toBe('2026-03-10');
+    expect(result.reward).toBe(reward);
+    expect(result.transaction).toMatchObject({ amount: reward, balanceBefore: 0, balanceAfter: reward });
+  });
+
+  it('pays the day-one reward after a lapsed streak', async () => {
+    const user = buildUser({ streak: 6, lastStreakDate: '2026-03-01' });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    const findOneAndUpdate = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(buildUser({ _id: user._id }));
+
+    const result = await dailyBonusService.claim(user._id, NOW);
+
+    expect(user.streak).toBe(0);
+    expect(result.reward).toBe(dailyBonusService.getReward(1));
+    expect(findOneAndUpdate.mock.calls[0][1].$inc.bonusBalance).toBe(dailyBonusService.getReward(1));
+  });
+
+  it('refuses a second claim on the same day', async () => {
+    const user = buildUser({ lastBonusClaimDate: '2026-03-10' });
+    jest.spyOn(User, 'findById')
+      .mockResolvedValueOnce(user)
+      .mockReturnValueOnce(query(user));
+    jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(null);
+    const save = jest.spyOn(Transaction.prototype, 'save');
+
+    const result = await dailyBonusService.claim(user._id, NOW);
+
+    expect(result).toMatchObject({ status: 409, code: 'DAILY_BONUS_CLAIMED', nextClaimDate: '2026-03-11' });
+    expect(save).not.toHaveBeenCalled();
+  });
+});